@@ -0,0 +1,100 @@
+// Runs the hiring link checker against a local stub server and checks how each response is classified
+// Run with: node check-link-checker.js (no database needed, exits with 1 if a check fails)
+
+const http = require('http');
+const { createLinkChecker } = require('./utils/linkChecker');
+
+// Stub pages: path -> [status, headers, body]
+const STUB_PAGES = {
+  '/ok': [200, {}, '<h1>Software Engineer</h1><button>Apply</button>'],
+  '/moved': [301, { Location: '/ok' }, ''],
+  '/closed': [200, {}, '<p>This position has been filled.</p>'],
+  '/missing': [404, {}, 'Not found'],
+  '/gone': [410, {}, 'Gone'],
+  '/unauthorized': [401, {}, 'Sign in'],
+  '/forbidden': [403, {}, 'Are you a robot?'],
+  '/rate-limited': [429, {}, 'Slow down'],
+  '/server-error': [500, {}, 'Oops'],
+  '/loop': [302, { Location: '/loop' }, '']
+};
+
+const EXPECTED_RESULTS = {
+  '/ok': 'ok',
+  '/moved': 'redirected',
+  '/closed': 'closed',
+  '/missing': 'dead',
+  '/gone': 'dead',
+  '/unauthorized': 'blocked',
+  '/forbidden': 'blocked',
+  '/rate-limited': 'blocked',
+  '/server-error': 'error',
+  '/loop': 'error'
+};
+
+// Job stand-in with the two methods the checker calls
+const createStubJob = (hiringLink, consecutiveFailures) => ({
+  _id: hiringLink,
+  hiringLink,
+  status: 'active',
+  linkHealth: { consecutiveFailures },
+  movedToDump: false,
+  async moveToDump() {
+    this.status = 'dump';
+    this.movedToDump = true;
+  },
+  async save() {}
+});
+
+async function checkLinkChecker() {
+  const server = http.createServer((req, res) => {
+    const [status, headers, body] = STUB_PAGES[req.url] || [404, {}, 'Not found'];
+    res.writeHead(status, { 'Content-Type': 'text/html', ...headers });
+    res.end(body);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const checker = createLinkChecker({ timeout: 5000, dumpAfterFailures: 2, dumpAfterErrors: 5 });
+  let failures = 0;
+
+  const expect = (label, actual, expected) => {
+    if (actual === expected) {
+      console.log(`✅ ${label}: ${actual}`);
+    } else {
+      failures++;
+      console.error(`❌ ${label}: expected ${expected}, got ${actual}`);
+    }
+  };
+
+  console.log('Classifying stub pages...\n');
+  for (const [path, expected] of Object.entries(EXPECTED_RESULTS)) {
+    const check = await checker.checkLink(`${baseUrl}${path}`);
+    expect(path, check.result, expected);
+  }
+
+  console.log('\nChecking when jobs are moved to dump...\n');
+  const dumpCases = [
+    ['second 404 in a row', '/missing', 1, true],
+    ['first 404', '/missing', 0, false],
+    ['403 after a failure', '/forbidden', 1, false],
+    ['429 after many failures', '/rate-limited', 10, false],
+    ['fourth 500 in a row', '/server-error', 3, false],
+    ['fifth 500 in a row', '/server-error', 4, true]
+  ];
+  for (const [label, path, previousFailures, shouldDump] of dumpCases) {
+    const job = createStubJob(`${baseUrl}${path}`, previousFailures);
+    await checker.checkJob(job);
+    expect(label, job.movedToDump ? 'moved to dump' : 'kept', shouldDump ? 'moved to dump' : 'kept');
+  }
+
+  server.close();
+
+  if (failures > 0) {
+    console.error(`\n❌ ${failures} link checker checks failed`);
+    process.exit(1);
+  }
+  console.log('\n✅ Link checker behaves as expected');
+  process.exit(0);
+}
+
+checkLinkChecker();
@@ -1,23 +1,44 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const Admin = require('../models/Admin');
+const User = require('../models/User');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
 
+// Job seeker tokens are signed with their own secret so they can never pass authenticateAdmin
+// Derived from JWT_SECRET when USER_JWT_SECRET is not set
+const USER_JWT_SECRET = process.env.USER_JWT_SECRET || crypto.createHmac('sha256', JWT_SECRET).update('job-seeker-tokens').digest('hex');
+const USER_TOKEN_EXPIRES_IN = process.env.USER_TOKEN_EXPIRES_IN || '7d';
+
 // Generate JWT token
 const generateToken = (adminId) => {
-  return jwt.sign({ adminId }, JWT_SECRET, { expiresIn: '24h' });
+  return jwt.sign({ adminId, type: 'admin' }, JWT_SECRET, { expiresIn: '24h' });
+};
+
+// Generate JWT token for a job seeker
+const generateUserToken = (userId) => {
+  return jwt.sign({ userId, type: 'user' }, USER_JWT_SECRET, { expiresIn: USER_TOKEN_EXPIRES_IN });
 };
 
+// Helper function to read the Bearer token of a request
+const readToken = (req) => req.header('Authorization')?.replace('Bearer ', '');
+
 // Middleware to authenticate admin
 const authenticateAdmin = async (req, res, next) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
+    const token = readToken(req);
     
     if (!token) {
       return res.status(401).json({ message: 'Access denied. No token provided.' });
     }
     
     const decoded = jwt.verify(token, JWT_SECRET);
+    
+    // Tokens issued before the type claim was added are admin tokens
+    if ((decoded.type && decoded.type !== 'admin') || !decoded.adminId) {
+      return res.status(401).json({ message: 'Invalid token.' });
+    }
+    
     const admin = await Admin.findById(decoded.adminId).select('-password');
     
     if (!admin) {
@@ -45,6 +66,62 @@ const authenticateAdmin = async (req, res, next) => {
   }
 };
 
+// Helper function to load the active job seeker a token belongs to, null when it is not usable
+const findUserForToken = async (token) => {
+  const decoded = jwt.verify(token, USER_JWT_SECRET);
+  if (decoded.type !== 'user' || !decoded.userId) {
+    return null;
+  }
+  
+  const user = await User.findById(decoded.userId);
+  if (!user || !user.isActive || user.changedPasswordAfter(decoded.iat)) {
+    return null;
+  }
+  return user;
+};
+
+// Middleware to authenticate a job seeker
+const authenticateUser = async (req, res, next) => {
+  try {
+    const token = readToken(req);
+    
+    if (!token) {
+      return res.status(401).json({ message: 'Access denied. No token provided.' });
+    }
+    
+    const user = await findUserForToken(token);
+    
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid token. Please log in again.' });
+    }
+    
+    req.user = user;
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(401).json({ message: 'Invalid token.' });
+    }
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ message: 'Token expired.' });
+    }
+    res.status(500).json({ message: 'Server error during authentication.' });
+  }
+};
+
+// Middleware to attach the job seeker when a valid seeker token is sent, public routes keep working without one
+const optionalUser = async (req, res, next) => {
+  const token = readToken(req);
+  
+  if (token) {
+    try {
+      req.user = (await findUserForToken(token)) || undefined;
+    } catch (error) {
+      // Expired, admin or malformed tokens are treated as anonymous
+    }
+  }
+  next();
+};
+
 // Middleware to check if admin is main admin
 const requireMainAdmin = async (req, res, next) => {
   try {
@@ -80,7 +157,10 @@ const requirePermission = (permission) => {
 
 module.exports = {
   generateToken,
+  generateUserToken,
   authenticateAdmin,
+  authenticateUser,
+  optionalUser,
   requireMainAdmin,
   requirePermission
 };
\ No newline at end of file
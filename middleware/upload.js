@@ -0,0 +1,145 @@
+const path = require('path');
+const multer = require('multer');
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+const MAX_SPREADSHEET_SIZE = 5 * 1024 * 1024; // 5MB
+// XLSX files are zip archives, a small file can unpack to far more than it looks
+const MAX_SPREADSHEET_UNPACKED_SIZE = parseInt(process.env.MAX_SPREADSHEET_UNPACKED_BYTES) || 50 * 1024 * 1024; // 50MB
+
+const IMAGE_MIMETYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const MAX_IMAGE_SIZE = parseInt(process.env.MAX_IMAGE_UPLOAD_BYTES) || 2 * 1024 * 1024; // 2MB
+
+// XLSX files are zip archives, legacy XLS files are OLE documents and cannot be read
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+// Helper function to add up the uncompressed sizes listed in a zip's central directory
+// Returns null when the directory cannot be read or uses ZIP64 sizes
+const readUnpackedZipSize = (buffer) => {
+  // The end of central directory record sits in the last 22 bytes plus an optional comment of up to 64KB
+  const searchFrom = Math.max(0, buffer.length - 22 - 0xffff);
+  let end = -1;
+  for (let i = buffer.length - 22; i >= searchFrom; i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) return null;
+
+  const entries = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  let total = 0;
+
+  for (let i = 0; i < entries; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) return null;
+
+    const size = buffer.readUInt32LE(offset + 24);
+    if (size === 0xffffffff) return null;
+    total += size;
+
+    offset += 46 + buffer.readUInt16LE(offset + 28) + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+  return total;
+};
+
+// Helper function to check that an uploaded spreadsheet's content matches its extension
+// Returns an error message, or null when the file looks right
+const checkSpreadsheetContent = (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  const head = file.buffer.subarray(0, 8);
+
+  if (head.subarray(0, OLE_SIGNATURE.length).equals(OLE_SIGNATURE)) {
+    return 'Legacy .xls files are not supported, save the sheet as .xlsx or .csv';
+  }
+  if (extension === '.xlsx') {
+    if (!head.subarray(0, ZIP_SIGNATURE.length).equals(ZIP_SIGNATURE)) {
+      return 'File is not a valid .xlsx spreadsheet';
+    }
+
+    const unpackedSize = readUnpackedZipSize(file.buffer);
+    if (unpackedSize === null) {
+      return 'File is not a valid .xlsx spreadsheet';
+    }
+    if (unpackedSize > MAX_SPREADSHEET_UNPACKED_SIZE) {
+      return 'Spreadsheet is too large once unpacked, split it into smaller files';
+    }
+    return null;
+  }
+
+  // CSV must be text: no zip header and no NUL bytes in the first 8KB
+  const sample = file.buffer.subarray(0, 8192);
+  if (head.subarray(0, ZIP_SIGNATURE.length).equals(ZIP_SIGNATURE) || sample.includes(0)) {
+    return 'File is not a valid .csv file';
+  }
+  return null;
+};
+
+// Spreadsheets are parsed straight from memory, nothing is written to disk
+const spreadsheetUploader = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_SPREADSHEET_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, callback) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+
+    if (!SPREADSHEET_EXTENSIONS.includes(extension)) {
+      return callback(new Error(`Only ${SPREADSHEET_EXTENSIONS.join(', ')} files are allowed`));
+    }
+
+    callback(null, true);
+  }
+});
+
+// Images are checked again from their content before being stored
+const imageUploader = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, callback) => {
+    if (!IMAGE_MIMETYPES.includes(file.mimetype)) {
+      return callback(new Error(`Only ${IMAGE_MIMETYPES.join(', ')} images are allowed`));
+    }
+
+    callback(null, true);
+  }
+});
+
+// Wrap a multer middleware so upload errors become 400 responses
+// checkFile(file) can reject the stored file by returning an error message
+const handleUpload = (uploadMiddleware, checkFile) => {
+  return (req, res, next) => {
+    uploadMiddleware(req, res, (error) => {
+      if (error) {
+        const message = error.code === 'LIMIT_FILE_SIZE'
+          ? 'File is too large'
+          : error.message;
+        return res.status(400).json({ message });
+      }
+      if (checkFile && req.file) {
+        const message = checkFile(req.file);
+        if (message) {
+          return res.status(400).json({ message });
+        }
+      }
+      next();
+    });
+  };
+};
+
+// Middleware to accept a single spreadsheet in the "file" field
+const uploadSpreadsheet = handleUpload(spreadsheetUploader.single('file'), checkSpreadsheetContent);
+
+// Middleware to accept a single image in the "file" field
+const uploadImage = handleUpload(imageUploader.single('file'));
+
+module.exports = {
+  handleUpload,
+  uploadSpreadsheet,
+  uploadImage,
+  MAX_IMAGE_SIZE
+};
@@ -0,0 +1,105 @@
+// Run once to convert the experience label and requiredDegree text of existing jobs into structured eligibility
+// Run with: node migrateEligibility.js
+// Add --force to re-parse jobs that already have eligibility
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// MongoDB connection
+const MONGODB_URI = process.env.MONGODB_URI;
+
+if (!MONGODB_URI) {
+  console.error('❌ MONGODB_URI is not defined in environment variables');
+  console.error('Please set MONGODB_URI in your .env file');
+  process.exit(1);
+}
+
+async function migrateEligibility() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ Connected to MongoDB successfully');
+
+    const Job = require('./models/Job');
+    const { UNKNOWN_EXPERIENCE, parseExperienceLabel, parseRequiredDegree } = require('./utils/eligibility');
+
+    const force = process.argv.includes('--force');
+
+    console.log(`Starting eligibility migration${force ? ' (re-parsing every job)' : ''}...`);
+
+    // Trashed jobs are included so they are consistent if restored
+    const query = force ? {} : { 'eligibility.experience.min': { $exists: false } };
+    const jobs = await Job.find(query)
+      .setOptions({ withDeleted: true })
+      .select('jobId experience requiredDegree')
+      .lean();
+
+    console.log(`Found ${jobs.length} jobs to convert`);
+
+    let migratedCount = 0;
+    let batchCount = 0;
+    let withoutDegreesCount = 0;
+    let errorCount = 0;
+    const unreadLabels = new Map();
+
+    for (const job of jobs) {
+      try {
+        const experience = parseExperienceLabel(job.experience);
+        const { degrees, branches } = parseRequiredDegree(job.requiredDegree);
+
+        if (!experience) {
+          const label = String(job.experience || '').trim();
+          unreadLabels.set(label, (unreadLabels.get(label) || 0) + 1);
+        }
+        if (experience && experience.graduationYears.length > 0) {
+          batchCount++;
+        }
+        if (degrees.length === 0) {
+          withoutDegreesCount++;
+        }
+
+        // Unreadable labels are left out of experience filters until fixed
+        const eligibility = {
+          experience: experience ? experience.experience : { ...UNKNOWN_EXPERIENCE },
+          graduationYears: experience ? experience.graduationYears : [],
+          degrees,
+          branches
+        };
+
+        await Job.updateOne({ _id: job._id }, { $set: { eligibility } }, { withDeleted: true });
+        migratedCount++;
+      } catch (error) {
+        errorCount++;
+        console.error(`❌ Error converting job ${job._id}:`, error.message);
+      }
+    }
+
+    console.log('\n=== Migration Summary ===');
+    console.log(`Total jobs found: ${jobs.length}`);
+    console.log(`Successfully migrated: ${migratedCount}`);
+    console.log(`Batch hiring jobs (with graduation years): ${batchCount}`);
+    console.log(`Jobs with no recognised degree (open to any degree): ${withoutDegreesCount}`);
+    console.log(`Errors: ${errorCount}`);
+
+    if (unreadLabels.size > 0) {
+      console.log('\n=== Experience labels that could not be read (left out of experience filters) ===');
+      [...unreadLabels.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 50)
+        .forEach(([text, count]) => console.log(`${count} x "${text}"`));
+      console.log('Fix these jobs by sending an eligibility object with PUT /api/jobs/:id');
+    }
+
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrateEligibility();
@@ -0,0 +1,81 @@
+// Run once to fill in normalizedHiringLink and atsJobKey on jobs created before duplicate detection used them
+// Run with: node migrateHiringLinks.js
+// Add --force to recompute them for every job
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// MongoDB connection
+const MONGODB_URI = process.env.MONGODB_URI;
+
+if (!MONGODB_URI) {
+  console.error('❌ MONGODB_URI is not defined in environment variables');
+  console.error('Please set MONGODB_URI in your .env file');
+  process.exit(1);
+}
+
+async function migrateHiringLinks() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ Connected to MongoDB successfully');
+
+    const Job = require('./models/Job');
+    const { normalizeHiringLink, getAtsJobKey } = require('./utils/hiringLink');
+
+    const force = process.argv.includes('--force');
+
+    console.log(`Starting hiring link migration${force ? ' (recomputing every job)' : ''}...`);
+
+    // Trashed jobs are included so they are found as duplicates if restored
+    const query = force ? {} : { $or: [{ normalizedHiringLink: { $exists: false } }, { normalizedHiringLink: '' }] };
+    const jobs = await Job.find(query)
+      .setOptions({ withDeleted: true })
+      .select('jobId hiringLink')
+      .lean();
+
+    console.log(`Found ${jobs.length} jobs to update`);
+
+    let migratedCount = 0;
+    let atsCount = 0;
+    let errorCount = 0;
+
+    for (const job of jobs) {
+      try {
+        const atsJobKey = getAtsJobKey(job.hiringLink);
+
+        await Job.updateOne(
+          { _id: job._id },
+          { $set: { normalizedHiringLink: normalizeHiringLink(job.hiringLink), atsJobKey } },
+          { withDeleted: true }
+        );
+
+        migratedCount++;
+        if (atsJobKey) {
+          atsCount++;
+        }
+      } catch (error) {
+        errorCount++;
+        console.error(`❌ Error updating job ${job._id}:`, error.message);
+      }
+    }
+
+    console.log('\n=== Migration Summary ===');
+    console.log(`Total jobs found: ${jobs.length}`);
+    console.log(`Successfully migrated: ${migratedCount}`);
+    console.log(`With a known ATS posting id: ${atsCount}`);
+    console.log(`Errors: ${errorCount}`);
+
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrateHiringLinks();
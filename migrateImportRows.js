@@ -0,0 +1,87 @@
+// Run once to move the rows, created jobs, duplicates and failures stored inside JobImport documents
+// into the ImportRow collection, and drop them from the import documents
+// Run with: node migrateImportRows.js
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// MongoDB connection
+const MONGODB_URI = process.env.MONGODB_URI;
+
+if (!MONGODB_URI) {
+  console.error('❌ MONGODB_URI is not defined in environment variables');
+  console.error('Please set MONGODB_URI in your .env file');
+  process.exit(1);
+}
+
+async function migrateImportRows() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ Connected to MongoDB successfully');
+
+    const ImportRow = require('./models/ImportRow');
+    const imports = mongoose.connection.collection('jobimports');
+
+    console.log('Starting import row migration...');
+
+    // The embedded fields are no longer in the schema, so the raw collection is read
+    const cursor = imports.find({
+      $or: [
+        { rows: { $exists: true } },
+        { createdJobs: { $exists: true } },
+        { duplicates: { $exists: true } },
+        { failures: { $exists: true } }
+      ]
+    });
+
+    let importCount = 0;
+    let rowCount = 0;
+    let errorCount = 0;
+
+    for await (const jobImport of cursor) {
+      try {
+        const rows = [
+          // Created jobs were stored without their row numbers
+          ...(jobImport.createdJobs || []).map((jobId, i) => ({ index: -(i + 1), status: 'created', job: jobId })),
+          ...(jobImport.duplicates || []).map(item => ({ index: item.index, status: 'duplicate', jobData: item.jobData, existingJob: item.existingJob })),
+          ...(jobImport.failures || []).map(item => ({ index: item.index, status: 'failed', jobData: item.jobData, error: item.error })),
+          // Rows before the cursor were processed and are already listed above
+          ...(jobImport.rows || []).slice(jobImport.cursor || 0).map(item => ({ index: item.index, status: 'pending', jobData: item.jobData }))
+        ].map(row => ({ ...row, import: jobImport._id }));
+
+        await ImportRow.deleteMany({ import: jobImport._id });
+        if (rows.length > 0) {
+          await ImportRow.insertMany(rows);
+        }
+        await imports.updateOne(
+          { _id: jobImport._id },
+          { $unset: { rows: '', cursor: '', createdJobs: '', duplicates: '', failures: '' } }
+        );
+
+        importCount++;
+        rowCount += rows.length;
+      } catch (error) {
+        errorCount++;
+        console.error(`❌ Error migrating import ${jobImport._id}:`, error.message);
+      }
+    }
+
+    console.log('\n=== Migration Summary ===');
+    console.log(`Imports migrated: ${importCount}`);
+    console.log(`Rows written: ${rowCount}`);
+    console.log(`Errors: ${errorCount}`);
+
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrateImportRows();
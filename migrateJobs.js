@@ -23,6 +23,10 @@ async function migrateJobs() {
     console.log('✅ Connected to MongoDB successfully');
 
     const Job = require('./models/Job');
+    const LifecyclePolicy = require('./models/LifecyclePolicy');
+
+    // Lifecycle timelines come from the stored policies (default: 7 days active, 30 days in dump)
+    const policies = await LifecyclePolicy.getEnabledPolicies();
 
     console.log('Starting job migration...');
 
@@ -43,22 +47,23 @@ async function migrateJobs() {
       try {
         // Calculate job age
         const jobAge = Math.floor((new Date() - new Date(job.datePosted)) / (1000 * 60 * 60 * 24));
+        const policy = LifecyclePolicy.resolveForJob(job, policies);
         
         let status = 'active';
         let movedToDumpAt = null;
         
-        if (jobAge > 37) {
-          // Job is older than 37 days (7 days active + 30 days dump), mark as inactive
+        if (jobAge > policy.activeDays + policy.dumpDays) {
+          // Job has outlived both its active and dump windows, mark as inactive
           status = 'inactive';
-          // Set movedToDumpAt to 30 days after datePosted
+          // Set movedToDumpAt to the end of the active window
           movedToDumpAt = new Date(job.datePosted);
-          movedToDumpAt.setDate(movedToDumpAt.getDate() + 7);
-        } else if (jobAge > 7) {
-          // Job is between 7-37 days old, move to dump
+          movedToDumpAt.setDate(movedToDumpAt.getDate() + policy.activeDays);
+        } else if (jobAge > policy.activeDays) {
+          // Job is past its active window but still within the dump window
           status = 'dump';
-          // Set movedToDumpAt to 7 days after datePosted
+          // Set movedToDumpAt to the end of the active window
           movedToDumpAt = new Date(job.datePosted);
-          movedToDumpAt.setDate(movedToDumpAt.getDate() + 7);
+          movedToDumpAt.setDate(movedToDumpAt.getDate() + policy.activeDays);
         }
         
         // Update the job
@@ -75,7 +80,7 @@ async function migrateJobs() {
         );
         
         migratedCount++;
-        console.log(`✅ Migrated job ${job.jobId} - ${job.role} (${job.companyName}) - Status: ${status}`);
+        console.log(`✅ Migrated job ${job.jobId} - ${job.role} (${job.companyName}) - Status: ${status} (policy: ${policy.name})`);
       } catch (error) {
         errorCount++;
         console.error(`❌ Error migrating job ${job._id}:`, error.message);
@@ -0,0 +1,129 @@
+// Run once to convert the free-text location of existing jobs into structured locations
+// Run with: node migrateLocations.js
+// Add --force to re-parse jobs that already have structured locations
+// Phrases that name no place ("Multiple locations") are skipped and listed at the end, no Location entry is created for them
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// MongoDB connection
+const MONGODB_URI = process.env.MONGODB_URI;
+
+if (!MONGODB_URI) {
+  console.error('❌ MONGODB_URI is not defined in environment variables');
+  console.error('Please set MONGODB_URI in your .env file');
+  process.exit(1);
+}
+
+async function migrateLocations() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ Connected to MongoDB successfully');
+
+    const Job = require('./models/Job');
+    const Location = require('./models/Location');
+    const { KNOWN_CITIES, parseLocationText } = require('./utils/locationParser');
+    const { refreshManagedPlaces, resolveJobLocations } = require('./utils/taxonomy');
+
+    // Location entries for cities in the built-in list get their state, country and coordinates
+    console.log('Adding coordinates to known locations...');
+    let placesUpdated = 0;
+    for (const place of KNOWN_CITIES) {
+      let entry = null;
+      for (const name of [place.city, ...place.aliases]) {
+        entry = entry || await Location.findByText(name);
+      }
+      if (entry && entry.latitude === null) {
+        entry.set({
+          state: entry.state || place.state,
+          country: entry.country || place.country,
+          latitude: place.lat,
+          longitude: place.lng
+        });
+        await entry.save();
+        placesUpdated++;
+      }
+    }
+    console.log(`✅ Added coordinates to ${placesUpdated} locations`);
+
+    // Coordinates admins gave other locations are used while parsing
+    await refreshManagedPlaces({ force: true });
+
+    const force = process.argv.includes('--force');
+
+    console.log(`Starting location migration${force ? ' (re-parsing every job)' : ''}...`);
+
+    // Trashed jobs are included so they are consistent if restored
+    const query = force ? {} : { 'locations.0': { $exists: false } };
+    const jobs = await Job.find(query)
+      .setOptions({ withDeleted: true })
+      .select('jobId location')
+      .lean();
+
+    console.log(`Found ${jobs.length} jobs to convert`);
+
+    let migratedCount = 0;
+    let remoteCount = 0;
+    let withoutCoordinatesCount = 0;
+    let errorCount = 0;
+    const unplaced = new Map();
+
+    for (const job of jobs) {
+      try {
+        const locations = await resolveJobLocations(parseLocationText(job.location));
+
+        if (locations.length === 0) {
+          unplaced.set(job.location, (unplaced.get(job.location) || 0) + 1);
+        }
+        if (locations.some(entry => entry.workMode === 'remote')) {
+          remoteCount++;
+        }
+        if (locations.some(entry => entry.city && !entry.point)) {
+          withoutCoordinatesCount++;
+        }
+
+        const update = { locations };
+        const main = locations.find(entry => entry.locationRef);
+        if (main) {
+          update.locationRef = main.locationRef;
+          update.canonicalLocation = main.city;
+        }
+
+        await Job.updateOne({ _id: job._id }, { $set: update }, { withDeleted: true });
+        migratedCount++;
+      } catch (error) {
+        errorCount++;
+        console.error(`❌ Error converting job ${job._id}:`, error.message);
+      }
+    }
+
+    console.log('\n=== Migration Summary ===');
+    console.log(`Total jobs found: ${jobs.length}`);
+    console.log(`Successfully migrated: ${migratedCount}`);
+    console.log(`Remote jobs: ${remoteCount}`);
+    console.log(`Jobs with a city that has no coordinates: ${withoutCoordinatesCount}`);
+    console.log(`Errors: ${errorCount}`);
+
+    if (unplaced.size > 0) {
+      console.log('\n=== Locations that could not be read or name no place ===');
+      [...unplaced.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 50)
+        .forEach(([text, count]) => console.log(`${count} x "${text}"`));
+    }
+
+    console.log('\nAdd latitude/longitude to locations with PUT /api/taxonomy/locations/:id, then run with --force');
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrateLocations();
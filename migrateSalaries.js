@@ -0,0 +1,99 @@
+// Run once to convert the free-text estPackage of existing jobs into structured salary fields
+// Run with: node migrateSalaries.js
+// Add --force to re-parse jobs that already have a salary
+// Ambiguous packages (a bare "20000" could be monthly or yearly) are listed at the end and stored as not disclosed
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// MongoDB connection
+const MONGODB_URI = process.env.MONGODB_URI;
+
+if (!MONGODB_URI) {
+  console.error('❌ MONGODB_URI is not defined in environment variables');
+  console.error('Please set MONGODB_URI in your .env file');
+  process.exit(1);
+}
+
+async function migrateSalaries() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ Connected to MongoDB successfully');
+
+    const Job = require('./models/Job');
+    const { DEFAULT_CURRENCY, parseEstPackage, annualizeSalary } = require('./utils/salaryParser');
+
+    const force = process.argv.includes('--force');
+
+    console.log(`Starting salary migration${force ? ' (re-parsing every job)' : ''}...`);
+
+    // Trashed jobs are included so they are consistent if restored
+    const query = force ? {} : { 'salary.annualMin': { $exists: false } };
+    const jobs = await Job.find(query)
+      .setOptions({ withDeleted: true })
+      .select('jobId estPackage')
+      .lean();
+
+    console.log(`Found ${jobs.length} jobs to convert`);
+
+    let disclosedCount = 0;
+    let undisclosedCount = 0;
+    let errorCount = 0;
+    const unparsed = new Map();
+
+    for (const job of jobs) {
+      try {
+        const parsed = parseEstPackage(job.estPackage);
+
+        if (!parsed && job.estPackage && job.estPackage.trim()) {
+          const text = job.estPackage.trim();
+          unparsed.set(text, (unparsed.get(text) || 0) + 1);
+        }
+
+        const salary = parsed || { min: null, max: null, currency: DEFAULT_CURRENCY, period: 'year', disclosed: false };
+        await Job.updateOne(
+          { _id: job._id },
+          { $set: { salary: { ...salary, ...annualizeSalary(salary) } } },
+          { withDeleted: true }
+        );
+
+        if (salary.disclosed) {
+          disclosedCount++;
+        } else {
+          undisclosedCount++;
+        }
+      } catch (error) {
+        errorCount++;
+        console.error(`❌ Error converting job ${job._id}:`, error.message);
+      }
+    }
+
+    console.log('\n=== Migration Summary ===');
+    console.log(`Total jobs found: ${jobs.length}`);
+    console.log(`With a salary: ${disclosedCount}`);
+    console.log(`Not disclosed or empty: ${undisclosedCount}`);
+    console.log(`Errors: ${errorCount}`);
+
+    if (unparsed.size > 0) {
+      console.log('\n=== Packages that could not be read or are ambiguous (stored as not disclosed) ===');
+      [...unparsed.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 50)
+        .forEach(([text, count]) => console.log(`${count} x "${text}"`));
+      console.log('Fix these jobs by sending a salary object with PUT /api/jobs/:id');
+    }
+
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrateSalaries();
@@ -0,0 +1,61 @@
+// Run once to link existing jobs to the canonical Company, Location and Skill collections
+// Run with: node migrateTaxonomy.js
+// Afterwards merge duplicates (e.g. "Bangalore" into "Bengaluru") with POST /api/taxonomy/:type/:id/merge
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// MongoDB connection
+const MONGODB_URI = process.env.MONGODB_URI;
+
+if (!MONGODB_URI) {
+  console.error('❌ MONGODB_URI is not defined in environment variables');
+  console.error('Please set MONGODB_URI in your .env file');
+  process.exit(1);
+}
+
+async function migrateTaxonomy() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ Connected to MongoDB successfully');
+
+    const Company = require('./models/Company');
+    const Location = require('./models/Location');
+    const Skill = require('./models/Skill');
+    const { backfillJobTaxonomy } = require('./utils/taxonomy');
+
+    console.log('Seeding skills from the built-in dictionary...');
+    const { created } = await Skill.seedFromDictionary();
+    console.log(`✅ Added ${created} skills`);
+
+    console.log('Linking jobs to companies and locations...');
+    const updated = await backfillJobTaxonomy();
+
+    // Companies created before profiles existed have no slug yet
+    const companiesWithoutSlug = await Company.find({ $or: [{ slug: { $exists: false } }, { slug: null }] });
+    for (const company of companiesWithoutSlug) {
+      await company.save();
+    }
+    console.log(`✅ Added slugs to ${companiesWithoutSlug.length} companies`);
+
+    console.log('\n=== Migration Summary ===');
+    console.log(`Jobs linked: ${updated}`);
+    console.log(`Companies: ${await Company.countDocuments()}`);
+    console.log(`Locations: ${await Location.countDocuments()}`);
+    console.log(`Skills: ${await Skill.countDocuments()}`);
+
+    console.log('\nRun node normalizeSkills.js to rewrite stored skill tags to their canonical names');
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrateTaxonomy();
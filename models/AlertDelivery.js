@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Days delivery records are kept
+const DELIVERY_RETENTION_DAYS = parseInt(process.env.ALERT_DELIVERY_RETENTION_DAYS) || 180;
+
+// One digest sent (or attempted) for a saved search
+const alertDeliverySchema = new mongoose.Schema({
+  savedSearch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavedSearch',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  channel: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true
+  },
+  // Jobs posted in this window were considered
+  windowStart: {
+    type: Date,
+    required: true
+  },
+  windowEnd: {
+    type: Date,
+    required: true
+  },
+  // New jobs matching the search, jobs lists the ones included in the digest
+  totalMatches: {
+    type: Number,
+    default: 0
+  },
+  jobs: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  }],
+  // Id given by the mailer or webhook receiver
+  messageId: {
+    type: String,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+alertDeliverySchema.index({ savedSearch: 1, createdAt: -1 });
+alertDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('AlertDelivery', alertDeliverySchema);
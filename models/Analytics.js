@@ -168,7 +168,26 @@ analyticsSchema.statics.recordJobClick = async function(jobId) {
   return analytics.save();
 };
 
+// Static method to remove view/click entries of permanently deleted jobs
+analyticsSchema.statics.removeJobReferences = function(jobIds) {
+  return this.updateMany(
+    {
+      $or: [
+        { 'jobViews.jobId': { $in: jobIds } },
+        { 'jobClicks.jobId': { $in: jobIds } }
+      ]
+    },
+    {
+      $pull: {
+        jobViews: { jobId: { $in: jobIds } },
+        jobClicks: { jobId: { $in: jobIds } }
+      }
+    }
+  );
+};
+
 // Static method to get analytics for date range with proper population
+// Soft-deleted jobs populate as null, purged jobs have their entries removed
 analyticsSchema.statics.getAnalyticsForDateRange = async function(startDate, endDate) {
   return this.find({
     date: {
@@ -178,13 +197,11 @@ analyticsSchema.statics.getAnalyticsForDateRange = async function(startDate, end
   })
   .populate({
     path: 'jobViews.jobId',
-    select: 'companyName role location datePosted status',
-    match: { status: { $ne: null } } // Only populate jobs that still exist
+    select: 'companyName companyRef role location datePosted status'
   })
   .populate({
     path: 'jobClicks.jobId',
-    select: 'companyName role location datePosted status',
-    match: { status: { $ne: null } } // Only populate jobs that still exist
+    select: 'companyName companyRef role location datePosted status'
   })
   .lean(); // Use lean for better performance
 };
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const assetSchema = new mongoose.Schema({
+  // What the upload is used for, also the folder it is stored in
+  kind: {
+    type: String,
+    enum: ['logo', 'image'],
+    default: 'image',
+    index: true
+  },
+  storage: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  originalName: {
+    type: String,
+    default: ''
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  width: Number,
+  height: Number,
+  thumbnails: [{
+    _id: false,
+    size: Number,
+    key: String,
+    url: String
+  }],
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    default: null,
+    index: true
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    default: null,
+    index: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Method to get the URL of the smallest thumbnail at least `size` pixels wide, or the original
+assetSchema.methods.thumbnailUrl = function(size) {
+  const thumbnail = [...this.thumbnails]
+    .sort((a, b) => a.size - b.size)
+    .find(item => item.size >= size);
+  return thumbnail ? thumbnail.url : this.url;
+};
+
+module.exports = mongoose.model('Asset', assetSchema);
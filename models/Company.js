@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const taxonomyPlugin = require('./plugins/taxonomy');
+
+// Legal suffixes ignored when comparing company names ("Google LLC" is "Google")
+const LEGAL_SUFFIXES = ['inc', 'llc', 'llp', 'ltd', 'limited', 'pvt', 'private', 'corp', 'corporation', 'co', 'plc', 'gmbh'];
+
+const toCompanyKey = (name) => {
+  const words = String(name)
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  while (words.length > 1 && LEGAL_SUFFIXES.includes(words[words.length - 1])) {
+    words.pop();
+  }
+  return words.join('');
+};
+
+const toSlug = (name) => String(name)
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '') || 'company';
+
+const urlValidator = {
+  validator: function(v) {
+    return !v || /^https?:\/\/.+/.test(v);
+  },
+  message: 'Please enter a valid URL'
+};
+
+const companySchema = new mongoose.Schema({
+  // URL-friendly name used by the public company page
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  logo: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // Small version of an uploaded logo, empty for logos given as an external URL
+  logoThumbnail: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  website: {
+    type: String,
+    default: '',
+    trim: true,
+    validate: urlValidator
+  },
+  description: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: 5000
+  },
+  industry: {
+    type: String,
+    default: '',
+    trim: true,
+    index: true
+  }
+});
+
+companySchema.plugin(taxonomyPlugin, { toKey: toCompanyKey });
+
+// A logo set by URL has no thumbnail of its own
+companySchema.pre('validate', function() {
+  if (this.isModified('logo') && !this.isModified('logoThumbnail')) {
+    this.logoThumbnail = '';
+  }
+});
+
+// Give new companies a unique slug ("acme", then "acme-2", ...)
+companySchema.pre('validate', async function() {
+  if (this.slug || !this.name) return;
+
+  const baseSlug = toSlug(this.name);
+  let slug = baseSlug;
+  let suffix = 2;
+
+  while (await this.constructor.exists({ slug, _id: { $ne: this._id } })) {
+    slug = `${baseSlug}-${suffix}`;
+    suffix++;
+  }
+  this.slug = slug;
+});
+
+// Static method to find a company by id or slug
+companySchema.statics.findByIdOrSlug = function(idOrSlug) {
+  if (mongoose.Types.ObjectId.isValid(idOrSlug) && String(idOrSlug).length === 24) {
+    return this.findOne({ $or: [{ _id: idOrSlug }, { slug: idOrSlug }] });
+  }
+  return this.findOne({ slug: String(idOrSlug).toLowerCase() });
+};
+
+module.exports = mongoose.model('Company', companySchema);
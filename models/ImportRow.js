@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const IMPORT_ROW_STATUSES = ['pending', 'created', 'duplicate', 'failed'];
+
+// One row of a bulk import and its outcome
+// Kept out of the JobImport document so large imports stay well under MongoDB's 16MB document limit
+const importRowSchema = new mongoose.Schema({
+  import: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobImport',
+    required: true
+  },
+  // Row number reported back (array index, or spreadsheet row)
+  index: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: IMPORT_ROW_STATUSES,
+    default: 'pending'
+  },
+  // Job input as given, dropped once the job is created
+  jobData: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    default: null
+  },
+  existingJob: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+importRowSchema.index({ import: 1, status: 1, index: 1 });
+importRowSchema.index({ import: 1, index: 1 });
+
+// Static method to get the next rows of an import waiting to be processed
+importRowSchema.statics.nextPending = function(importId, limit) {
+  return this.find({ import: importId, status: 'pending' })
+    .sort({ index: 1 })
+    .limit(limit)
+    .lean();
+};
+
+module.exports = mongoose.model('ImportRow', importRowSchema);
@@ -1,4 +1,163 @@
 const mongoose = require('mongoose');
+const { encodeCursor } = require('../utils/cursor');
+const { escapeRegex } = require('../utils/regex');
+const LifecyclePolicy = require('./LifecyclePolicy');
+const JobHistory = require('./JobHistory');
+const SavedJob = require('./SavedJob');
+const Analytics = require('./Analytics');
+const { normalizeHiringLink, getAtsJobKey } = require('../utils/hiringLink');
+const { SKILL_CATEGORIES, normalizeTags, normalizeSkills } = require('../utils/skillExtractor');
+const { WORK_MODES, parseLocationText, formatLocations, kmToRadians } = require('../utils/locationParser');
+const { ANY_DEGREE, ANY_BRANCH, UNKNOWN_EXPERIENCE, normalizeDegrees, normalizeBranches, parseRequiredDegree, parseExperienceLabel, formatExperienceLabel, formatRequiredDegree, isValidGraduationYear } = require('../utils/eligibility');
+const { clearSimilarJobsCache } = require('../utils/similarJobsCache');
+const { SALARY_CURRENCIES, SALARY_PERIODS, DEFAULT_CURRENCY, parseEstPackage, annualizeSalary, formatSalary } = require('../utils/salaryParser');
+
+// Fields the job listings can be sorted by ('relevance' needs a text search)
+const SORTABLE_FIELDS = ['relevance', 'datePosted', 'applyBy', 'lastStatusChange', 'createdAt', 'updatedAt', 'companyName', 'role', 'location', 'experience', 'salary', 'analytics.views', 'analytics.clicks'];
+
+// Sort options stored under another path
+const SORT_PATHS = {
+  experience: 'eligibility.experience.min'
+};
+
+// Company profile fields shown next to jobs in the listings
+const COMPANY_SUMMARY_FIELDS = 'name slug logo logoThumbnail website industry';
+
+// Free-text fields and the field holding their canonical taxonomy name
+const CANONICAL_FIELDS = {
+  companyName: 'canonicalCompanyName',
+  location: 'canonicalLocation'
+};
+
+// Days a soft-deleted job stays in the trash before it is purged
+const TRASH_RETENTION_DAYS = parseInt(process.env.JOB_TRASH_RETENTION_DAYS) || 30;
+
+// Skill categories stored on a job
+const SKILL_FIELDS = ['skills.languages', 'skills.technologies', 'skills.frameworks', 'skills.databases', 'skills.tools', 'skills.others'];
+
+// Helper function to get the date `days` days before `now`
+const daysBefore = (days, now = new Date()) => {
+  const date = new Date(now);
+  date.setDate(date.getDate() - days);
+  return date;
+};
+
+// Helper function to get when a job went live (scheduled jobs go live at publishAt)
+const liveSince = (job) => {
+  return job.publishAt && job.publishAt > job.datePosted ? job.publishAt : job.datePosted;
+};
+
+// Helper function to check if an active job has outlived its policy's active window
+const isDueForDump = (job, policy, now = new Date()) => {
+  return job.status === 'active' && liveSince(job) < daysBefore(policy.activeDays, now);
+};
+
+// Helper function to read a date-only applyBy ("2026-05-31") as the end of that day in UTC,
+// so the job stays open through its last day; values with a time are kept as given
+const toEndOfDay = (value) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value.trim())) {
+    return new Date(`${value.trim()}T23:59:59.999Z`);
+  }
+  return value;
+};
+
+// Helper function to check if an active job's application deadline has passed
+const isPastDeadline = (job, now = new Date()) => {
+  return job.status === 'active' && !!job.applyBy && job.applyBy < now;
+};
+
+// Helper function to check if a dump job has outlived its policy's dump window
+const isDueForInactive = (job, policy, now = new Date()) => {
+  return job.status === 'dump' && !!job.movedToDumpAt && job.movedToDumpAt < daysBefore(policy.dumpDays, now);
+};
+
+// Helper function to build a sort object from sortBy/sortOrder params
+const buildSort = (sortBy, sortOrder, hasTextSearch = false) => {
+  const direction = sortOrder === 'asc' ? 1 : -1;
+  let field = SORTABLE_FIELDS.includes(sortBy) ? sortBy : null;
+  
+  if (!field) {
+    field = hasTextSearch ? 'relevance' : 'datePosted';
+  }
+  
+  // Pay sorts on the annual amount, jobs without a disclosed salary come last either way
+  if (field === 'salary') {
+    return {
+      'salary.disclosed': -1,
+      [direction === 1 ? 'salary.annualMin' : 'salary.annualMax']: direction,
+      datePosted: -1,
+      _id: direction
+    };
+  }
+  
+  if (field === 'relevance') {
+    if (!hasTextSearch) {
+      return { datePosted: -1, _id: -1 };
+    }
+    // Text score can only be sorted descending
+    return { score: { $meta: 'textScore' }, datePosted: -1, _id: -1 };
+  }
+  
+  const sort = { [SORT_PATHS[field] || field]: direction };
+  if (field !== 'datePosted') {
+    sort.datePosted = -1;
+  }
+  // _id keeps the order stable between pages when dates collide
+  sort._id = direction;
+  return sort;
+};
+
+// GeoJSON point, coordinates are [longitude, latitude]
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    required: true
+  },
+  coordinates: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: function(v) {
+        return v.length === 2 && Math.abs(v[0]) <= 180 && Math.abs(v[1]) <= 90;
+      },
+      message: 'coordinates must be [longitude, latitude]'
+    }
+  }
+}, { _id: false });
+
+// One place a job can be done from; a remote entry may name only a country or nothing at all
+const jobLocationSchema = new mongoose.Schema({
+  city: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  state: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  country: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  workMode: {
+    type: String,
+    enum: WORK_MODES,
+    default: 'onsite'
+  },
+  point: {
+    type: pointSchema,
+    default: undefined
+  },
+  locationRef: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  }
+}, { _id: false });
 
 const jobSchema = new mongoose.Schema({
   jobId: {
@@ -22,26 +181,98 @@ const jobSchema = new mongoose.Schema({
     trim: true,
     index: true
   },
+  // Display text of the locations ("Bengaluru, Pune (Hybrid)"), parsed into locations when they are not given
   location: {
     type: String,
     required: true,
     trim: true,
     index: true
   },
+  locations: {
+    type: [jobLocationSchema],
+    default: []
+  },
+  // Canonical Company/Location entries resolved from companyName/location, which keep the text as entered
+  companyRef: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    default: null,
+    index: true
+  },
+  canonicalCompanyName: {
+    type: String,
+    default: null,
+    index: true
+  },
+  locationRef: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null,
+    index: true
+  },
+  canonicalLocation: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // Experience label shown in listings ("0-1", "2026 passout"), parsed into eligibility when it is not given
   experience: {
     type: String,
     required: true,
-    enum: ['0-1', '1-2', '2-3', '3+', '4+', '5+', '6+', 'intern', '2026 passout', '2025 passout', '2027 passout'],
+    trim: true,
     index: true
   },
   description: {
     type: String,
     required: true
   },
+  // Degree text as entered ("B.Tech/B.E. in CSE or IT"), parsed into eligibility when it is not given
   requiredDegree: {
     type: String,
     required: true
   },
+  eligibility: {
+    // Years of experience; max null means no upper limit, min and max null mean the label could not be read
+    experience: {
+      min: {
+        type: Number,
+        default: 0,
+        min: [0, 'eligibility.experience.min cannot be negative']
+      },
+      max: {
+        type: Number,
+        default: null,
+        validate: {
+          validator: function(v) {
+            // Only checked on save, update validators run without the document
+            if (v === null || !(this instanceof mongoose.Document)) return true;
+            return v >= (this.get('eligibility.experience.min') || 0);
+          },
+          message: 'eligibility.experience.max must not be below eligibility.experience.min'
+        }
+      }
+    },
+    // Batches the job is open to (campus hiring), empty when not restricted by batch
+    graduationYears: {
+      type: [Number],
+      default: [],
+      validate: {
+        validator: function(v) {
+          return v.every(isValidGraduationYear);
+        },
+        message: 'eligibility.graduationYears must be four-digit years'
+      }
+    },
+    // Canonical degree and branch names, empty when any is accepted
+    degrees: [{
+      type: String,
+      trim: true
+    }],
+    branches: [{
+      type: String,
+      trim: true
+    }]
+  },
   employmentType: {
     type: String,
     required: true,
@@ -58,10 +289,73 @@ const jobSchema = new mongoose.Schema({
       message: 'Please enter a valid URL'
     }
   },
+  // Import row the job was created from, so an interrupted import batch never creates it twice
+  importRow: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportRow',
+    default: null
+  },
+  // Derived from hiringLink for duplicate detection, kept in sync by hooks below
+  normalizedHiringLink: {
+    type: String,
+    default: '',
+    index: true
+  },
+  atsJobKey: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // Free-text package as entered ("8-12 LPA"), parsed into salary when no salary is given
   estPackage: {
     type: String,
     default: ''
   },
+  salary: {
+    min: {
+      type: Number,
+      default: null,
+      min: [0, 'salary.min cannot be negative']
+    },
+    max: {
+      type: Number,
+      default: null,
+      min: [0, 'salary.max cannot be negative'],
+      validate: {
+        validator: function(v) {
+          // Only checked on save, update validators run without the document
+          if (v === null || !(this instanceof mongoose.Document)) return true;
+          const min = this.get('salary.min');
+          return min === null || min === undefined || v >= min;
+        },
+        message: 'salary.max must not be below salary.min'
+      }
+    },
+    currency: {
+      type: String,
+      enum: SALARY_CURRENCIES,
+      uppercase: true,
+      default: DEFAULT_CURRENCY
+    },
+    period: {
+      type: String,
+      enum: SALARY_PERIODS,
+      default: 'year'
+    },
+    disclosed: {
+      type: Boolean,
+      default: false
+    },
+    // Derived annual amounts used to filter and sort across pay periods
+    annualMin: {
+      type: Number,
+      default: null
+    },
+    annualMax: {
+      type: Number,
+      default: null
+    }
+  },
   skills: {
     languages: [{
       type: String,
@@ -97,6 +391,28 @@ const jobSchema = new mongoose.Schema({
     default: Date.now,
     index: true
   },
+  // Job stays hidden from the public API until this time
+  publishAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  // Last day to apply, the job leaves active once it has passed
+  // A date without a time means the end of that day (UTC)
+  applyBy: {
+    type: Date,
+    default: null,
+    index: true,
+    set: toEndOfDay,
+    validate: {
+      validator: function(v) {
+        // Only checked on save, update validators run without the document
+        if (!v || !(this instanceof mongoose.Document) || !this.publishAt) return true;
+        return v > this.publishAt;
+      },
+      message: 'applyBy must be after publishAt'
+    }
+  },
   status: {
     type: String,
     enum: ['active', 'dump', 'inactive'],
@@ -120,6 +436,50 @@ const jobSchema = new mongoose.Schema({
     ref: 'Admin',
     required: true
   },
+  // Result of the last hiring link health check
+  linkHealth: {
+    lastCheckedAt: {
+      type: Date,
+      default: null
+    },
+    httpStatus: {
+      type: Number,
+      default: null
+    },
+    finalUrl: {
+      type: String,
+      default: ''
+    },
+    result: {
+      type: String,
+      // blocked: bot protection or rate limiting (401, 403, 405, 429), inconclusive
+      enum: ['ok', 'redirected', 'closed', 'dead', 'blocked', 'error', null],
+      default: null
+    },
+    error: {
+      type: String,
+      default: ''
+    },
+    consecutiveFailures: {
+      type: Number,
+      default: 0
+    },
+    flagged: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Soft delete: set when an admin deletes the job, purged after the retention window
+  deletedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
   analytics: {
     views: {
       type: Number,
@@ -142,10 +502,305 @@ const jobSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 jobSchema.index({ role: 1, location: 1, experience: 1 });
+jobSchema.index({ importRow: 1 }, { unique: true, partialFilterExpression: { importRow: { $type: 'objectId' } } });
 jobSchema.index({ keywords: 1 });
 jobSchema.index({ datePosted: -1 });
 jobSchema.index({ status: 1, datePosted: -1 });
 jobSchema.index({ status: 1, movedToDumpAt: 1 });
+jobSchema.index({ status: 1, lastStatusChange: -1, _id: -1 });
+jobSchema.index({ status: 1, 'linkHealth.lastCheckedAt': 1 });
+jobSchema.index({ 'linkHealth.flagged': 1, status: 1 });
+jobSchema.index({ 'eligibility.graduationYears': 1 });
+jobSchema.index({ 'eligibility.degrees': 1 });
+jobSchema.index({ 'eligibility.branches': 1 });
+jobSchema.index({ 'eligibility.experience.min': 1, 'eligibility.experience.max': 1 });
+jobSchema.index({ 'locations.point': '2dsphere' });
+jobSchema.index({ 'locations.workMode': 1, status: 1 });
+jobSchema.index({ 'locations.city': 1 });
+jobSchema.index({ 'salary.currency': 1, 'salary.annualMin': 1, 'salary.annualMax': 1 });
+
+// Weighted text index for relevance search (MongoDB allows only one per collection)
+jobSchema.index(
+  {
+    role: 'text',
+    companyName: 'text',
+    keywords: 'text',
+    'skills.languages': 'text',
+    'skills.technologies': 'text',
+    'skills.frameworks': 'text',
+    'skills.databases': 'text',
+    'skills.tools': 'text',
+    'skills.others': 'text',
+    description: 'text'
+  },
+  {
+    name: 'job_text_search',
+    weights: {
+      role: 10,
+      companyName: 8,
+      keywords: 6,
+      'skills.languages': 5,
+      'skills.technologies': 5,
+      'skills.frameworks': 5,
+      'skills.databases': 5,
+      'skills.tools': 5,
+      'skills.others': 3,
+      description: 1
+    }
+  }
+);
+
+// Hide soft-deleted jobs from queries unless the query filters on deletedAt
+// itself or is run with .setOptions({ withDeleted: true })
+const excludeDeletedJobs = function() {
+  if (this.getOptions().withDeleted) return;
+  if (this.getFilter().deletedAt !== undefined) return;
+  this.where({ deletedAt: null });
+};
+
+jobSchema.pre(
+  ['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateOne', 'updateMany'],
+  { document: false, query: true },
+  excludeDeletedJobs
+);
+
+jobSchema.pre('aggregate', function() {
+  if (this.options.withDeleted) return;
+  
+  const pipeline = this.pipeline();
+  const firstStage = pipeline[0];
+  
+  // $text and $geoNear have to stay in the first stage, so merge into it when possible
+  if (firstStage && firstStage.$match) {
+    if (firstStage.$match.deletedAt === undefined) {
+      firstStage.$match.deletedAt = null;
+    }
+  } else if (firstStage && firstStage.$geoNear) {
+    firstStage.$geoNear.query = { ...(firstStage.$geoNear.query || {}), deletedAt: null };
+  } else {
+    pipeline.unshift({ $match: { deletedAt: null } });
+  }
+});
+
+// Fields that decide whether a job is listed, changing them makes cached "similar jobs" lists stale
+const LISTING_FIELDS = ['status', 'isActive', 'deletedAt', 'publishAt'];
+
+// Clear the similar jobs cache when a job is created or its listing status changes
+jobSchema.pre('save', function(next) {
+  this.$locals.listingChanged = this.isNew || LISTING_FIELDS.some(field => this.isModified(field));
+  next();
+});
+
+jobSchema.post('save', function(doc) {
+  if (doc.$locals.listingChanged) {
+    clearSimilarJobsCache();
+  }
+});
+
+jobSchema.post('insertMany', function() {
+  clearSimilarJobsCache();
+});
+
+jobSchema.post(['findOneAndUpdate', 'updateOne', 'updateMany'], { document: false, query: true }, function() {
+  const update = this.getUpdate() || {};
+  const paths = [update, update.$set, update.$unset].filter(Boolean).flatMap(fields => Object.keys(fields));
+  if (paths.some(path => LISTING_FIELDS.includes(path))) {
+    clearSimilarJobsCache();
+  }
+});
+
+// Keep the derived hiring link fields in sync on save
+jobSchema.pre('validate', function(next) {
+  if (this.isModified('hiringLink') || !this.normalizedHiringLink) {
+    this.normalizedHiringLink = normalizeHiringLink(this.hiringLink);
+    this.atsJobKey = getAtsJobKey(this.hiringLink);
+  }
+  next();
+});
+
+// ...and on findByIdAndUpdate/findOneAndUpdate
+jobSchema.pre('findOneAndUpdate', function() {
+  const update = this.getUpdate() || {};
+  const hiringLink = update.hiringLink !== undefined ? update.hiringLink : (update.$set && update.$set.hiringLink);
+  
+  if (hiringLink !== undefined) {
+    this.set({
+      normalizedHiringLink: normalizeHiringLink(hiringLink),
+      atsJobKey: getAtsJobKey(hiringLink)
+    });
+  }
+});
+
+// Store skills and keywords under their canonical names so filters match every spelling
+jobSchema.pre('validate', function(next) {
+  SKILL_CATEGORIES.forEach(category => {
+    const path = `skills.${category}`;
+    if (this.isModified(path) && Array.isArray(this.get(path))) {
+      this.set(path, normalizeTags(this.get(path)));
+    }
+  });
+  if (this.isModified('keywords') && Array.isArray(this.keywords)) {
+    this.keywords = normalizeTags(this.keywords);
+  }
+  next();
+});
+
+// ...and on findByIdAndUpdate/findOneAndUpdate
+jobSchema.pre('findOneAndUpdate', function() {
+  const update = this.getUpdate() || {};
+  
+  [update, update.$set].filter(Boolean).forEach(fields => {
+    if (fields.skills) {
+      fields.skills = normalizeSkills(fields.skills);
+    }
+    if (Array.isArray(fields.keywords)) {
+      fields.keywords = normalizeTags(fields.keywords);
+    }
+    SKILL_CATEGORIES.forEach(category => {
+      if (Array.isArray(fields[`skills.${category}`])) {
+        fields[`skills.${category}`] = normalizeTags(fields[`skills.${category}`]);
+      }
+    });
+  });
+});
+
+// Keep the experience/requiredDegree text and eligibility in step on save: text alone is parsed, eligibility alone is formatted
+jobSchema.pre('validate', function(next) {
+  const experienceModified = this.isModified('eligibility.experience') || this.isModified('eligibility.graduationYears');
+  const degreesModified = this.isModified('eligibility.degrees') || this.isModified('eligibility.branches');
+  
+  if (this.isModified('experience') && !experienceModified) {
+    const parsed = parseExperienceLabel(this.experience);
+    this.set('eligibility.experience', parsed ? parsed.experience : { ...UNKNOWN_EXPERIENCE });
+    this.set('eligibility.graduationYears', parsed ? parsed.graduationYears : []);
+  } else if (experienceModified && !this.experience) {
+    this.experience = formatExperienceLabel(this.eligibility);
+  }
+  
+  if (this.isModified('requiredDegree') && !degreesModified) {
+    const parsed = parseRequiredDegree(this.requiredDegree);
+    this.set('eligibility.degrees', parsed.degrees);
+    this.set('eligibility.branches', parsed.branches);
+  } else if (degreesModified) {
+    this.set('eligibility.degrees', normalizeDegrees(this.eligibility.degrees));
+    this.set('eligibility.branches', normalizeBranches(this.eligibility.branches));
+    if (!this.requiredDegree) {
+      this.requiredDegree = formatRequiredDegree(this.eligibility);
+    }
+  }
+  next();
+});
+
+// ...and on findByIdAndUpdate/findOneAndUpdate (eligibility is replaced as a whole)
+jobSchema.pre('findOneAndUpdate', function() {
+  const update = this.getUpdate() || {};
+  
+  [update, update.$set].filter(Boolean).forEach(fields => {
+    if (fields.eligibility && typeof fields.eligibility === 'object') {
+      fields.eligibility = {
+        ...fields.eligibility,
+        degrees: normalizeDegrees(fields.eligibility.degrees || []),
+        branches: normalizeBranches(fields.eligibility.branches || [])
+      };
+      if (!fields.experience) {
+        fields.experience = formatExperienceLabel(fields.eligibility);
+      }
+      if (!fields.requiredDegree) {
+        fields.requiredDegree = formatRequiredDegree(fields.eligibility);
+      }
+      return;
+    }
+    
+    if (typeof fields.experience === 'string') {
+      const parsed = parseExperienceLabel(fields.experience);
+      fields['eligibility.experience'] = parsed ? parsed.experience : { ...UNKNOWN_EXPERIENCE };
+      fields['eligibility.graduationYears'] = parsed ? parsed.graduationYears : [];
+    }
+    if (typeof fields.requiredDegree === 'string') {
+      const parsed = parseRequiredDegree(fields.requiredDegree);
+      fields['eligibility.degrees'] = parsed.degrees;
+      fields['eligibility.branches'] = parsed.branches;
+    }
+  });
+});
+
+// Keep location and locations in step on save: the text alone is parsed, the entries alone are formatted
+jobSchema.pre('validate', function(next) {
+  if (this.isModified('location') && !this.isModified('locations')) {
+    this.locations = parseLocationText(this.location);
+  } else if (this.isModified('locations') && !this.location) {
+    this.location = formatLocations(this.locations);
+  }
+  next();
+});
+
+// ...and on findByIdAndUpdate/findOneAndUpdate
+jobSchema.pre('findOneAndUpdate', function() {
+  const update = this.getUpdate() || {};
+  
+  [update, update.$set].filter(Boolean).forEach(fields => {
+    if (Array.isArray(fields.locations)) {
+      if (!fields.location) {
+        fields.location = formatLocations(fields.locations);
+      }
+    } else if (typeof fields.location === 'string') {
+      fields.locations = parseLocationText(fields.location);
+    }
+  });
+});
+
+// Helper function to complete salary fields: a salary without amounts is undisclosed, annual amounts are derived
+const buildSalary = (salary) => {
+  const disclosed = salary.disclosed !== undefined
+    ? Boolean(salary.disclosed)
+    : typeof salary.min === 'number' || typeof salary.max === 'number';
+  const complete = {
+    min: typeof salary.min === 'number' ? salary.min : null,
+    max: typeof salary.max === 'number' ? salary.max : null,
+    currency: salary.currency ? String(salary.currency).toUpperCase() : DEFAULT_CURRENCY,
+    period: salary.period || 'year',
+    disclosed
+  };
+  return { ...complete, ...annualizeSalary(complete) };
+};
+
+// Keep salary and estPackage in step on save: estPackage alone is parsed, salary alone is formatted
+jobSchema.pre('validate', function(next) {
+  const salaryModified = ['salary.min', 'salary.max', 'salary.currency', 'salary.period', 'salary.disclosed']
+    .some(path => this.isModified(path));
+  
+  // Text that cannot be read leaves the salary undisclosed rather than stale
+  if (this.isModified('estPackage') && !salaryModified) {
+    this.salary = buildSalary(parseEstPackage(this.estPackage) || { disclosed: false });
+  } else if (salaryModified) {
+    const salary = this.salary.toObject();
+    // The schema default for disclosed is not a choice, amounts decide it then
+    if (this.$isDefault('salary.disclosed')) {
+      delete salary.disclosed;
+    }
+    this.salary = buildSalary(salary);
+    if (!this.estPackage && this.salary.disclosed) {
+      this.estPackage = formatSalary(this.salary);
+    }
+  }
+  next();
+});
+
+// ...and on findByIdAndUpdate/findOneAndUpdate (salary is replaced as a whole)
+jobSchema.pre('findOneAndUpdate', function() {
+  const update = this.getUpdate() || {};
+  
+  [update, update.$set].filter(Boolean).forEach(fields => {
+    if (fields.salary && typeof fields.salary === 'object') {
+      fields.salary = buildSalary(fields.salary);
+      if (!fields.estPackage && fields.salary.disclosed) {
+        fields.estPackage = formatSalary(fields.salary);
+      }
+    } else if (typeof fields.estPackage === 'string') {
+      fields.salary = buildSalary(parseEstPackage(fields.estPackage) || { disclosed: false });
+    }
+  });
+});
 
 // Virtual for formatted date
 jobSchema.virtual('formattedDate').get(function() {
@@ -156,22 +811,27 @@ jobSchema.virtual('formattedDate').get(function() {
   });
 });
 
-// Virtual to check if job should be moved to dump (7 days old)
+// Virtual to check if job should be moved to dump
+// Uses the lifecycle policy set in $locals.lifecyclePolicy, or the default 7 days
 jobSchema.virtual('shouldMoveToDump').get(function() {
-  if (this.status !== 'active') return false;
-  const sevenDaysAgo = new Date();
-  sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-  return this.datePosted < sevenDaysAgo;
+  const policy = this.$locals.lifecyclePolicy || LifecyclePolicy.getDefaultPolicy();
+  return isDueForDump(this, policy);
 });
 
-// Virtual to check if job should be moved to inactive (30 days in dump)
+// Virtual to check if job should be moved to inactive (default 30 days in dump)
 jobSchema.virtual('shouldMoveToInactive').get(function() {
-  if (this.status !== 'dump' || !this.movedToDumpAt) return false;
-  const thirtyDaysAgo = new Date();
-  thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-  return this.movedToDumpAt < thirtyDaysAgo;
+  const policy = this.$locals.lifecyclePolicy || LifecyclePolicy.getDefaultPolicy();
+  return isDueForInactive(this, policy);
 });
 
+// Method to check if the public API may show this job
+jobSchema.methods.isPubliclyVisible = function(now = new Date()) {
+  if (this.status !== 'active' || !this.isActive) return false;
+  if (this.publishAt && this.publishAt > now) return false;
+  if (this.applyBy && this.applyBy < now) return false;
+  return true;
+};
+
 // Method to increment views
 jobSchema.methods.incrementViews = function() {
   this.analytics.views += 1;
@@ -186,118 +846,590 @@ jobSchema.methods.incrementClicks = function() {
   return this.save();
 };
 
+// Helper method to save a status change and record it in the job history
+// actor is the admin making the change, null for system changes
+jobSchema.methods.saveStatusChange = async function(oldStatus, actor = null, historyOptions = {}) {
+  const saved = await this.save();
+  if (oldStatus !== this.status) {
+    await JobHistory.recordStatusChange(this, oldStatus, this.status, actor, historyOptions);
+  }
+  return saved;
+};
+
 // Method to move job to dump
-jobSchema.methods.moveToDump = function() {
+jobSchema.methods.moveToDump = function(actor = null, historyOptions = {}) {
+  const oldStatus = this.status;
   this.status = 'dump';
   this.movedToDumpAt = new Date();
   this.lastStatusChange = new Date();
-  return this.save();
+  return this.saveStatusChange(oldStatus, actor, historyOptions);
 };
 
 // Method to move job to inactive
-jobSchema.methods.moveToInactive = function() {
+jobSchema.methods.moveToInactive = function(actor = null, historyOptions = {}) {
+  const oldStatus = this.status;
   this.status = 'inactive';
   this.isActive = false;
   this.lastStatusChange = new Date();
-  return this.save();
+  return this.saveStatusChange(oldStatus, actor, historyOptions);
 };
 
 // Method to reactivate job
-jobSchema.methods.reactivate = function() {
+jobSchema.methods.reactivate = function(actor = null, historyOptions = {}) {
+  const oldStatus = this.status;
   this.status = 'active';
   this.isActive = true;
   this.movedToDumpAt = null;
   this.lastStatusChange = new Date();
   this.datePosted = new Date(); // Reset the posting date
-  return this.save();
+  return this.saveStatusChange(oldStatus, actor, historyOptions);
 };
 
-// Static method to get jobs with filters (only active jobs for public)
-jobSchema.statics.getFilteredJobs = function(filters, page = 1, limit = 10, includeNonActive = false) {
+// Method to soft delete job
+jobSchema.methods.softDelete = async function(actor = null, historyOptions = { source: 'DELETE /api/jobs/:id' }) {
+  this.deletedAt = new Date();
+  this.deletedBy = actor ? actor._id : null;
+  const saved = await this.save();
+  await JobHistory.recordAction(this, 'delete', actor, historyOptions);
+  return saved;
+};
+
+// Method to restore a soft-deleted job
+jobSchema.methods.restore = async function(actor = null) {
+  this.deletedAt = null;
+  this.deletedBy = null;
+  const saved = await this.save();
+  await JobHistory.recordAction(this, 'restore', actor, { source: 'POST /api/jobs/:id/restore' });
+  return saved;
+};
+
+// Static method to get how long deleted jobs stay in the trash
+jobSchema.statics.getTrashRetentionDays = function() {
+  return TRASH_RETENTION_DAYS;
+};
+
+// Static method to permanently remove jobs deleted more than retentionDays ago,
+// together with their analytics references and history
+jobSchema.statics.purgeDeletedJobs = async function(retentionDays = TRASH_RETENTION_DAYS, now = new Date()) {
+  const jobs = await this.find({ deletedAt: { $ne: null, $lt: daysBefore(retentionDays, now) } })
+    .select('-description')
+    .lean();
+  const jobIds = jobs.map(job => job._id);
+  
+  if (jobIds.length === 0) {
+    return { purged: 0 };
+  }
+  
+  // Saved and tracked entries keep the last details of the job once it is gone
+  await SavedJob.refreshSnapshots(jobs);
+  
+  const result = await this.deleteMany({ _id: { $in: jobIds } });
+  await Promise.all([
+    Analytics.removeJobReferences(jobIds),
+    JobHistory.deleteMany({ job: { $in: jobIds } })
+  ]);
+  
+  return { purged: result.deletedCount };
+};
+
+// Static method to build the Mongo query for job filters (only active jobs for public)
+// Values inside a facet are OR-ed together, facets are AND-ed with each other
+jobSchema.statics.buildFilterQuery = function(filters = {}, includeNonActive = false) {
   const query = includeNonActive ? {} : { status: 'active', isActive: true };
+  const clauses = [];
+  const now = new Date();
+  
+  // Public listings skip scheduled jobs and jobs whose deadline passed before the cron ran
+  if (!includeNonActive) {
+    clauses.push(
+      { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+      { $or: [{ applyBy: null }, { applyBy: { $gte: now } }] }
+    );
+  }
+  
+  if (includeNonActive && filters.status && filters.status.length > 0) {
+    query.status = { $in: filters.status };
+  }
+  
+  // $text must stay at the top level of the query
+  if (filters.q) {
+    query.$text = { $search: filters.q };
+  }
+  
+  // Case-insensitive partial matches on free-text fields
+  ['role', 'requiredDegree'].forEach(field => {
+    if (filters[field] && filters[field].length > 0) {
+      query[field] = { $in: filters[field].map(value => new RegExp(escapeRegex(value), 'i')) };
+    }
+  });
+  
+  // Company and location match the text as entered or the canonical name it resolved to,
+  // location also matches any city, state or country of a multi-location job
+  Object.entries(CANONICAL_FIELDS).forEach(([field, canonicalField]) => {
+    if (filters[field] && filters[field].length > 0) {
+      const patterns = filters[field].map(value => new RegExp(escapeRegex(value), 'i'));
+      const matches = [{ [field]: { $in: patterns } }, { [canonicalField]: { $in: patterns } }];
+      if (field === 'location') {
+        matches.push(...['locations.city', 'locations.state', 'locations.country'].map(path => ({ [path]: { $in: patterns } })));
+      }
+      clauses.push({ $or: matches });
+    }
+  });
+  
+  // Experience: the job's range has to include the candidate's years
+  if (filters.experienceYears !== undefined) {
+    clauses.push(
+      { 'eligibility.experience.min': { $lte: filters.experienceYears } },
+      { $or: [{ 'eligibility.experience.max': null }, { 'eligibility.experience.max': { $gte: filters.experienceYears } }] }
+    );
+  }
+  
+  // Batch filters only match jobs that list the year, jobs without batches are for experienced hires
+  if (filters.graduationYear && filters.graduationYear.length > 0) {
+    query['eligibility.graduationYears'] = { $in: filters.graduationYear };
+  }
+  
+  // Degree and branch filters also match jobs that accept any degree/branch or do not restrict it
+  [['degree', 'eligibility.degrees', ANY_DEGREE], ['branch', 'eligibility.branches', ANY_BRANCH]].forEach(([key, path, anyValue]) => {
+    if (filters[key] && filters[key].length > 0) {
+      clauses.push({ $or: [{ [path]: { $in: [...filters[key], anyValue] } }, { [`${path}.0`]: { $exists: false } }] });
+    }
+  });
+  
+  if (filters.workMode && filters.workMode.length > 0) {
+    query['locations.workMode'] = { $in: filters.workMode };
+  }
+  
+  // Within radiusKm of a point; $geoWithin (unlike $near) also works in counts and sorted pages
+  if (filters.near) {
+    const withinRadius = {
+      'locations.point': {
+        $geoWithin: { $centerSphere: [[filters.near.lng, filters.near.lat], kmToRadians(filters.near.radiusKm)] }
+      }
+    };
+    clauses.push(filters.near.includeRemote
+      ? { $or: [withinRadius, { 'locations.workMode': 'remote' }] }
+      : withinRadius);
+  }
+  
+  // Exact matches on the experience label and employment type
+  ['experience', 'employmentType'].forEach(field => {
+    if (filters[field] && filters[field].length > 0) {
+      query[field] = { $in: filters[field] };
+    }
+  });
+  
+  if (filters.datePostedFrom || filters.datePostedTo) {
+    query.datePosted = {};
+    if (filters.datePostedFrom) query.datePosted.$gte = filters.datePostedFrom;
+    if (filters.datePostedTo) query.datePosted.$lte = filters.datePostedTo;
+  }
   
-  if (filters.role) {
-    query.role = { $regex: filters.role, $options: 'i' };
+  // Closing soon: jobs with a deadline still ahead, optionally within N days
+  if (filters.closingSoon || filters.closingWithinDays) {
+    query.applyBy = { $gte: now };
+    if (filters.closingWithinDays) {
+      const until = new Date(now);
+      until.setDate(until.getDate() + filters.closingWithinDays);
+      query.applyBy.$lte = until;
+    }
   }
   
-  if (filters.location) {
-    query.location = { $regex: filters.location, $options: 'i' };
+  // Salary bounds are annual amounts in one currency; a job matches when its range overlaps them
+  if (filters.salaryDisclosed || filters.salaryMin !== undefined || filters.salaryMax !== undefined) {
+    query['salary.disclosed'] = true;
+  }
+  if (filters.salaryMin !== undefined || filters.salaryMax !== undefined || filters.salaryCurrency) {
+    query['salary.currency'] = filters.salaryCurrency || DEFAULT_CURRENCY;
+  }
+  if (filters.salaryMin !== undefined) {
+    query['salary.annualMax'] = { $gte: filters.salaryMin };
+  }
+  if (filters.salaryMax !== undefined) {
+    query['salary.annualMin'] = { $lte: filters.salaryMax };
   }
   
-  if (filters.experience) {
-    query.experience = filters.experience;
+  if (filters.keywords && filters.keywords.length > 0) {
+    const keywordPattern = filters.keywords.map(escapeRegex).join('|');
+    clauses.push({
+      $or: [
+        { keywords: { $in: filters.keywords } },
+        { role: { $regex: keywordPattern, $options: 'i' } },
+        { description: { $regex: keywordPattern, $options: 'i' } }
+      ]
+    });
   }
   
-  if (filters.keywords) {
-    query.$or = [
-      { keywords: { $in: filters.keywords } },
-      { role: { $regex: filters.keywords.join('|'), $options: 'i' } },
-      { description: { $regex: filters.keywords.join('|'), $options: 'i' } }
-    ];
+  if (filters.skills && filters.skills.length > 0) {
+    if (filters.skillsMatch === 'all') {
+      // Every requested skill has to appear in at least one skill category
+      filters.skills.forEach(skill => {
+        clauses.push({ $or: SKILL_FIELDS.map(field => ({ [field]: skill })) });
+      });
+    } else {
+      clauses.push({ $or: SKILL_FIELDS.map(field => ({ [field]: { $in: filters.skills } })) });
+    }
   }
   
-  if (filters.skills) {
-    query.$or = [
-      { 'skills.languages': { $in: filters.skills } },
-      { 'skills.technologies': { $in: filters.skills } },
-      { 'skills.frameworks': { $in: filters.skills } },
-      { 'skills.databases': { $in: filters.skills } },
-      { 'skills.tools': { $in: filters.skills } },
-      { 'skills.others': { $in: filters.skills } }
-    ];
+  if (clauses.length > 0) {
+    query.$and = clauses;
   }
   
+  return query;
+};
+
+// Static method to get jobs with filters (only active jobs for public)
+jobSchema.statics.getFilteredJobs = function(filters, page = 1, limit = 10, includeNonActive = false, sortBy, sortOrder) {
+  const query = this.buildFilterQuery(filters, includeNonActive);
+  const hasTextSearch = Boolean(filters.q);
   const skip = (page - 1) * limit;
   
-  return this.find(query)
-    .sort({ datePosted: -1 })
+  const findQuery = this.find(query);
+  
+  // Expose the relevance score on each result when searching
+  if (hasTextSearch) {
+    findQuery.select({ score: { $meta: 'textScore' } });
+  }
+  
+  return findQuery
+    .sort(buildSort(sortBy, sortOrder, hasTextSearch))
     .skip(skip)
     .limit(limit)
-    .populate('createdBy', 'username email');
+    .populate('createdBy', 'username email')
+    .populate('companyRef', COMPANY_SUMMARY_FIELDS);
 };
 
-// Static method to process automatic status changes
-jobSchema.statics.processStatusChanges = async function() {
-  const sevenDaysAgo = new Date();
-  sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+// Static method to get one page of jobs with keyset (cursor) pagination
+// cursor is the decoded { value, id } of the last job on the previous page
+jobSchema.statics.getJobsByCursor = async function(query, { sortField = 'datePosted', sortOrder = 'desc', limit = 10, cursor = null } = {}) {
+  const direction = sortOrder === 'asc' ? 1 : -1;
+  const pageQuery = { ...query };
+  // .limit(0) would mean no limit at all
+  limit = Math.max(parseInt(limit) || 1, 1);
+  
+  if (cursor) {
+    const op = direction === 1 ? '$gt' : '$lt';
+    let after;
+    
+    if (cursor.value === null) {
+      // Missing dates sort before every date ascending and after every date descending
+      after = direction === 1
+        ? [{ [sortField]: { $ne: null } }, { [sortField]: null, _id: { $gt: cursor.id } }]
+        : [{ [sortField]: null, _id: { $lt: cursor.id } }];
+    } else {
+      after = [
+        { [sortField]: { [op]: cursor.value } },
+        { [sortField]: cursor.value, _id: { [op]: cursor.id } }
+      ];
+      if (direction === -1) {
+        after.push({ [sortField]: null });
+      }
+    }
+    
+    pageQuery.$and = [...(query.$and || []), { $or: after }];
+  }
+  
+  // Fetch one extra job to know whether another page exists
+  const jobs = await this.find(pageQuery)
+    .sort({ [sortField]: direction, _id: direction })
+    .limit(limit + 1)
+    .populate('createdBy', 'username email')
+    .populate('companyRef', COMPANY_SUMMARY_FIELDS);
+  
+  const hasNext = jobs.length > limit;
+  if (hasNext) {
+    jobs.pop();
+  }
   
-  const thirtyDaysAgo = new Date();
-  thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+  return {
+    jobs,
+    hasNext,
+    nextCursor: hasNext ? encodeCursor(jobs[jobs.length - 1], sortField, sortOrder) : null
+  };
+};
+
+// Static method to count jobs per facet value for the current filters
+// Each facet ignores its own filter so the other values of that facet stay selectable
+jobSchema.statics.getFacetCounts = async function(filters, includeNonActive = false, limit = 20) {
+  // A facet either groups on one value per job (field) or counts each value of a list once per job (values)
+  const facets = {
+    roles: { field: '$role', filterKey: 'role' },
+    locations: {
+      // Every city of a multi-location job, or the canonical location for jobs without cities
+      values: {
+        $let: {
+          vars: { cities: { $filter: { input: { $ifNull: ['$locations.city', []] }, cond: { $ne: ['$$this', ''] } } } },
+          in: {
+            $cond: [
+              { $gt: [{ $size: '$$cities' }, 0] },
+              { $setUnion: ['$$cities'] },
+              [{ $ifNull: ['$canonicalLocation', '$location'] }]
+            ]
+          }
+        }
+      },
+      filterKey: 'location'
+    },
+    workModes: { values: { $setUnion: [{ $ifNull: ['$locations.workMode', []] }] }, filterKey: 'workMode' },
+    companies: { field: { $ifNull: ['$canonicalCompanyName', '$companyName'] }, filterKey: 'companyName' },
+    experience: { field: '$experience', filterKey: 'experience' },
+    graduationYears: { values: { $ifNull: ['$eligibility.graduationYears', []] }, filterKey: 'graduationYear' },
+    degrees: { values: { $ifNull: ['$eligibility.degrees', []] }, filterKey: 'degree' },
+    branches: { values: { $ifNull: ['$eligibility.branches', []] }, filterKey: 'branch' },
+    employmentTypes: { field: '$employmentType', filterKey: 'employmentType' },
+    // Each skill once per job even if it is listed in several categories
+    skills: { values: { $setUnion: SKILL_FIELDS.map(field => ({ $ifNull: [`$${field}`, []] })) }, filterKey: 'skills' }
+  };
   
+  const entries = await Promise.all(Object.entries(facets).map(async ([name, facet]) => {
+    const facetFilters = { ...filters };
+    delete facetFilters[facet.filterKey];
+    
+    const pipeline = [{ $match: this.buildFilterQuery(facetFilters, includeNonActive) }];
+    
+    if (facet.field) {
+      pipeline.push({ $group: { _id: facet.field, count: { $sum: 1 } } });
+    } else {
+      pipeline.push(
+        { $project: { value: facet.values } },
+        { $unwind: '$value' },
+        { $group: { _id: '$value', count: { $sum: 1 } } }
+      );
+    }
+    
+    pipeline.push(
+      { $match: { _id: { $nin: [null, ''] } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit },
+      { $project: { _id: 0, value: '$_id', count: 1 } }
+    );
+    
+    return [name, await this.aggregate(pipeline)];
+  }));
+  
+  return Object.fromEntries(entries);
+};
+
+// Static method to count publicly visible jobs per company, returns a Map of companyRef id -> { activeJobs, latestJobAt }
+jobSchema.statics.getActiveJobCountsByCompany = async function(companyIds = null) {
+  const match = { ...this.buildFilterQuery({}, false), companyRef: companyIds ? { $in: companyIds } : { $ne: null } };
+  
+  const counts = await this.aggregate([
+    { $match: match },
+    { $group: { _id: '$companyRef', activeJobs: { $sum: 1 }, latestJobAt: { $max: '$datePosted' } } }
+  ]);
+  
+  return new Map(counts.map(item => [String(item._id), { activeJobs: item.activeJobs, latestJobAt: item.latestJobAt }]));
+};
+
+// Helper function to read a percentile from sorted values
+const percentile = (sorted, fraction) => {
+  if (sorted.length === 0) return null;
+  const index = (sorted.length - 1) * fraction;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return Math.round(sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower));
+};
+
+// Static method to get the annual salary distribution per role or location in one currency
+// Each job counts once at the middle of its range; roles are grouped case-insensitively
+jobSchema.statics.getSalaryDistribution = async function(filters = {}, { groupBy = 'role', currency = DEFAULT_CURRENCY, includeNonActive = false, limit = 20, minJobs = 1 } = {}) {
+  const groupFields = {
+    role: { key: { $toLower: { $trim: { input: '$role' } } }, label: '$role' },
+    location: { key: { $ifNull: ['$canonicalLocation', '$location'] }, label: { $ifNull: ['$canonicalLocation', '$location'] } }
+  };
+  const group = groupFields[groupBy] || groupFields.role;
+  
+  const match = {
+    ...this.buildFilterQuery(filters, includeNonActive),
+    'salary.disclosed': true,
+    'salary.currency': currency,
+    'salary.annualMin': { $ne: null }
+  };
+  const midpoint = { $avg: ['$salary.annualMin', '$salary.annualMax'] };
+  
+  const [groups, [overall], undisclosed] = await Promise.all([
+    this.aggregate([
+      { $match: match },
+      { $group: { _id: group.key, label: { $first: group.label }, salaries: { $push: midpoint }, lowest: { $min: '$salary.annualMin' }, highest: { $max: '$salary.annualMax' } } },
+      { $match: { [`salaries.${Math.max(minJobs, 1) - 1}`]: { $exists: true } } },
+      { $addFields: { jobs: { $size: '$salaries' } } },
+      { $sort: { jobs: -1, _id: 1 } },
+      { $limit: limit }
+    ]),
+    this.aggregate([
+      { $match: match },
+      { $group: { _id: null, jobs: { $sum: 1 }, average: { $avg: midpoint }, lowest: { $min: '$salary.annualMin' }, highest: { $max: '$salary.annualMax' } } }
+    ]),
+    this.countDocuments({ ...this.buildFilterQuery(filters, includeNonActive), 'salary.disclosed': { $ne: true } })
+  ]);
+  
+  const histogram = overall
+    ? await this.aggregate([
+      { $match: match },
+      { $bucketAuto: { groupBy: midpoint, buckets: 10 } }
+    ])
+    : [];
+  
+  return {
+    currency,
+    groupBy: groupFields[groupBy] ? groupBy : 'role',
+    summary: {
+      jobs: overall ? overall.jobs : 0,
+      undisclosed,
+      lowest: overall ? overall.lowest : null,
+      average: overall ? Math.round(overall.average) : null,
+      highest: overall ? overall.highest : null
+    },
+    distribution: histogram.map(bucket => ({ from: Math.round(bucket._id.min), to: Math.round(bucket._id.max), jobs: bucket.count })),
+    groups: groups.map(item => {
+      const sorted = [...item.salaries].sort((a, b) => a - b);
+      return {
+        value: item.label,
+        jobs: item.jobs,
+        lowest: item.lowest,
+        p25: percentile(sorted, 0.25),
+        median: percentile(sorted, 0.5),
+        p75: percentile(sorted, 0.75),
+        highest: item.highest,
+        average: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length)
+      };
+    })
+  };
+};
+
+// Static method to list the distinct values of companyName/location, using canonical names when resolved
+jobSchema.statics.distinctCanonical = async function(field, query = {}) {
+  const values = await this.aggregate([
+    { $match: query },
+    { $group: { _id: { $ifNull: [`$${CANONICAL_FIELDS[field]}`, `$${field}`] } } }
+  ]);
+  
+  return values.map(value => value._id).filter(Boolean);
+};
+
+// Static method to process automatic status changes
+// Every job is checked against the lifecycle policy matching its employmentType/experience,
+// jobs whose applyBy deadline has passed leave active regardless of policy
+jobSchema.statics.processStatusChanges = async function(now = new Date()) {
   try {
-    // Move active jobs older than 7 days to dump
-    const jobsToMoveToDump = await this.updateMany(
-      {
+    const policies = await LifecyclePolicy.getEnabledPolicies();
+    const defaultPolicy = LifecyclePolicy.getDefaultPolicy();
+    const allPolicies = [...policies, defaultPolicy];
+    
+    // Only jobs older than the shortest window can be due under any policy
+    const minActiveDays = Math.min(...allPolicies.map(policy => policy.activeDays));
+    const minDumpDays = Math.min(...allPolicies.map(policy => policy.dumpDays));
+    
+    const [activeCandidates, dumpCandidates] = await Promise.all([
+      this.find({
         status: 'active',
-        datePosted: { $lt: sevenDaysAgo }
-      },
-      {
-        $set: {
-          status: 'dump',
-          movedToDumpAt: new Date(),
-          lastStatusChange: new Date()
-        }
+        $or: [
+          { datePosted: { $lt: daysBefore(minActiveDays, now) } },
+          { applyBy: { $lt: now } }
+        ]
+      })
+        .select('status employmentType experience datePosted publishAt applyBy')
+        .lean(),
+      this.find({ status: 'dump', movedToDumpAt: { $lt: daysBefore(minDumpDays, now) } })
+        .select('status employmentType experience movedToDumpAt')
+        .lean()
+    ]);
+    
+    // Policy name of every job due to move, counted once the move is confirmed
+    const policyById = new Map();
+    
+    const dumpIds = [];
+    const deadlineIds = [];
+    activeCandidates.forEach(job => {
+      if (isPastDeadline(job, now)) {
+        deadlineIds.push(job._id);
+        return;
       }
-    );
+      
+      const policy = LifecyclePolicy.resolveForJob(job, policies);
+      if (isDueForDump(job, policy, now)) {
+        dumpIds.push(job._id);
+        policyById.set(String(job._id), policy.name);
+      }
+    });
     
-    // Move dump jobs older than 30 days to inactive
-    const jobsToMoveToInactive = await this.updateMany(
-      {
-        status: 'dump',
-        movedToDumpAt: { $lt: thirtyDaysAgo }
-      },
-      {
-        $set: {
-          status: 'inactive',
-          isActive: false,
-          lastStatusChange: new Date()
+    const inactiveIds = [];
+    dumpCandidates.forEach(job => {
+      const policy = LifecyclePolicy.resolveForJob(job, policies);
+      if (isDueForInactive(job, policy, now)) {
+        inactiveIds.push(job._id);
+        policyById.set(String(job._id), policy.name);
+      }
+    });
+    
+    // Move active jobs past their active window or deadline to dump
+    const jobsToMoveToDump = dumpIds.length + deadlineIds.length > 0
+      ? await this.updateMany(
+        { _id: { $in: [...dumpIds, ...deadlineIds] }, status: 'active' },
+        {
+          $set: {
+            status: 'dump',
+            movedToDumpAt: now,
+            lastStatusChange: now
+          }
+        }
+      )
+      : { modifiedCount: 0 };
+    
+    // Move dump jobs past their dump window to inactive
+    const jobsToMoveToInactive = inactiveIds.length > 0
+      ? await this.updateMany(
+        { _id: { $in: inactiveIds }, status: 'dump' },
+        {
+          $set: {
+            status: 'inactive',
+            isActive: false,
+            lastStatusChange: now
+          }
         }
+      )
+      : { modifiedCount: 0 };
+    
+    // Jobs an admin moved or restored between the find and the update were skipped by the status guard,
+    // only the jobs this run moved (stamped with now) get history entries and are counted
+    const [movedToDump, movedToInactive] = await Promise.all([
+      jobsToMoveToDump.modifiedCount > 0
+        ? this.find({ _id: { $in: [...dumpIds, ...deadlineIds] }, status: 'dump', movedToDumpAt: now }).distinct('_id')
+        : [],
+      jobsToMoveToInactive.modifiedCount > 0
+        ? this.find({ _id: { $in: inactiveIds }, status: 'inactive', lastStatusChange: now }).distinct('_id')
+        : []
+    ]);
+    const movedIds = new Set([...movedToDump, ...movedToInactive].map(String));
+    const wasMoved = (id) => movedIds.has(String(id));
+    
+    const movedDumpIds = dumpIds.filter(wasMoved);
+    const movedDeadlineIds = deadlineIds.filter(wasMoved);
+    const movedInactiveIds = inactiveIds.filter(wasMoved);
+    
+    await Promise.all([
+      JobHistory.recordBulkStatusChange(movedDumpIds, 'active', 'dump', null, { source: 'cron', reason: 'lifecycle' }),
+      JobHistory.recordBulkStatusChange(movedDeadlineIds, 'active', 'dump', null, { source: 'cron', reason: 'applyBy passed' }),
+      JobHistory.recordBulkStatusChange(movedInactiveIds, 'dump', 'inactive', null, { source: 'cron', reason: 'lifecycle' })
+    ]);
+    
+    const byPolicy = {};
+    const countFor = (id) => {
+      const name = policyById.get(String(id));
+      if (!byPolicy[name]) {
+        byPolicy[name] = { movedToDump: 0, movedToInactive: 0 };
       }
-    );
+      return byPolicy[name];
+    };
+    movedDumpIds.forEach(id => { countFor(id).movedToDump += 1; });
+    movedInactiveIds.forEach(id => { countFor(id).movedToInactive += 1; });
     
     return {
-      movedToDump: jobsToMoveToDump.modifiedCount,
-      movedToInactive: jobsToMoveToInactive.modifiedCount
+      movedToDump: movedDumpIds.length + movedDeadlineIds.length,
+      movedToInactive: movedInactiveIds.length,
+      closedByDeadline: movedDeadlineIds.length,
+      byPolicy
     };
   } catch (error) {
     console.error('Error processing status changes:', error);
@@ -305,16 +1437,60 @@ jobSchema.statics.processStatusChanges = async function() {
   }
 };
 
+// Static method to summarise hiring link health for the admin report
+jobSchema.statics.getLinkHealthReport = async function(page = 1, limit = 20) {
+  const skip = (page - 1) * limit;
+  const flaggedQuery = { 'linkHealth.flagged': true };
+  
+  const [resultCounts, flaggedJobs, totalFlagged, neverChecked] = await Promise.all([
+    this.aggregate([
+      { $match: { status: 'active' } },
+      { $group: { _id: '$linkHealth.result', count: { $sum: 1 } } }
+    ]),
+    this.find(flaggedQuery)
+      .select('companyName role location status hiringLink linkHealth datePosted')
+      .sort({ 'linkHealth.lastCheckedAt': -1, _id: -1 })
+      .skip(skip)
+      .limit(limit),
+    this.countDocuments(flaggedQuery),
+    this.countDocuments({ status: 'active', 'linkHealth.lastCheckedAt': null })
+  ]);
+  
+  const counts = { ok: 0, redirected: 0, closed: 0, dead: 0, blocked: 0, error: 0, unchecked: 0 };
+  resultCounts.forEach(item => {
+    counts[item._id || 'unchecked'] += item.count;
+  });
+  
+  return {
+    activeJobs: counts,
+    neverChecked,
+    flaggedJobs,
+    totalFlagged
+  };
+};
+
 // Static method to get jobs by status for admin
 jobSchema.statics.getJobsByStatus = function(status, page = 1, limit = 10) {
   const query = status === 'all' ? {} : { status };
   const skip = (page - 1) * limit;
   
   return this.find(query)
-    .sort({ lastStatusChange: -1, datePosted: -1 })
+    .sort({ lastStatusChange: -1, datePosted: -1, _id: -1 })
     .skip(skip)
     .limit(limit)
     .populate('createdBy', 'username email');
 };
 
+// Static method to get jobs by status for admin with cursor pagination
+jobSchema.statics.getJobsByStatusCursor = function(status, limit = 10, cursor = null, sortOrder = 'desc') {
+  const query = status === 'all' ? {} : { status };
+  
+  return this.getJobsByCursor(query, {
+    sortField: 'lastStatusChange',
+    sortOrder,
+    limit,
+    cursor
+  });
+};
+
 module.exports = mongoose.model('Job', jobSchema);
\ No newline at end of file
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+
+const jobHistorySchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true,
+    index: true
+  },
+  action: {
+    type: String,
+    enum: ['status_change', 'update', 'delete', 'restore'],
+    required: true
+  },
+  actorType: {
+    type: String,
+    enum: ['admin', 'system'],
+    required: true
+  },
+  // Admin who made the change, null for system changes
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  // What triggered the change, e.g. "PUT /api/jobs/:id" or "cron"
+  source: {
+    type: String,
+    default: ''
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    oldValue: mongoose.Schema.Types.Mixed,
+    newValue: mongoose.Schema.Types.Mixed
+  }],
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+jobHistorySchema.index({ job: 1, timestamp: -1 });
+jobHistorySchema.index({ actor: 1, timestamp: -1 });
+
+// Helper function to normalise the actor argument ({ admin } or 'system')
+const resolveActor = (actor) => {
+  if (actor && actor._id) {
+    return { actorType: 'admin', actor: actor._id };
+  }
+  return { actorType: 'system', actor: null };
+};
+
+// Static method to record an action without field changes (delete, restore)
+jobHistorySchema.statics.recordAction = function(job, action, actor = null, { source = '', reason = '' } = {}) {
+  return this.create({
+    job: job._id,
+    action,
+    ...resolveActor(actor),
+    source,
+    reason
+  });
+};
+
+// Static method to record a status transition
+jobHistorySchema.statics.recordStatusChange = function(job, oldStatus, newStatus, actor = null, { source = '', reason = '' } = {}) {
+  return this.create({
+    job: job._id,
+    action: 'status_change',
+    ...resolveActor(actor),
+    source,
+    reason,
+    changes: [{ field: 'status', oldValue: oldStatus, newValue: newStatus }]
+  });
+};
+
+// Static method to record the same status transition for many jobs (used by the cron)
+jobHistorySchema.statics.recordBulkStatusChange = function(jobIds, oldStatus, newStatus, actor = null, { source = '', reason = '' } = {}) {
+  if (!jobIds || jobIds.length === 0) {
+    return Promise.resolve([]);
+  }
+
+  const timestamp = new Date();
+  const actorFields = resolveActor(actor);
+
+  return this.insertMany(jobIds.map(jobId => ({
+    job: jobId,
+    action: 'status_change',
+    ...actorFields,
+    source,
+    reason,
+    changes: [{ field: 'status', oldValue: oldStatus, newValue: newStatus }],
+    timestamp
+  })));
+};
+
+// Static method to record a field edit, only fields whose value changed are stored
+jobHistorySchema.statics.recordUpdate = function(jobId, before, after, fields, actor = null, { source = '' } = {}) {
+  const changes = fields
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, oldValue: before[field], newValue: after[field] }));
+
+  if (changes.length === 0) {
+    return Promise.resolve(null);
+  }
+
+  return this.create({
+    job: jobId,
+    action: 'update',
+    ...resolveActor(actor),
+    source,
+    changes
+  });
+};
+
+// Static method to get paginated history entries
+jobHistorySchema.statics.getHistory = function(query, page = 1, limit = 20) {
+  const skip = (page - 1) * limit;
+
+  return this.find(query)
+    .sort({ timestamp: -1, _id: -1 })
+    .skip(skip)
+    .limit(limit)
+    .populate('actor', 'username email')
+    .populate({
+      path: 'job',
+      select: 'companyName role location status deletedAt',
+      options: { withDeleted: true } // Keep showing jobs that are in the trash
+    });
+};
+
+// Static method to summarise how often a job changed status
+jobHistorySchema.statics.getStatusSummary = async function(jobId) {
+  const transitions = await this.aggregate([
+    { $match: { job: new mongoose.Types.ObjectId(jobId), action: 'status_change' } },
+    { $unwind: '$changes' },
+    { $match: { 'changes.field': 'status' } },
+    {
+      $group: {
+        _id: '$changes.newValue',
+        count: { $sum: 1 },
+        lastAt: { $max: '$timestamp' }
+      }
+    }
+  ]);
+
+  const summary = {
+    totalTransitions: 0,
+    reactivations: 0,
+    movedToDump: 0,
+    movedToInactive: 0,
+    lastMovedToDumpAt: null
+  };
+
+  transitions.forEach(item => {
+    summary.totalTransitions += item.count;
+    if (item._id === 'active') summary.reactivations = item.count;
+    if (item._id === 'dump') {
+      summary.movedToDump = item.count;
+      summary.lastMovedToDumpAt = item.lastAt;
+    }
+    if (item._id === 'inactive') summary.movedToInactive = item.count;
+  });
+
+  return summary;
+};
+
+module.exports = mongoose.model('JobHistory', jobHistorySchema);
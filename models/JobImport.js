@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const ImportRow = require('./ImportRow');
+
+// A bulk import and its progress, the rows and their outcomes are ImportRow documents
+const jobImportSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: ['json', 'spreadsheet', 'retry'],
+    required: true
+  },
+  filename: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued',
+    index: true
+  },
+  options: {
+    allowDuplicates: {
+      type: Boolean,
+      default: false
+    },
+    extractSkills: {
+      type: Boolean,
+      default: false
+    }
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  createdCount: {
+    type: Number,
+    default: 0
+  },
+  duplicateCount: {
+    type: Number,
+    default: 0
+  },
+  failureCount: {
+    type: Number,
+    default: 0
+  },
+  // Set when this import re-runs failed rows of another import
+  retryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobImport',
+    default: null
+  },
+  // Lease so only one worker processes an import at a time
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  failureReason: {
+    type: String,
+    default: ''
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+jobImportSchema.index({ createdBy: 1, createdAt: -1 });
+jobImportSchema.index({ status: 1, lockedUntil: 1 });
+
+// Virtual for progress percentage
+jobImportSchema.virtual('progress').get(function() {
+  if (!this.total) return 100;
+  return Math.round((this.processed / this.total) * 100);
+});
+
+jobImportSchema.set('toJSON', { virtuals: true });
+
+// Static method to queue a new import
+// jobs is a list of job inputs, indexes (optional) are the row numbers reported back,
+// failures (optional) are rows already rejected before queueing (e.g. invalid spreadsheet rows)
+jobImportSchema.statics.queue = async function(jobs, adminId, { source = 'json', filename = '', allowDuplicates = false, extractSkills = false, indexes = null, failures = [], retryOf = null } = {}) {
+  const jobImport = await this.create({
+    source,
+    filename,
+    options: { allowDuplicates, extractSkills },
+    total: jobs.length + failures.length,
+    processed: failures.length,
+    failureCount: failures.length,
+    retryOf,
+    createdBy: adminId
+  });
+
+  await ImportRow.insertMany([
+    ...jobs.map((jobData, i) => ({ import: jobImport._id, index: indexes ? indexes[i] : i, jobData })),
+    ...failures.map(item => ({ import: jobImport._id, index: item.index, jobData: item.jobData, status: 'failed', error: item.error }))
+  ]);
+
+  return jobImport;
+};
+
+// Static method to take the processing lease of an import, returns null if someone else holds it
+jobImportSchema.statics.acquire = function(importId, leaseMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      _id: importId,
+      status: { $in: ['queued', 'processing'] },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+    },
+    {
+      $set: {
+        status: 'processing',
+        lockedUntil: new Date(now.getTime() + leaseMs)
+      }
+    },
+    { new: true }
+  );
+};
+
+// Static method to find imports whose worker stopped before finishing
+jobImportSchema.statics.findStalled = function() {
+  return this.find({
+    status: { $in: ['queued', 'processing'] },
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lt: new Date() } }]
+  })
+    .select('_id')
+    .sort({ createdAt: 1 })
+    .limit(10);
+};
+
+module.exports = mongoose.model('JobImport', jobImportSchema);
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+// Days a seeker's or visitor's views and clicks of a job are remembered
+const INTERACTION_RETENTION_DAYS = parseInt(process.env.INTERACTION_RETENTION_DAYS) || 90;
+
+// Anonymous visitors send a client-generated id (X-Visitor-Id header)
+const VISITOR_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// Views and clicks of one job by one signed-in seeker (user) or anonymous visitor (visitorId)
+const jobInteractionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  visitorId: {
+    type: String,
+    default: null
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  clicks: {
+    type: Number,
+    default: 0
+  },
+  lastInteractionAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+jobInteractionSchema.index({ user: 1, job: 1 }, { unique: true, partialFilterExpression: { user: { $type: 'objectId' } } });
+jobInteractionSchema.index({ visitorId: 1, job: 1 }, { unique: true, partialFilterExpression: { visitorId: { $type: 'string' } } });
+jobInteractionSchema.index({ user: 1, lastInteractionAt: -1 });
+jobInteractionSchema.index({ visitorId: 1, lastInteractionAt: -1 });
+jobInteractionSchema.index({ lastInteractionAt: 1 }, { expireAfterSeconds: INTERACTION_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Static method to check a visitor id sent by a client
+jobInteractionSchema.statics.isValidVisitorId = function(visitorId) {
+  return typeof visitorId === 'string' && VISITOR_ID_PATTERN.test(visitorId);
+};
+
+// Static method to build the query for one actor, null when there is nobody to attribute to
+jobInteractionSchema.statics.actorQuery = function({ user = null, visitorId = null } = {}) {
+  if (user) return { user: user._id || user };
+  if (this.isValidVisitorId(visitorId)) return { visitorId, user: null };
+  return null;
+};
+
+// Static method to count a view or click of a job by a seeker or visitor
+jobInteractionSchema.statics.record = async function(actor, jobId, type = 'view') {
+  const query = this.actorQuery(actor);
+  if (!query) return null;
+
+  return this.findOneAndUpdate(
+    { ...query, job: jobId },
+    {
+      $inc: { [type === 'click' ? 'clicks' : 'views']: 1 },
+      $set: { lastInteractionAt: new Date() }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+// Static method to get an actor's most recent interactions
+jobInteractionSchema.statics.recentFor = function(actor, limit = 100) {
+  const query = this.actorQuery(actor);
+  if (!query) return Promise.resolve([]);
+
+  return this.find(query)
+    .sort({ lastInteractionAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+// Static method to move an anonymous visitor's history to the account they signed in to
+jobInteractionSchema.statics.mergeVisitor = async function(visitorId, userId) {
+  if (!this.isValidVisitorId(visitorId)) return 0;
+
+  const entries = await this.find({ visitorId, user: null }).limit(500).lean();
+
+  for (const entry of entries) {
+    await this.findOneAndUpdate(
+      { user: userId, job: entry.job },
+      {
+        $inc: { views: entry.views, clicks: entry.clicks },
+        $max: { lastInteractionAt: entry.lastInteractionAt }
+      },
+      { upsert: true }
+    );
+    await this.deleteOne({ _id: entry._id });
+  }
+
+  return entries.length;
+};
+
+module.exports = mongoose.model('JobInteraction', jobInteractionSchema);
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+// Timeline used when no stored policy matches a job
+const DEFAULT_ACTIVE_DAYS = 7;
+const DEFAULT_DUMP_DAYS = 30;
+
+const lifecyclePolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // Empty lists match every job
+  match: {
+    employmentTypes: [{
+      type: String,
+      enum: ['Full-Time', 'Part-Time', 'Contract', 'Internship', 'Freelance']
+    }],
+    // Experience labels as posted ("0-1", "2026 passout")
+    experience: [{
+      type: String,
+      trim: true
+    }]
+  },
+  activeDays: {
+    type: Number,
+    required: true,
+    min: 1,
+    default: DEFAULT_ACTIVE_DAYS
+  },
+  dumpDays: {
+    type: Number,
+    required: true,
+    min: 1,
+    default: DEFAULT_DUMP_DAYS
+  },
+  // Higher priority wins when several policies match the same job
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isEnabled: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+lifecyclePolicySchema.index({ isEnabled: 1, priority: -1 });
+
+// Number of criteria a policy restricts on, used to break priority ties
+const specificity = (policy) => {
+  const match = policy.match || {};
+  return (match.employmentTypes && match.employmentTypes.length > 0 ? 1 : 0) +
+    (match.experience && match.experience.length > 0 ? 1 : 0);
+};
+
+// Static method to get the built-in fallback policy
+lifecyclePolicySchema.statics.getDefaultPolicy = function() {
+  return {
+    _id: null,
+    name: 'default',
+    activeDays: DEFAULT_ACTIVE_DAYS,
+    dumpDays: DEFAULT_DUMP_DAYS,
+    isDefault: true
+  };
+};
+
+// Static method to load enabled policies, most important first
+lifecyclePolicySchema.statics.getEnabledPolicies = async function() {
+  const policies = await this.find({ isEnabled: true })
+    .sort({ priority: -1, createdAt: 1 })
+    .lean();
+
+  // Array sort is stable, so older policies still win full ties
+  return policies.sort((a, b) => (b.priority - a.priority) || (specificity(b) - specificity(a)));
+};
+
+// Static method to check whether a policy applies to a job
+lifecyclePolicySchema.statics.matchesJob = function(policy, job) {
+  const match = policy.match || {};
+
+  if (match.employmentTypes && match.employmentTypes.length > 0 && !match.employmentTypes.includes(job.employmentType)) {
+    return false;
+  }
+
+  if (match.experience && match.experience.length > 0 && !match.experience.includes(job.experience)) {
+    return false;
+  }
+
+  return true;
+};
+
+// Static method to pick the policy for a job from a list returned by getEnabledPolicies
+lifecyclePolicySchema.statics.resolveForJob = function(job, policies = []) {
+  const policy = policies.find(candidate => this.matchesJob(candidate, job));
+  return policy || this.getDefaultPolicy();
+};
+
+module.exports = mongoose.model('LifecyclePolicy', lifecyclePolicySchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const taxonomyPlugin = require('./plugins/taxonomy');
+
+const toLocationKey = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// "Bangalore, Karnataka, India" is tried as a whole first, then as "Bangalore"
+const locationLookupKeys = (text) => {
+  const parts = String(text).split(',').map(part => part.trim()).filter(Boolean);
+  return [...new Set([toLocationKey(text), parts.length > 1 ? toLocationKey(parts[0]) : null])];
+};
+
+const locationSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  country: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // Coordinates of the place, copied onto job locations for "within N km" searches
+  latitude: {
+    type: Number,
+    default: null,
+    min: [-90, 'latitude must be between -90 and 90'],
+    max: [90, 'latitude must be between -90 and 90']
+  },
+  longitude: {
+    type: Number,
+    default: null,
+    min: [-180, 'longitude must be between -180 and 180'],
+    max: [180, 'longitude must be between -180 and 180']
+  }
+});
+
+locationSchema.plugin(taxonomyPlugin, { toKey: toLocationKey, lookupKeys: locationLookupKeys });
+
+module.exports = mongoose.model('Location', locationSchema);
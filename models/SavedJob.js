@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+
+// Where a job seeker is with a job, 'saved' is a plain bookmark
+const TRACKER_STAGES = ['saved', 'applied', 'interviewing', 'offer', 'rejected'];
+
+// Job fields kept on the entry so the tracker can still show the job after it is dumped or purged
+const SNAPSHOT_FIELDS = ['jobId', 'companyName', 'companyLogo', 'role', 'location', 'experience', 'estPackage', 'employmentType', 'hiringLink', 'applyBy', 'datePosted', 'status'];
+
+const snapshotSchema = new mongoose.Schema({
+  jobId: String,
+  companyName: String,
+  companyLogo: String,
+  role: String,
+  location: String,
+  experience: String,
+  estPackage: String,
+  employmentType: String,
+  hiringLink: String,
+  applyBy: Date,
+  datePosted: Date,
+  // Job status when the snapshot was taken
+  status: String,
+  takenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A job a seeker saved or is tracking an application for, one entry per user and job
+const savedJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  stage: {
+    type: String,
+    enum: TRACKER_STAGES,
+    default: 'saved'
+  },
+  notes: {
+    type: String,
+    default: '',
+    maxlength: 5000
+  },
+  appliedAt: {
+    type: Date,
+    default: null
+  },
+  // Next interview or other upcoming date the seeker wants to remember
+  interviewAt: {
+    type: Date,
+    default: null
+  },
+  stageHistory: [{
+    _id: false,
+    stage: {
+      type: String,
+      enum: TRACKER_STAGES
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  snapshot: {
+    type: snapshotSchema,
+    default: () => ({})
+  }
+}, {
+  timestamps: true
+});
+
+savedJobSchema.index({ user: 1, job: 1 }, { unique: true });
+savedJobSchema.index({ user: 1, stage: 1, updatedAt: -1 });
+savedJobSchema.index({ job: 1 });
+
+// Record every stage change, the date can be back-dated with setStage
+savedJobSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('stage')) {
+    const last = this.stageHistory[this.stageHistory.length - 1];
+    if (!last || last.stage !== this.stage) {
+      this.stageHistory.push({ stage: this.stage, changedAt: this.$locals.stageChangedAt || new Date() });
+    }
+    if (this.stage === 'applied' && !this.appliedAt) {
+      this.appliedAt = this.$locals.stageChangedAt || new Date();
+    }
+  }
+  next();
+});
+
+// Method to move the entry to a stage, changedAt defaults to now
+savedJobSchema.methods.setStage = function(stage, changedAt = null) {
+  this.stage = stage;
+  if (changedAt) {
+    this.$locals.stageChangedAt = changedAt;
+  }
+};
+
+// Method to copy the job's current details onto the entry
+savedJobSchema.methods.refreshSnapshot = function(job) {
+  this.snapshot = this.constructor.snapshotOf(job);
+};
+
+// Static method to build the snapshot of a job document or lean object
+savedJobSchema.statics.snapshotOf = function(job) {
+  const snapshot = { takenAt: new Date() };
+  SNAPSHOT_FIELDS.forEach(field => {
+    if (job[field] !== undefined) snapshot[field] = job[field];
+  });
+  return snapshot;
+};
+
+// Static method to copy the last-known details of jobs onto every entry tracking them, used before jobs are purged
+savedJobSchema.statics.refreshSnapshots = function(jobs) {
+  if (!jobs || jobs.length === 0) {
+    return Promise.resolve(null);
+  }
+
+  return this.bulkWrite(jobs.map(job => ({
+    updateMany: {
+      filter: { job: job._id },
+      update: { $set: { snapshot: this.snapshotOf(job) } },
+      // Refreshing the snapshot is not a change the seeker made
+      timestamps: false
+    }
+  })), { ordered: false });
+};
+
+// Static method to count a user's entries per stage, every stage is listed
+savedJobSchema.statics.countByStage = async function(userId) {
+  const counts = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(String(userId)) } },
+    { $group: { _id: '$stage', count: { $sum: 1 } } }
+  ]);
+
+  return Object.fromEntries(TRACKER_STAGES.map(stage => [
+    stage,
+    (counts.find(item => item._id === stage) || { count: 0 }).count
+  ]));
+};
+
+module.exports = mongoose.model('SavedJob', savedJobSchema);
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { assertPublicWebhookUrl } = require('../utils/webhook');
+
+const ALERT_FREQUENCIES = ['daily', 'weekly'];
+const ALERT_CHANNELS = ['email', 'webhook'];
+
+// Hour (UTC) digests go out, and the weekday weekly digests go out on (0 = Sunday)
+const DIGEST_HOUR_UTC = isNaN(parseInt(process.env.ALERT_DIGEST_HOUR_UTC)) ? 3 : parseInt(process.env.ALERT_DIGEST_HOUR_UTC);
+const DIGEST_WEEKDAY = isNaN(parseInt(process.env.ALERT_DIGEST_WEEKDAY)) ? 1 : parseInt(process.env.ALERT_DIGEST_WEEKDAY);
+
+// A filter set a job seeker saved from GET /api/jobs, optionally sent as a daily or weekly digest of new jobs
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Listing query params as given to GET /api/jobs ({ role: 'SDE', location: 'Pune,Remote' })
+  // Kept as given so taxonomy and parser changes apply to later digests
+  query: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({})
+  },
+  alertsEnabled: {
+    type: Boolean,
+    default: true
+  },
+  frequency: {
+    type: String,
+    enum: ALERT_FREQUENCIES,
+    default: 'daily'
+  },
+  channel: {
+    type: String,
+    enum: ALERT_CHANNELS,
+    default: 'email'
+  },
+  webhookUrl: {
+    type: String,
+    trim: true,
+    default: '',
+    validate: {
+      // The host is resolved here and again when each digest is sent, it must not point at a private address
+      validator: async function(v) {
+        if (!v) return true;
+        await assertPublicWebhookUrl(v);
+        return true;
+      },
+      message: (props) => (props.reason ? props.reason.message : 'webhookUrl must be an https URL on a public host')
+    }
+  },
+  // Signs webhook digests (X-Webhook-Signature), shown to the owner so their receiver can check them
+  webhookSecret: {
+    type: String,
+    default: () => crypto.randomBytes(24).toString('hex')
+  },
+  // Jobs posted after this are new for the next digest
+  lastDigestAt: {
+    type: Date,
+    default: Date.now
+  },
+  nextDigestAt: {
+    type: Date,
+    default: null
+  },
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['sent', 'failed', null],
+    default: null
+  },
+  // Sent in unsubscribe links, anyone holding it can switch the alert off
+  unsubscribeToken: {
+    type: String,
+    default: () => crypto.randomBytes(24).toString('hex')
+  }
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ alertsEnabled: 1, nextDigestAt: 1 });
+savedSearchSchema.index({ unsubscribeToken: 1 }, { unique: true });
+
+// Webhook alerts need somewhere to post to
+savedSearchSchema.pre('validate', function(next) {
+  if (this.channel === 'webhook' && !this.webhookUrl) {
+    this.invalidate('webhookUrl', 'webhookUrl is required for webhook alerts');
+  }
+  next();
+});
+
+// Schedule the next digest whenever alerts are switched on or the frequency changes
+savedSearchSchema.pre('save', function(next) {
+  if (!this.alertsEnabled) {
+    this.nextDigestAt = null;
+  } else if (this.isNew || this.isModified('frequency') || this.isModified('alertsEnabled') || !this.nextDigestAt) {
+    this.nextDigestAt = this.constructor.nextDigestTime(this.frequency);
+  }
+  next();
+});
+
+// Static method to work out when the next digest after `from` goes out
+// Daily digests go out at DIGEST_HOUR_UTC, weekly ones at that hour on DIGEST_WEEKDAY
+savedSearchSchema.statics.nextDigestTime = function(frequency, from = new Date()) {
+  const next = new Date(from);
+  next.setUTCHours(DIGEST_HOUR_UTC, 0, 0, 0);
+  if (next <= from) {
+    next.setUTCDate(next.getUTCDate() + 1);
+  }
+  if (frequency === 'weekly') {
+    next.setUTCDate(next.getUTCDate() + ((DIGEST_WEEKDAY - next.getUTCDay() + 7) % 7));
+  }
+  return next;
+};
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
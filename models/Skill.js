@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const taxonomyPlugin = require('./plugins/taxonomy');
+const { SKILL_CATEGORIES, toTagKey } = require('../utils/skillExtractor');
+const { SKILL_DICTIONARY } = require('../utils/skillDictionary');
+
+const skillSchema = new mongoose.Schema({
+  // Job field the skill is filed under when extracted: a skills.* category or 'keywords'
+  category: {
+    type: String,
+    enum: [...SKILL_CATEGORIES, 'keywords'],
+    default: 'others',
+    index: true
+  }
+});
+
+skillSchema.plugin(taxonomyPlugin, { toKey: toTagKey });
+
+// Static method to add the built-in dictionary entries that are not managed yet
+skillSchema.statics.seedFromDictionary = async function(adminId = null) {
+  let created = 0;
+
+  for (const entry of SKILL_DICTIONARY) {
+    const existing = await this.findByText(entry.name);
+    if (existing) continue;
+
+    try {
+      await this.create({
+        name: entry.name,
+        category: entry.category,
+        aliases: entry.aliases,
+        createdBy: adminId
+      });
+      created++;
+    } catch (error) {
+      // An alias is already claimed by another skill, keep the managed one
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  return { created };
+};
+
+module.exports = mongoose.model('Skill', skillSchema);
@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { isValidGraduationYear } = require('../utils/eligibility');
+
+// How long the links sent by email stay valid
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Only the hash of a token sent by email is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Job seekers using the public site, kept apart from Admin
+const userSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    validate: {
+      validator: function(v) {
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v);
+      },
+      message: 'Please enter a valid email address'
+    }
+  },
+  password: {
+    type: String,
+    required: true,
+    minlength: [MIN_PASSWORD_LENGTH, `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`]
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  emailVerificationToken: String,
+  emailVerificationExpires: Date,
+  passwordResetToken: String,
+  passwordResetExpires: Date,
+  // Tokens issued before this are no longer accepted
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  // What the seeker tells us about themselves, used for recommendations
+  profile: {
+    skills: [{
+      type: String,
+      trim: true
+    }],
+    graduationYear: {
+      type: Number,
+      default: null,
+      validate: {
+        validator: function(v) {
+          return v === null || isValidGraduationYear(v);
+        },
+        message: 'profile.graduationYear must be a four-digit year'
+      }
+    },
+    // Years of work experience, worked out from graduationYear when not given
+    experienceYears: {
+      type: Number,
+      default: null,
+      min: [0, 'profile.experienceYears cannot be negative']
+    },
+    degree: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    branch: {
+      type: String,
+      trim: true,
+      default: ''
+    }
+  },
+  lastLogin: {
+    type: Date
+  },
+  loginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.password;
+      delete ret.emailVerificationToken;
+      delete ret.emailVerificationExpires;
+      delete ret.passwordResetToken;
+      delete ret.passwordResetExpires;
+      delete ret.loginAttempts;
+      delete ret.lockUntil;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
+
+// Virtual for account locked
+userSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+});
+
+// Pre-save middleware to hash password
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+
+  try {
+    const salt = await bcrypt.genSalt(12);
+    this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) {
+      // Back-dated a second so a token issued right after the change is still accepted
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Method to compare password, locks the account after 5 failed attempts for 30 minutes
+userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (this.isLocked) {
+    throw new Error('Account is temporarily locked');
+  }
+
+  const isMatch = await bcrypt.compare(candidatePassword, this.password);
+
+  if (isMatch) {
+    if (this.loginAttempts > 0) {
+      this.loginAttempts = 0;
+      this.lockUntil = undefined;
+      await this.save();
+    }
+    return true;
+  }
+
+  this.loginAttempts += 1;
+  if (this.loginAttempts >= 5) {
+    this.lockUntil = Date.now() + 30 * 60 * 1000;
+  }
+  await this.save();
+  return false;
+};
+
+// Method to update last login
+userSchema.methods.updateLastLogin = function() {
+  this.lastLogin = new Date();
+  return this.save();
+};
+
+// Method to check whether a token issued at iat (seconds) predates the last password change
+userSchema.methods.changedPasswordAfter = function(iat) {
+  return !!(this.passwordChangedAt && iat * 1000 < this.passwordChangedAt.getTime());
+};
+
+// Method to start email verification, returns the plain token to send (the document still has to be saved)
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS);
+  return token;
+};
+
+// Method to start a password reset, returns the plain token to send (the document still has to be saved)
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+  return token;
+};
+
+// Static method to find the user an unexpired email verification token was sent to
+userSchema.statics.findByVerificationToken = function(token) {
+  return this.findOne({
+    emailVerificationToken: hashToken(String(token)),
+    emailVerificationExpires: { $gt: new Date() }
+  });
+};
+
+// Static method to find the user an unexpired password reset token was sent to
+userSchema.statics.findByResetToken = function(token) {
+  return this.findOne({
+    passwordResetToken: hashToken(String(token)),
+    passwordResetExpires: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('User', userSchema);
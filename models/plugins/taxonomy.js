@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const { escapeRegex } = require('../../utils/regex');
+
+// Shared fields and lookups for the canonical Company, Location and Skill collections
+// toKey(text) turns a spelling into the key used to recognise it ("Bangalore" -> "bangalore")
+// lookupKeys(text) (optional) lists keys to try in order, e.g. "Bangalore, India" then "Bangalore"
+const taxonomyPlugin = (schema, { toKey, lookupKeys = (text) => [toKey(text)] }) => {
+  schema.add({
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      unique: true
+    },
+    // Other spellings that resolve to this entry
+    aliases: [{
+      type: String,
+      trim: true
+    }],
+    // Lookup keys of the name and aliases, unique so a spelling belongs to one entry only
+    keys: {
+      type: [String],
+      index: { unique: true }
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null
+    }
+  });
+
+  schema.set('timestamps', true);
+
+  // Drop blank and repeated aliases and recompute the lookup keys
+  schema.pre('validate', function(next) {
+    const nameKey = toKey(this.name || '');
+    const seen = new Set([nameKey]);
+
+    this.aliases = (this.aliases || []).filter(alias => {
+      const key = toKey(alias);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    this.keys = [...seen].filter(Boolean);
+    next();
+  });
+
+  // Static method to find the entry a free-text value refers to, null if none
+  schema.statics.findByText = async function(text) {
+    if (!text || !String(text).trim()) return null;
+
+    const keys = lookupKeys(String(text)).filter(Boolean);
+    const matches = await this.find({ keys: { $in: keys } });
+
+    // Prefer the most specific key ("Bangalore, India" over "Bangalore")
+    for (const key of keys) {
+      const match = matches.find(entry => entry.keys.includes(key));
+      if (match) return match;
+    }
+    return null;
+  };
+
+  // Static method to find the entry for a free-text value, creating it when it is new
+  schema.statics.resolve = async function(text, adminId = null, extraFields = {}) {
+    const existing = await this.findByText(text);
+    if (existing) return existing;
+
+    try {
+      return await this.create({ name: String(text).trim(), createdBy: adminId, ...extraFields });
+    } catch (error) {
+      // Another request created it first
+      if (error.code === 11000) {
+        return this.findByText(text);
+      }
+      throw error;
+    }
+  };
+
+  // Static method to build the query matching entries by name or alias
+  schema.statics.searchQuery = function(q, extraQuery = {}) {
+    const query = { ...extraQuery };
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), 'i');
+      query.$or = [{ name: pattern }, { aliases: pattern }];
+    }
+    return query;
+  };
+
+  // Static method to search entries by name or alias
+  schema.statics.search = function(q, page = 1, limit = 50, extraQuery = {}) {
+    return this.find(this.searchQuery(q, extraQuery))
+      .sort({ name: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+  };
+
+  // Static method to get the key of a spelling
+  schema.statics.toKey = toKey;
+};
+
+module.exports = taxonomyPlugin;
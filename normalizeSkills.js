@@ -0,0 +1,93 @@
+// Run once to rewrite stored skills and keywords to their canonical names
+// Run with: node normalizeSkills.js
+// Add --extract to also tag skills and keywords found in job descriptions
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// MongoDB connection
+const MONGODB_URI = process.env.MONGODB_URI;
+
+if (!MONGODB_URI) {
+  console.error('❌ MONGODB_URI is not defined in environment variables');
+  console.error('Please set MONGODB_URI in your .env file');
+  process.exit(1);
+}
+
+async function normalizeSkills() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ Connected to MongoDB successfully');
+
+    const Job = require('./models/Job');
+    const { SKILL_CATEGORIES, normalizeTags, applySkillExtraction } = require('./utils/skillExtractor');
+    const { refreshManagedSkills } = require('./utils/taxonomy');
+
+    // Skills managed through /api/taxonomy/skills take precedence over the built-in dictionary
+    await refreshManagedSkills({ force: true });
+
+    const extract = process.argv.includes('--extract');
+
+    console.log(`Starting skill normalisation${extract ? ' with description extraction' : ''}...`);
+
+    // Trashed jobs are included so they are consistent if restored
+    const jobs = await Job.find({})
+      .setOptions({ withDeleted: true })
+      .select('role description skills keywords')
+      .lean();
+
+    console.log(`Found ${jobs.length} jobs`);
+
+    let updatedCount = 0;
+    let errorCount = 0;
+
+    for (const job of jobs) {
+      try {
+        let skills = {};
+        SKILL_CATEGORIES.forEach(category => {
+          skills[category] = normalizeTags((job.skills && job.skills[category]) || []);
+        });
+        let keywords = normalizeTags(job.keywords || []);
+
+        if (extract) {
+          ({ jobData: { skills, keywords } } = applySkillExtraction({ ...job, skills, keywords }));
+        }
+
+        const changed = SKILL_CATEGORIES.some(category =>
+          JSON.stringify(skills[category]) !== JSON.stringify((job.skills && job.skills[category]) || [])
+        ) || JSON.stringify(keywords) !== JSON.stringify(job.keywords || []);
+
+        if (!changed) continue;
+
+        await Job.updateOne(
+          { _id: job._id },
+          { $set: { skills, keywords } },
+          { withDeleted: true }
+        );
+
+        updatedCount++;
+      } catch (error) {
+        errorCount++;
+        console.error(`❌ Error normalising job ${job._id}:`, error.message);
+      }
+    }
+
+    console.log('\n=== Normalisation Summary ===');
+    console.log(`Total jobs found: ${jobs.length}`);
+    console.log(`Updated: ${updatedCount}`);
+    console.log(`Errors: ${errorCount}`);
+
+    console.log('\n✅ Normalisation completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Normalisation failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the normalisation
+normalizeSkills();
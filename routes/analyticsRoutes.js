@@ -2,7 +2,11 @@ const express = require('express');
 const router = express.Router();
 const Analytics = require('../models/Analytics');
 const Job = require('../models/Job');
+const Company = require('../models/Company');
 const { authenticateAdmin, requirePermission } = require('../middleware/auth');
+const { parseJobFilters } = require('../utils/jobFilters');
+const { expandTaxonomyFilters } = require('../utils/taxonomy');
+const { SALARY_CURRENCIES, DEFAULT_CURRENCY } = require('../utils/salaryParser');
 
 // GET /api/analytics/dashboard - Get dashboard analytics
 router.get('/dashboard', authenticateAdmin, requirePermission('canViewAnalytics'), async (req, res) => {
@@ -139,6 +143,7 @@ router.get('/jobs/:id', authenticateAdmin, requirePermission('canViewAnalytics')
 });
 
 // GET /api/analytics/companies - Get company analytics
+// Grouped by Company entity so renamed or merged spellings count together
 router.get('/companies', authenticateAdmin, requirePermission('canViewAnalytics'), async (req, res) => {
   try {
     const { days = 7, limit = 10 } = req.query;
@@ -151,35 +156,40 @@ router.get('/companies', authenticateAdmin, requirePermission('canViewAnalytics'
     
     const companyStats = {};
     
-    analytics.forEach(dayAnalytics => {
-      dayAnalytics.jobViews.forEach(jobView => {
-        if (jobView.jobId && jobView.jobId.companyName) {
-          const company = jobView.jobId.companyName;
-          if (!companyStats[company]) {
-            companyStats[company] = { views: 0, clicks: 0 };
-          }
-          companyStats[company].views += jobView.count;
-        }
-      });
+    // Jobs not linked to a company yet fall back to their name
+    const addStats = (job, field, count) => {
+      if (!job || !(job.companyRef || job.companyName)) return;
       
-      dayAnalytics.jobClicks.forEach(jobClick => {
-        if (jobClick.jobId && jobClick.jobId.companyName) {
-          const company = jobClick.jobId.companyName;
-          if (!companyStats[company]) {
-            companyStats[company] = { views: 0, clicks: 0 };
-          }
-          companyStats[company].clicks += jobClick.count;
-        }
-      });
+      const key = job.companyRef ? String(job.companyRef) : `name:${job.companyName}`;
+      if (!companyStats[key]) {
+        companyStats[key] = { companyId: job.companyRef || null, companyName: job.companyName, views: 0, clicks: 0 };
+      }
+      companyStats[key][field] += count;
+    };
+    
+    analytics.forEach(dayAnalytics => {
+      dayAnalytics.jobViews.forEach(jobView => addStats(jobView.jobId, 'views', jobView.count));
+      dayAnalytics.jobClicks.forEach(jobClick => addStats(jobClick.jobId, 'clicks', jobClick.count));
     });
     
-    const companyAnalytics = Object.entries(companyStats)
-      .map(([company, stats]) => ({
-        company,
-        views: stats.views,
-        clicks: stats.clicks,
-        conversionRate: stats.views > 0 ? (stats.clicks / stats.views * 100).toFixed(2) : 0
-      }))
+    const companyIds = Object.values(companyStats).map(stats => stats.companyId).filter(Boolean);
+    const companies = await Company.find({ _id: { $in: companyIds } }).select('name slug logo industry').lean();
+    const companiesById = new Map(companies.map(company => [String(company._id), company]));
+    
+    const companyAnalytics = Object.values(companyStats)
+      .map(stats => {
+        const company = stats.companyId ? companiesById.get(String(stats.companyId)) : null;
+        return {
+          companyId: stats.companyId,
+          company: company ? company.name : stats.companyName,
+          slug: company ? company.slug : null,
+          logo: company ? company.logo : '',
+          industry: company ? company.industry : '',
+          views: stats.views,
+          clicks: stats.clicks,
+          conversionRate: stats.views > 0 ? (stats.clicks / stats.views * 100).toFixed(2) : 0
+        };
+      })
       .sort((a, b) => b.views - a.views)
       .slice(0, parseInt(limit));
     
@@ -190,6 +200,44 @@ router.get('/companies', authenticateAdmin, requirePermission('canViewAnalytics'
   }
 });
 
+// GET /api/analytics/salaries - Get the salary distribution per role or location
+// Amounts are annual in one currency; accepts the job listing filters, status=all includes closed jobs
+router.get('/salaries', authenticateAdmin, requirePermission('canViewAnalytics'), async (req, res) => {
+  try {
+    const { groupBy = 'role', currency = DEFAULT_CURRENCY, limit = 20, minJobs = 1 } = req.query;
+    
+    if (!['role', 'location'].includes(groupBy)) {
+      return res.status(400).json({ message: 'groupBy must be role or location' });
+    }
+    
+    const salaryCurrency = String(currency).toUpperCase();
+    if (!SALARY_CURRENCIES.includes(salaryCurrency)) {
+      return res.status(400).json({ message: `Invalid currency. Allowed values: ${SALARY_CURRENCIES.join(', ')}` });
+    }
+    
+    const { filters: parsedFilters, errors } = parseJobFilters(req.query, { allowStatus: true });
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid filters', errors });
+    }
+    
+    const filters = await expandTaxonomyFilters(parsedFilters);
+    
+    const distribution = await Job.getSalaryDistribution(filters, {
+      groupBy,
+      currency: salaryCurrency,
+      includeNonActive: req.query.status !== undefined,
+      limit: Math.min(parseInt(limit) || 20, 100),
+      minJobs: parseInt(minJobs) || 1
+    });
+    
+    res.json(distribution);
+  } catch (error) {
+    console.error('Error fetching salary analytics:', error);
+    res.status(500).json({ message: 'Error fetching salary analytics' });
+  }
+});
+
 // GET /api/analytics/trends - Get trending data
 router.get('/trends', authenticateAdmin, requirePermission('canViewAnalytics'), async (req, res) => {
   try {
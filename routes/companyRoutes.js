@@ -0,0 +1,121 @@
+const express = require('express');
+const router = express.Router();
+const Company = require('../models/Company');
+const Job = require('../models/Job');
+const { parseJobFilters } = require('../utils/jobFilters');
+const { escapeRegex } = require('../utils/regex');
+
+const PUBLIC_COMPANY_FIELDS = 'name slug logo website description industry';
+
+// GET /api/companies - List companies with their active job counts (Public)
+router.get('/', async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      q,
+      industry,
+      sortBy = 'activeJobs',
+      includeEmpty
+    } = req.query;
+
+    const pageNumber = parseInt(page) || 1;
+    const pageSize = Math.min(parseInt(limit) || 20, 100);
+
+    const counts = await Job.getActiveJobCountsByCompany();
+
+    // Companies without open jobs are hidden unless asked for
+    const query = includeEmpty === 'true' ? {} : { _id: { $in: [...counts.keys()] } };
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), 'i');
+      query.$or = [{ name: pattern }, { aliases: pattern }];
+    }
+    if (industry) {
+      query.industry = new RegExp(`^${escapeRegex(industry)}$`, 'i');
+    }
+
+    const companies = (await Company.find(query).select(PUBLIC_COMPANY_FIELDS).lean())
+      .map(company => ({
+        ...company,
+        activeJobs: counts.has(String(company._id)) ? counts.get(String(company._id)).activeJobs : 0,
+        latestJobAt: counts.has(String(company._id)) ? counts.get(String(company._id)).latestJobAt : null
+      }));
+
+    companies.sort((a, b) => {
+      if (sortBy === 'name') return a.name.localeCompare(b.name);
+      if (sortBy === 'latest') return (b.latestJobAt || 0) - (a.latestJobAt || 0) || a.name.localeCompare(b.name);
+      return b.activeJobs - a.activeJobs || a.name.localeCompare(b.name);
+    });
+
+    const totalCompanies = companies.length;
+    const totalPages = Math.ceil(totalCompanies / pageSize);
+
+    res.json({
+      companies: companies.slice((pageNumber - 1) * pageSize, pageNumber * pageSize),
+      pagination: {
+        currentPage: pageNumber,
+        totalPages,
+        totalCompanies,
+        hasNext: pageNumber < totalPages,
+        hasPrev: pageNumber > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching companies:', error);
+    res.status(500).json({ message: 'Error fetching companies' });
+  }
+});
+
+// GET /api/companies/:idOrSlug - Company page with its active jobs (Public)
+// Accepts the same job filters as GET /api/jobs
+router.get('/:idOrSlug', async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const company = await Company.findByIdOrSlug(req.params.idOrSlug).select(PUBLIC_COMPANY_FIELDS);
+
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const { filters, errors } = parseJobFilters(req.query);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid filters', errors });
+    }
+
+    // The company decides which jobs are shown, not the free-text name filter
+    delete filters.companyName;
+
+    const pageNumber = parseInt(page) || 1;
+    const pageSize = Math.min(parseInt(limit) || 10, 100);
+    const query = { ...Job.buildFilterQuery(filters, false), companyRef: company._id };
+
+    const [jobs, totalJobs] = await Promise.all([
+      Job.find(query)
+        .sort({ datePosted: -1, _id: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      Job.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(totalJobs / pageSize);
+
+    res.json({
+      company,
+      jobs,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages,
+        totalJobs,
+        hasNext: pageNumber < totalPages,
+        hasPrev: pageNumber > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching company:', error);
+    res.status(500).json({ message: 'Error fetching company' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,254 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const JobImport = require('../models/JobImport');
+const ImportRow = require('../models/ImportRow');
+const { authenticateAdmin, requirePermission } = require('../middleware/auth');
+const { uploadSpreadsheet } = require('../middleware/upload');
+const { previewImport, MAX_IMPORT_ROWS } = require('../utils/jobImport');
+const { isPending, processImport, startImport, getRetryRows } = require('../utils/importWorker');
+
+const ROW_STATUSES = ['pending', 'created', 'duplicate', 'failed'];
+
+// Helper function to start a queued import and shape the 202 response
+// The rest is processed each time the statusUrl is polled (and by the import cron on long-running servers)
+const startAndRespond = async (jobImport, res) => {
+  const progress = await startImport(jobImport);
+
+  res.status(202).json({
+    message: progress.status === 'completed' ? 'Import completed' : 'Import queued, poll statusUrl to continue it',
+    importId: jobImport._id,
+    status: progress.status,
+    total: progress.total,
+    processed: progress.processed,
+    statusUrl: `/api/imports/${jobImport._id}`
+  });
+};
+
+// Middleware to reject malformed import ids before they reach the database
+const checkImportId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid import id' });
+  }
+  next();
+};
+
+// GET /api/imports - List bulk imports (Admin only)
+router.get('/', authenticateAdmin, requirePermission('canCreateJobs'), async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      mine
+    } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (mine === 'true') query.createdBy = req.admin._id;
+
+    const skip = (page - 1) * limit;
+
+    const imports = await JobImport.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('createdBy', 'username email');
+
+    const totalImports = await JobImport.countDocuments(query);
+    const totalPages = Math.ceil(totalImports / limit);
+
+    res.json({
+      imports,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalImports,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching imports:', error);
+    res.status(500).json({ message: 'Error fetching imports' });
+  }
+});
+
+// GET /api/imports/:id - Get import progress (Admin only)
+// Polling moves the import on: pending rows are processed for a few seconds before the response is sent
+router.get('/:id', authenticateAdmin, requirePermission('canCreateJobs'), checkImportId, async (req, res) => {
+  try {
+    let jobImport = await JobImport.findById(req.params.id);
+
+    if (!jobImport) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    if (isPending(jobImport)) {
+      await processImport(jobImport._id);
+    }
+
+    jobImport = await JobImport.findById(req.params.id)
+      .populate('createdBy', 'username email');
+
+    res.json({
+      ...jobImport.toJSON(),
+      rowsUrl: `/api/imports/${jobImport._id}/rows`
+    });
+  } catch (error) {
+    console.error('Error fetching import:', error);
+    res.status(500).json({ message: 'Error fetching import' });
+  }
+});
+
+// GET /api/imports/:id/rows - Rows of an import and their outcome, filter with status=created|duplicate|failed|pending (Admin only)
+router.get('/:id/rows', authenticateAdmin, requirePermission('canCreateJobs'), checkImportId, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status } = req.query;
+    const pageNumber = parseInt(page) || 1;
+    const pageSize = Math.min(parseInt(limit) || 50, 200);
+
+    if (status && !ROW_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of ${ROW_STATUSES.join(', ')}` });
+    }
+
+    const query = { import: req.params.id };
+    if (status) query.status = status;
+
+    const [rows, totalRows] = await Promise.all([
+      ImportRow.find(query)
+        .select('-import -__v')
+        .sort({ index: 1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .populate('job', 'companyName role location status')
+        .lean(),
+      ImportRow.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(totalRows / pageSize);
+
+    res.json({
+      rows,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages,
+        totalRows,
+        hasNext: pageNumber < totalPages,
+        hasPrev: pageNumber > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching import rows:', error);
+    res.status(500).json({ message: 'Error fetching import rows' });
+  }
+});
+
+// POST /api/imports - Queue a background import from a JSON array (Admin only)
+router.post('/', authenticateAdmin, requirePermission('canCreateJobs'), async (req, res) => {
+  try {
+    const { jobs, allowDuplicates = false, extractSkills = false } = req.body;
+
+    if (!Array.isArray(jobs) || jobs.length === 0) {
+      return res.status(400).json({ message: 'Jobs must be a non-empty array' });
+    }
+
+    if (jobs.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `Imports are limited to ${MAX_IMPORT_ROWS} rows` });
+    }
+
+    const jobImport = await JobImport.queue(jobs, req.admin._id, {
+      source: 'json',
+      allowDuplicates: allowDuplicates === true,
+      extractSkills: extractSkills === true
+    });
+
+    await startAndRespond(jobImport, res);
+  } catch (error) {
+    console.error('Error queueing import:', error);
+    res.status(500).json({ message: 'Error queueing import' });
+  }
+});
+
+// POST /api/imports/spreadsheet - Queue a background import from a CSV/XLSX file (Admin only)
+// Invalid rows are recorded as failures straight away, indexes are spreadsheet rows
+router.post('/spreadsheet', authenticateAdmin, requirePermission('canCreateJobs'), uploadSpreadsheet, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'A CSV or XLSX file is required in the "file" field' });
+    }
+
+    const preview = await previewImport(req.file.buffer, req.file.originalname);
+
+    if (preview.rows.length === 0) {
+      return res.status(400).json({ message: 'The spreadsheet has no rows' });
+    }
+
+    const importable = preview.rows.filter(item => item.valid && !(item.duplicate && item.duplicate.inFile));
+    const failures = preview.rows
+      .filter(item => !importable.includes(item))
+      .map(item => ({
+        index: item.row,
+        jobData: item.jobData,
+        error: item.valid ? `Same hiring link as row ${item.duplicate.row}` : item.errors.join('; ')
+      }));
+
+    const jobImport = await JobImport.queue(importable.map(item => item.jobData), req.admin._id, {
+      source: 'spreadsheet',
+      filename: req.file.originalname,
+      allowDuplicates: req.body.allowDuplicates === 'true',
+      extractSkills: req.body.extractSkills === 'true',
+      indexes: importable.map(item => item.row),
+      failures
+    });
+
+    await startAndRespond(jobImport, res);
+  } catch (error) {
+    console.error('Error queueing spreadsheet import:', error);
+
+    if (error.name === 'ImportError') {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Error queueing import' });
+  }
+});
+
+// POST /api/imports/:id/retry - Re-run only the failed (and unprocessed) rows of an import (Admin only)
+router.post('/:id/retry', authenticateAdmin, requirePermission('canCreateJobs'), checkImportId, async (req, res) => {
+  try {
+    const { includeDuplicates = false, allowDuplicates = false } = req.body;
+
+    const jobImport = await JobImport.findById(req.params.id);
+
+    if (!jobImport) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    if (['queued', 'processing'].includes(jobImport.status)) {
+      return res.status(400).json({ message: 'Import is still running' });
+    }
+
+    const rows = await getRetryRows(jobImport, { includeDuplicates: includeDuplicates === true });
+
+    if (rows.length === 0) {
+      return res.status(400).json({ message: 'Import has no failed rows to retry' });
+    }
+
+    const retryImport = await JobImport.queue(rows.map(row => row.jobData), req.admin._id, {
+      source: 'retry',
+      filename: jobImport.filename,
+      allowDuplicates: allowDuplicates === true,
+      extractSkills: jobImport.options.extractSkills === true,
+      indexes: rows.map(row => row.index),
+      retryOf: jobImport._id
+    });
+
+    await startAndRespond(retryImport, res);
+  } catch (error) {
+    console.error('Error retrying import:', error);
+    res.status(500).json({ message: 'Error retrying import' });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,28 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const Job = require('../models/Job');
 const Analytics = require('../models/Analytics');
-const { authenticateAdmin, requirePermission } = require('../middleware/auth');
+const JobHistory = require('../models/JobHistory');
+const JobInteraction = require('../models/JobInteraction');
+const { authenticateAdmin, requireMainAdmin, requirePermission, optionalUser } = require('../middleware/auth');
+const { parseJobFilters, toList } = require('../utils/jobFilters');
+const { CURSOR_SORT_FIELDS, decodeCursor } = require('../utils/cursor');
+const { processLinkChecks } = require('../utils/linkCheckCron');
+const { checkForDuplicates } = require('../utils/duplicateDetector');
+const { createJobs, buildBulkResponse } = require('../utils/bulkJobCreator');
+const { extractSkills, applySkillExtraction } = require('../utils/skillExtractor');
+const { resolveJobTaxonomy, expandTaxonomyFilters } = require('../utils/taxonomy');
+const { previewImport, MAX_IMPORT_ROWS } = require('../utils/jobImport');
+const { uploadSpreadsheet } = require('../middleware/upload');
+const JobImport = require('../models/JobImport');
+const { startImport } = require('../utils/importWorker');
+const { runInTransaction, createAbortError } = require('../utils/transaction');
+const { DEGREES, BRANCHES, isValidGraduationYear } = require('../utils/eligibility');
+const { recommendJobs } = require('../utils/recommendations');
+const { findSimilarJobs } = require('../utils/similarJobs');
+const { MAX_BULK_JOBS, resolveBulkQuery, findBulkTargets, changeJobsStatus, deleteJobs } = require('../utils/bulkJobActions');
 
 // Middleware to track analytics for public routes
 const trackAnalytics = async (req, res, next) => {
@@ -16,54 +35,147 @@ const trackAnalytics = async (req, res, next) => {
   }
 };
 
-// Helper function to check for duplicate hiring link
-const checkDuplicateHiringLink = async (hiringLink, excludeJobId = null) => {
-  const query = {
-    hiringLink: hiringLink,
-    status: 'active'
+// Helper function to read who is browsing: the signed-in seeker, or the anonymous visitor id the client sends
+const getActor = (req) => ({
+  user: req.user || null,
+  visitorId: req.get('X-Visitor-Id') || req.query.visitorId || null
+});
+
+// Helper function to count a view or click for recommendations, failures never block the request
+const recordInteraction = async (req, jobId, type) => {
+  try {
+    await JobInteraction.record(getActor(req), jobId, type);
+  } catch (error) {
+    console.error('Error recording job interaction:', error);
+  }
+};
+
+// Largest page a list endpoint returns
+const MAX_PAGE_SIZE = 100;
+
+// Helper function to read a page size param, kept between 1 and MAX_PAGE_SIZE
+const readPageSize = (value, defaultLimit) => Math.max(Math.min(parseInt(value) || defaultLimit, MAX_PAGE_SIZE), 1);
+
+// Helper function to read cursor pagination params
+// Cursor mode is used when ?cursor is present (left empty for the first page)
+const getCursorOptions = (query, defaultSortField, defaultLimit) => {
+  if (query.cursor === undefined) {
+    return null;
+  }
+  
+  const sortField = CURSOR_SORT_FIELDS.includes(query.sortBy) ? query.sortBy : defaultSortField;
+  const sortOrder = query.sortOrder === 'asc' ? 'asc' : 'desc';
+  
+  return {
+    sortField,
+    sortOrder,
+    limit: readPageSize(query.limit, defaultLimit),
+    cursor: decodeCursor(query.cursor, sortField, sortOrder)
   };
+};
+
+// Helper function to build the pagination block for cursor mode
+const cursorPagination = (page, cursorOptions, totalJobs) => ({
+  mode: 'cursor',
+  limit: cursorOptions.limit,
+  totalJobs,
+  hasNext: page.hasNext,
+  nextCursor: page.nextCursor
+});
+
+// Helper function to move a job to a new status, the change is recorded in the job history
+const applyStatusChange = (job, status, actor, historyOptions) => {
+  if (status === 'active') return job.reactivate(actor, historyOptions);
+  if (status === 'dump') return job.moveToDump(actor, historyOptions);
+  return job.moveToInactive(actor, historyOptions);
+};
+
+// Helper function to run a bulk action, in atomic mode any per-job error rolls back every change
+const runBulkAction = (atomic, action) => {
+  if (!atomic) {
+    return action();
+  }
   
-  if (excludeJobId) {
-    query._id = { $ne: excludeJobId };
+  return runInTransaction(async () => {
+    const result = await action();
+    if (result.errors.length > 0) {
+      throw createAbortError('Bulk action rolled back', result);
+    }
+    return result;
+  });
+};
+
+// Helper function to answer the errors shared by the bulk endpoints, returns false if not handled
+const handleBulkError = (error, res, rolledBackMessage) => {
+  if (error.name === 'TransactionUnsupportedError') {
+    res.status(400).json({ message: error.message });
+    return true;
   }
   
-  const existingJob = await Job.findOne(query).select('companyName role location datePosted');
-  return existingJob;
+  if (error.name === 'TransactionAbortedError') {
+    const { duplicates = [], errors = [] } = error.details;
+    res.status(400).json({
+      message: rolledBackMessage,
+      rolledBack: true,
+      ...(duplicates.length > 0 && { duplicates }),
+      errors
+    });
+    return true;
+  }
+  
+  return false;
 };
 
 // GET /api/jobs - Get all active jobs with filters (Public)
+// closingSoon=true / closingWithinDays=N with sortBy=applyBy&sortOrder=asc lists jobs closing soon
+// salaryMin/salaryMax (annual, in salaryCurrency, default INR) with sortBy=salary filters and sorts by pay
+// near=<lat,lng or city>&radiusKm=N finds jobs within N km (includeRemote=true adds remote jobs), remote=true lists remote jobs only
+// graduationYear=2027&degree=B.Tech&branch=CSE lists jobs open to that batch and degree, experienceYears=N jobs whose experience range includes N
 router.get('/', trackAnalytics, async (req, res) => {
   try {
     const {
       page = 1,
       limit = 10,
-      role,
-      location,
-      experience,
-      keywords,
-      skills,
-      sortBy = 'datePosted',
+      sortBy,
       sortOrder = 'desc'
     } = req.query;
     
-    const filters = {};
+    const { filters: parsedFilters, errors } = parseJobFilters(req.query);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid filters', errors });
+    }
     
-    if (role) filters.role = role;
-    if (location) filters.location = location;
-    if (experience) filters.experience = experience;
-    if (keywords) filters.keywords = keywords.split(',');
-    if (skills) filters.skills = skills.split(',');
+    const filters = await expandTaxonomyFilters(parsedFilters);
+    
+    const cursorOptions = getCursorOptions(req.query, 'datePosted', 10);
+    
+    if (cursorOptions) {
+      const query = Job.buildFilterQuery(filters, false);
+      const [page, totalJobs] = await Promise.all([
+        Job.getJobsByCursor(query, cursorOptions),
+        Job.countDocuments(query)
+      ]);
+      
+      return res.json({
+        jobs: page.jobs,
+        pagination: cursorPagination(page, cursorOptions, totalJobs)
+      });
+    }
     
     // Public API only shows active jobs
+    const pageSize = readPageSize(limit, 10);
     const jobs = await Job.getFilteredJobs(
       filters,
       parseInt(page),
-      parseInt(limit),
-      false // Don't include non-active jobs
+      pageSize,
+      false, // Don't include non-active jobs
+      sortBy,
+      sortOrder
     );
     
-    const totalJobs = await Job.countDocuments({ status: 'active', isActive: true, ...filters });
-    const totalPages = Math.ceil(totalJobs / limit);
+    const totalJobs = await Job.countDocuments(Job.buildFilterQuery(filters, false));
+    const totalPages = Math.ceil(totalJobs / pageSize);
     
     res.json({
       jobs,
@@ -77,6 +189,11 @@ router.get('/', trackAnalytics, async (req, res) => {
     });
   } catch (error) {
     console.error('Error fetching jobs:', error);
+    
+    if (error.name === 'InvalidCursorError') {
+      return res.status(400).json({ message: error.message });
+    }
+    
     res.status(500).json({ message: 'Error fetching jobs' });
   }
 });
@@ -84,21 +201,27 @@ router.get('/', trackAnalytics, async (req, res) => {
 // GET /api/jobs/filters/options - Get filter options (Public)
 router.get('/filters/options', async (req, res) => {
   try {
-    const [roles, locations, companies] = await Promise.all([
+    const [roles, locations, companies, experienceOptions, salaryCurrencies, graduationYears] = await Promise.all([
       Job.distinct('role', { status: 'active', isActive: true }),
-      Job.distinct('location', { status: 'active', isActive: true }),
-      Job.distinct('companyName', { status: 'active', isActive: true })
+      Job.distinctCanonical('location', { status: 'active', isActive: true }),
+      Job.distinctCanonical('companyName', { status: 'active', isActive: true }),
+      Job.distinct('experience', { status: 'active', isActive: true }),
+      Job.distinct('salary.currency', { status: 'active', isActive: true, 'salary.disclosed': true }),
+      Job.distinct('eligibility.graduationYears', { status: 'active', isActive: true })
     ]);
     
-    const experienceOptions = ['0-1', '1-2', '2-3', '3+', '4+', '5+', '6+', 'intern', '2026 passout', '2025 passout', '2027 passout'];
     const employmentTypes = ['Full-Time', 'Part-Time', 'Contract', 'Internship', 'Freelance'];
     
     res.json({
       roles: roles.sort(),
       locations: locations.sort(),
       companies: companies.sort(),
-      experienceOptions,
-      employmentTypes
+      experienceOptions: experienceOptions.sort((a, b) => a.localeCompare(b, undefined, { numeric: true })),
+      employmentTypes,
+      salaryCurrencies: salaryCurrencies.sort(),
+      graduationYears: graduationYears.sort((a, b) => a - b),
+      degrees: DEGREES.map(degree => degree.name),
+      branches: BRANCHES.map(branch => branch.name)
     });
   } catch (error) {
     console.error('Error fetching filter options:', error);
@@ -106,57 +229,105 @@ router.get('/filters/options', async (req, res) => {
   }
 });
 
-// GET /api/jobs/check-duplicate - Check for duplicate hiring link (Admin only)
+// GET /api/jobs/facets - Get per-facet counts for the current filters (Public)
+router.get('/facets', async (req, res) => {
+  try {
+    const { facetLimit = 20 } = req.query;
+    
+    const { filters: parsedFilters, errors } = parseJobFilters(req.query);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid filters', errors });
+    }
+    
+    const filters = await expandTaxonomyFilters(parsedFilters);
+    
+    const [facets, totalJobs] = await Promise.all([
+      Job.getFacetCounts(filters, false, Math.min(Math.max(parseInt(facetLimit) || 20, 1), 100)),
+      Job.countDocuments(Job.buildFilterQuery(filters, false))
+    ]);
+    
+    res.json({ totalJobs, facets });
+  } catch (error) {
+    console.error('Error fetching job facets:', error);
+    res.status(500).json({ message: 'Error fetching job facets' });
+  }
+});
+
+// POST /api/jobs/check-duplicate - Check for duplicate jobs by link and company/role/location (Admin only)
 router.post('/check-duplicate', authenticateAdmin, async (req, res) => {
   try {
-    const { hiringLink, excludeJobId } = req.body;
+    const { hiringLink, excludeJobId, companyName, role, location } = req.body;
     
     if (!hiringLink) {
       return res.status(400).json({ message: 'Hiring link is required' });
     }
     
-    const existingJob = await checkDuplicateHiringLink(hiringLink, excludeJobId);
+    const result = await checkForDuplicates(
+      { hiringLink, companyName, role, location },
+      { excludeJobId }
+    );
     
-    if (existingJob) {
-      res.json({
-        isDuplicate: true,
-        existingJob: {
-          _id: existingJob._id,
-          companyName: existingJob.companyName,
-          role: existingJob.role,
-          location: existingJob.location,
-          datePosted: existingJob.datePosted
-        }
-      });
-    } else {
-      res.json({ isDuplicate: false });
-    }
+    res.json(result);
   } catch (error) {
     console.error('Error checking duplicate:', error);
     res.status(500).json({ message: 'Error checking duplicate hiring link' });
   }
 });
 
+// POST /api/jobs/extract-skills - Propose skills and keywords for a description, nothing is saved (Admin only)
+router.post('/extract-skills', authenticateAdmin, async (req, res) => {
+  try {
+    const { role = '', description } = req.body;
+    
+    if (!description) {
+      return res.status(400).json({ message: 'Description is required' });
+    }
+    
+    res.json(extractSkills([role, description].filter(Boolean).join('\n')));
+  } catch (error) {
+    console.error('Error extracting skills:', error);
+    res.status(500).json({ message: 'Error extracting skills' });
+  }
+});
+
 // GET /api/jobs/admin/all - Get all jobs for admin with status filter (Admin only)
 router.get('/admin/all', authenticateAdmin, async (req, res) => {
   try {
     const {
       page = 1,
       limit = 20,
-      status = 'all',
       sortBy = 'lastStatusChange',
       sortOrder = 'desc'
     } = req.query;
     
-    const query = status === 'all' ? {} : { status };
-    const skip = (page - 1) * limit;
-    const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
+    const { filters: parsedFilters, errors } = parseJobFilters(req.query, { allowStatus: true });
     
-    const jobs = await Job.find(query)
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .populate('createdBy', 'username email');
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid filters', errors });
+    }
+    
+    const filters = await expandTaxonomyFilters(parsedFilters);
+    
+    const query = Job.buildFilterQuery(filters, true);
+    const cursorOptions = getCursorOptions(req.query, 'lastStatusChange', 20);
+    
+    let jobs;
+    let cursorPage;
+    
+    if (cursorOptions) {
+      cursorPage = await Job.getJobsByCursor(query, cursorOptions);
+      jobs = cursorPage.jobs;
+    } else {
+      jobs = await Job.getFilteredJobs(
+        filters,
+        parseInt(page),
+        parseInt(limit),
+        true, // Admins see every status
+        sortBy,
+        sortOrder
+      );
+    }
     
     const totalJobs = await Job.countDocuments(query);
     const totalPages = Math.ceil(totalJobs / limit);
@@ -184,7 +355,7 @@ router.get('/admin/all', authenticateAdmin, async (req, res) => {
     
     res.json({
       jobs,
-      pagination: {
+      pagination: cursorOptions ? cursorPagination(cursorPage, cursorOptions, totalJobs) : {
         currentPage: parseInt(page),
         totalPages,
         totalJobs,
@@ -195,6 +366,11 @@ router.get('/admin/all', authenticateAdmin, async (req, res) => {
     });
   } catch (error) {
     console.error('Error fetching admin jobs:', error);
+    
+    if (error.name === 'InvalidCursorError') {
+      return res.status(400).json({ message: error.message });
+    }
+    
     res.status(500).json({ message: 'Error fetching jobs' });
   }
 });
@@ -207,8 +383,24 @@ router.get('/admin/dump', authenticateAdmin, async (req, res) => {
       limit = 20
     } = req.query;
     
-    const jobs = await Job.getJobsByStatus('dump', parseInt(page), parseInt(limit));
     const totalJobs = await Job.countDocuments({ status: 'dump' });
+    const cursorOptions = getCursorOptions(req.query, 'lastStatusChange', 20);
+    
+    if (cursorOptions) {
+      const cursorPage = await Job.getJobsByStatusCursor(
+        'dump',
+        cursorOptions.limit,
+        cursorOptions.cursor,
+        cursorOptions.sortOrder
+      );
+      
+      return res.json({
+        jobs: cursorPage.jobs,
+        pagination: cursorPagination(cursorPage, cursorOptions, totalJobs)
+      });
+    }
+    
+    const jobs = await Job.getJobsByStatus('dump', parseInt(page), parseInt(limit));
     const totalPages = Math.ceil(totalJobs / limit);
     
     res.json({
@@ -223,10 +415,226 @@ router.get('/admin/dump', authenticateAdmin, async (req, res) => {
     });
   } catch (error) {
     console.error('Error fetching dump jobs:', error);
+    
+    if (error.name === 'InvalidCursorError') {
+      return res.status(400).json({ message: error.message });
+    }
+    
     res.status(500).json({ message: 'Error fetching dump jobs' });
   }
 });
 
+// GET /api/jobs/admin/trash - Get soft-deleted jobs (Admin only)
+router.get('/admin/trash', authenticateAdmin, requirePermission('canDeleteJobs'), async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20
+    } = req.query;
+    
+    const query = { deletedAt: { $ne: null } };
+    const skip = (page - 1) * limit;
+    
+    const jobs = await Job.find(query)
+      .sort({ deletedAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('createdBy', 'username email')
+      .populate('deletedBy', 'username email');
+    
+    const totalJobs = await Job.countDocuments(query);
+    const totalPages = Math.ceil(totalJobs / limit);
+    
+    res.json({
+      jobs,
+      retentionDays: Job.getTrashRetentionDays(),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalJobs,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching trashed jobs:', error);
+    res.status(500).json({ message: 'Error fetching trashed jobs' });
+  }
+});
+
+// POST /api/jobs/admin/purge-trash - Permanently delete jobs past the retention window (Main admin only)
+router.post('/admin/purge-trash', authenticateAdmin, requireMainAdmin, async (req, res) => {
+  try {
+    const result = await Job.purgeDeletedJobs();
+    
+    res.json({
+      message: `${result.purged} jobs permanently deleted`,
+      result
+    });
+  } catch (error) {
+    console.error('Error purging trashed jobs:', error);
+    res.status(500).json({ message: 'Error purging trashed jobs' });
+  }
+});
+
+// POST /api/jobs/:id/restore - Restore a job from the trash (Admin only)
+router.post('/:id/restore', authenticateAdmin, requirePermission('canDeleteJobs'), async (req, res) => {
+  try {
+    const job = await Job.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found in trash' });
+    }
+    
+    await job.restore(req.admin);
+    await job.populate('createdBy', 'username email');
+    
+    res.json({ message: 'Job restored successfully', job });
+  } catch (error) {
+    console.error('Error restoring job:', error);
+    res.status(500).json({ message: 'Error restoring job' });
+  }
+});
+
+// GET /api/jobs/admin/link-report - Hiring link health report (Admin only)
+router.get('/admin/link-report', authenticateAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    
+    const report = await Job.getLinkHealthReport(parseInt(page), parseInt(limit));
+    const totalPages = Math.ceil(report.totalFlagged / limit);
+    
+    res.json({
+      ...report,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalJobs: report.totalFlagged,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching link report:', error);
+    res.status(500).json({ message: 'Error fetching link report' });
+  }
+});
+
+// POST /api/jobs/admin/check-links - Manually trigger hiring link checks (Admin only)
+router.post('/admin/check-links', authenticateAdmin, requirePermission('canCreateJobs'), async (req, res) => {
+  try {
+    const result = await processLinkChecks();
+    
+    if (!result) {
+      return res.status(500).json({ message: 'Error checking hiring links' });
+    }
+    
+    res.json({
+      message: 'Hiring links checked successfully',
+      result
+    });
+  } catch (error) {
+    console.error('Error checking hiring links:', error);
+    res.status(500).json({ message: 'Error checking hiring links' });
+  }
+});
+
+// GET /api/jobs/admin/history - Query the job audit trail (Admin only)
+router.get('/admin/history', authenticateAdmin, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      jobId,
+      actor,
+      actorType,
+      action,
+      from,
+      to
+    } = req.query;
+    
+    const query = {};
+    
+    if (jobId) query.job = jobId;
+    if (actor) query.actor = actor;
+    if (actorType) query.actorType = actorType;
+    if (action) query.action = action;
+    if (from || to) {
+      query.timestamp = {};
+      if (from) query.timestamp.$gte = new Date(from);
+      if (to) query.timestamp.$lte = new Date(to);
+    }
+    
+    const [history, totalEntries] = await Promise.all([
+      JobHistory.getHistory(query, parseInt(page), parseInt(limit)),
+      JobHistory.countDocuments(query)
+    ]);
+    const totalPages = Math.ceil(totalEntries / limit);
+    
+    res.json({
+      history,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalEntries,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching job history:', error);
+    
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid value for ${error.path}` });
+    }
+    
+    res.status(500).json({ message: 'Error fetching job history' });
+  }
+});
+
+// GET /api/jobs/:id/history - Get status and edit history of a job (Admin only)
+router.get('/:id/history', authenticateAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid job id' });
+    }
+    
+    const job = await Job.findById(req.params.id)
+      .select('companyName role location status lastStatusChange movedToDumpAt deletedAt')
+      .setOptions({ withDeleted: true });
+    
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    const query = { job: job._id };
+    const [history, totalEntries, summary] = await Promise.all([
+      JobHistory.getHistory(query, parseInt(page), parseInt(limit)),
+      JobHistory.countDocuments(query),
+      JobHistory.getStatusSummary(job._id)
+    ]);
+    const totalPages = Math.ceil(totalEntries / limit);
+    
+    res.json({
+      job,
+      summary,
+      history,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalEntries,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching job history:', error);
+    res.status(500).json({ message: 'Error fetching job history' });
+  }
+});
+
 // PUT /api/jobs/:id/status - Update job status (Admin only)
 router.put('/:id/status', authenticateAdmin, requirePermission('canCreateJobs'), async (req, res) => {
   try {
@@ -242,15 +650,12 @@ router.put('/:id/status', authenticateAdmin, requirePermission('canCreateJobs'),
       return res.status(404).json({ message: 'Job not found' });
     }
     
-    // Handle status changes
-    if (status === 'active') {
-      await job.reactivate();
-    } else if (status === 'dump') {
-      await job.moveToDump();
-    } else if (status === 'inactive') {
-      await job.moveToInactive();
+    if (status === 'active' && job.applyBy && job.applyBy < new Date()) {
+      return res.status(400).json({ message: 'Application deadline has passed. Update applyBy before reactivating this job' });
     }
     
+    await applyStatusChange(job, status, req.admin, { source: 'PUT /api/jobs/:id/status', reason: req.body.reason || '' });
+    
     await job.populate('createdBy', 'username email');
     
     res.json({ 
@@ -278,18 +683,71 @@ router.post('/admin/process-status-changes', authenticateAdmin, requirePermissio
   }
 });
 
+// GET /api/jobs/recommendations - Active jobs ranked for the visitor or signed-in seeker, each with the reasons (Public)
+// Uses the seeker's profile and/or skills, graduationYear, experienceYears params, plus their views and clicks
+// Anonymous visitors are recognised by the X-Visitor-Id header they send with /:id and /:id/click
+router.get('/recommendations', optionalUser, async (req, res) => {
+  try {
+    const profile = (req.user && req.user.profile) || {};
+    const errors = [];
+    
+    const graduationYear = req.query.graduationYear ? Number(req.query.graduationYear) : profile.graduationYear || null;
+    if (graduationYear !== null && !isValidGraduationYear(graduationYear)) {
+      errors.push('graduationYear must be a four-digit year');
+    }
+    
+    let experienceYears = profile.experienceYears;
+    if (req.query.experienceYears !== undefined && req.query.experienceYears !== '') {
+      experienceYears = Number(req.query.experienceYears);
+      if (isNaN(experienceYears) || experienceYears < 0) {
+        errors.push('experienceYears must be a non-negative number');
+      }
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid parameters', errors });
+    }
+    
+    const declared = {
+      skills: [...(profile.skills || []), ...toList(req.query.skills)],
+      graduationYear,
+      experienceYears
+    };
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    
+    const { recommendations, signals } = await recommendJobs({ declared, actor: getActor(req), limit });
+    
+    res.json({
+      recommendations,
+      basedOn: {
+        skills: signals.skills,
+        graduationYear: signals.graduationYear,
+        experienceYears: signals.experienceYears,
+        viewedJobs: signals.viewedJobIds.size
+      },
+      personalised: signals.skills.length > 0 || signals.graduationYear !== null || signals.viewedJobIds.size > 0
+    });
+  } catch (error) {
+    console.error('Error fetching recommendations:', error);
+    res.status(500).json({ message: 'Error fetching recommendations' });
+  }
+});
+
 // GET /api/jobs/:id - Get single job (Public - only active jobs)
-router.get('/:id', trackAnalytics, async (req, res) => {
+router.get('/:id', trackAnalytics, optionalUser, async (req, res) => {
   try {
-    const job = await Job.findById(req.params.id).populate('createdBy', 'username');
+    const job = await Job.findById(req.params.id)
+      .populate('createdBy', 'username')
+      .populate('companyRef', 'name slug logo website industry description');
     
-    if (!job || job.status !== 'active' || !job.isActive) {
+    if (!job || !job.isPubliclyVisible()) {
       return res.status(404).json({ message: 'Job not found' });
     }
     
     // Record job view
     await job.incrementViews();
     await Analytics.recordJobView(job._id);
+    await recordInteraction(req, job._id, 'view');
     
     res.json(job);
   } catch (error) {
@@ -298,18 +756,37 @@ router.get('/:id', trackAnalytics, async (req, res) => {
   }
 });
 
+// GET /api/jobs/:id/similar - Active jobs most like this one by skills, keywords, role, location and experience (Public)
+router.get('/:id/similar', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 20);
+
+    const result = await findSimilarJobs(req.params.id, limit);
+
+    if (!result) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.json({ jobs: result.similar, cached: result.cached });
+  } catch (error) {
+    console.error('Error fetching similar jobs:', error);
+    res.status(500).json({ message: 'Error fetching similar jobs' });
+  }
+});
+
 // POST /api/jobs/:id/click - Track job click (Public)
-router.post('/:id/click', async (req, res) => {
+router.post('/:id/click', optionalUser, async (req, res) => {
   try {
     const job = await Job.findById(req.params.id);
     
-    if (!job || job.status !== 'active' || !job.isActive) {
+    if (!job || !job.isPubliclyVisible()) {
       return res.status(404).json({ message: 'Job not found' });
     }
     
     // Record job click
     await job.incrementClicks();
     await Analytics.recordJobClick(job._id);
+    await recordInteraction(req, job._id, 'click');
     
     res.json({ message: 'Click recorded', hiringLink: job.hiringLink });
   } catch (error) {
@@ -321,33 +798,41 @@ router.post('/:id/click', async (req, res) => {
 // POST /api/jobs - Create new job (Admin only)
 router.post('/', authenticateAdmin, requirePermission('canCreateJobs'), async (req, res) => {
   try {
-    const jobData = {
-      ...req.body,
+    const { allowDuplicate, extractSkills: runExtraction = false, ...body } = req.body;
+    
+    let jobData = {
+      ...body,
       jobId: uuidv4(),
       createdBy: req.admin._id,
       status: 'active' // New jobs start as active
     };
     
-    // Validate required fields
+    // Validate required fields, text fields can be given in their structured form instead
     const requiredFields = ['companyName', 'role', 'location', 'experience', 'description', 'requiredDegree', 'hiringLink'];
+    const structuredFields = { location: 'locations', experience: 'eligibility', requiredDegree: 'eligibility' };
     for (const field of requiredFields) {
-      if (!jobData[field]) {
+      if (!jobData[field] && !jobData[structuredFields[field]]) {
         return res.status(400).json({ message: `${field} is required` });
       }
     }
     
-    // Check for duplicate hiring link in active jobs
-    const existingJob = await checkDuplicateHiringLink(jobData.hiringLink);
-    if (existingJob) {
+    // Link the company and location to their canonical entries
+    jobData = await resolveJobTaxonomy(jobData, req.admin._id);
+    
+    // Skills and keywords mentioned in the description are proposed, admins accept them with extractSkills: true
+    const extraction = applySkillExtraction(jobData);
+    const { extracted } = extraction;
+    if (runExtraction === true) {
+      jobData = extraction.jobData;
+    }
+    
+    // Check for duplicates in every status, admins can post anyway with allowDuplicate
+    const duplicateCheck = await checkForDuplicates(jobData);
+    if (duplicateCheck.isDuplicate && allowDuplicate !== true) {
       return res.status(400).json({ 
-        message: 'A job with this hiring link already exists in active jobs',
-        existingJob: {
-          _id: existingJob._id,
-          companyName: existingJob.companyName,
-          role: existingJob.role,
-          location: existingJob.location,
-          datePosted: existingJob.datePosted
-        }
+        message: 'This job looks like a duplicate of an existing job. Send allowDuplicate: true to post it anyway',
+        existingJob: duplicateCheck.existingJob,
+        candidates: duplicateCheck.candidates
       });
     }
     
@@ -356,7 +841,15 @@ router.post('/', authenticateAdmin, requirePermission('canCreateJobs'), async (r
     
     await job.populate('createdBy', 'username email');
     
-    res.status(201).json({ message: 'Job created successfully', job });
+    const response = { message: 'Job created successfully', job };
+    if (Object.keys(extracted.skills).length > 0 || extracted.keywords.length > 0) {
+      response[runExtraction === true ? 'extractedSkills' : 'suggestedSkills'] = extracted;
+    }
+    if (duplicateCheck.candidates.length > 0) {
+      response.duplicateCandidates = duplicateCheck.candidates;
+    }
+    
+    res.status(201).json(response);
   } catch (error) {
     console.error('Error creating job:', error);
     
@@ -376,107 +869,266 @@ router.post('/', authenticateAdmin, requirePermission('canCreateJobs'), async (r
 // POST /api/jobs/bulk - Create jobs from JSON (Admin only)
 router.post('/bulk', authenticateAdmin, requirePermission('canCreateJobs'), async (req, res) => {
   try {
-    const { jobs } = req.body;
+    const { jobs, allowDuplicates = false, extractSkills: runExtraction = false, async: runAsync = false, atomic = false } = req.body;
     
     if (!Array.isArray(jobs)) {
       return res.status(400).json({ message: 'Jobs must be an array' });
     }
     
-    const createdJobs = [];
-    const errors = [];
-    const duplicates = [];
-    
-    for (let i = 0; i < jobs.length; i++) {
-      try {
-        // Check for duplicate hiring link
-        const existingJob = await checkDuplicateHiringLink(jobs[i].hiringLink);
-        if (existingJob) {
-          duplicates.push({
-            index: i,
-            jobData: jobs[i],
-            existingJob: {
-              _id: existingJob._id,
-              companyName: existingJob.companyName,
-              role: existingJob.role,
-              location: existingJob.location,
-              datePosted: existingJob.datePosted
-            }
-          });
-          continue; // Skip this job
+    if (runAsync === true && atomic === true) {
+      return res.status(400).json({ message: 'async and atomic cannot be combined' });
+    }
+    
+    // Large batches run as an import, each poll of /api/imports/:id processes the next rows
+    if (runAsync === true) {
+      if (jobs.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({ message: `Imports are limited to ${MAX_IMPORT_ROWS} rows` });
+      }
+      
+      const jobImport = await JobImport.queue(jobs, req.admin._id, {
+        source: 'json',
+        allowDuplicates: allowDuplicates === true,
+        extractSkills: runExtraction === true
+      });
+      const progress = await startImport(jobImport);
+      
+      return res.status(202).json({
+        message: progress.status === 'completed' ? 'Import completed' : 'Import queued, poll statusUrl to continue it',
+        importId: jobImport._id,
+        status: progress.status,
+        total: progress.total,
+        processed: progress.processed,
+        statusUrl: `/api/imports/${jobImport._id}`
+      });
+    }
+    
+    // Atomic mode creates every job or none, skipped duplicates also roll the batch back
+    const result = atomic === true
+      ? await runInTransaction(async () => {
+        const batch = await createJobs(jobs, req.admin._id, { allowDuplicates, extractSkills: runExtraction });
+        if (batch.errors.length > 0 || batch.duplicates.length > 0) {
+          throw createAbortError('Bulk create rolled back', batch);
         }
-        
-        const jobData = {
-          ...jobs[i],
-          jobId: jobs[i].jobId || uuidv4(),
-          createdBy: req.admin._id,
-          status: 'active'
-        };
-        
-        const job = new Job(jobData);
-        await job.save();
-        await job.populate('createdBy', 'username email');
-        createdJobs.push(job);
-      } catch (error) {
-        errors.push({ index: i, error: error.message });
+        return batch;
+      })
+      : await createJobs(jobs, req.admin._id, { allowDuplicates, extractSkills: runExtraction });
+    
+    res.json(buildBulkResponse(jobs.length, result));
+  } catch (error) {
+    if (handleBulkError(error, res, 'No jobs were created, the batch was rolled back')) return;
+    
+    console.error('Error creating bulk jobs:', error);
+    res.status(500).json({ message: 'Error creating jobs' });
+  }
+});
+
+// POST /api/jobs/bulk/status - Change the status of many jobs by ids or filter (Admin only)
+router.post('/bulk/status', authenticateAdmin, requirePermission('canCreateJobs'), async (req, res) => {
+  try {
+    const { status, atomic = false, reason = '' } = req.body;
+    
+    if (!['active', 'dump', 'inactive'].includes(status)) {
+      return res.status(400).json({ message: 'Invalid status. Must be active, dump, or inactive' });
+    }
+    
+    const { query, errors } = resolveBulkQuery(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid job selection', errors });
+    }
+    
+    const historyOptions = { source: 'POST /api/jobs/bulk/status', reason };
+    const result = await runBulkAction(atomic === true, async () => {
+      const jobs = await findBulkTargets(query);
+      if (!jobs) {
+        return { tooMany: true, errors: [] };
       }
+      return changeJobsStatus(jobs, status, req.admin, historyOptions);
+    });
+    
+    if (result.tooMany) {
+      return res.status(400).json({ message: `Bulk actions are limited to ${MAX_BULK_JOBS} jobs, narrow the selection` });
     }
     
-    const response = {
-      message: `${createdJobs.length} jobs created successfully`,
-      createdJobs,
+    res.json({
+      message: `${result.updated.length} jobs updated to ${status}`,
+      ...result,
       summary: {
-        total: jobs.length,
-        created: createdJobs.length,
-        duplicates: duplicates.length,
-        errors: errors.length
+        updated: result.updated.length,
+        skipped: result.skipped.length,
+        errors: result.errors.length
       }
-    };
+    });
+  } catch (error) {
+    if (handleBulkError(error, res, 'No job statuses were changed, the batch was rolled back')) return;
     
-    if (duplicates.length > 0) {
-      response.duplicates = duplicates;
-    }
+    console.error('Error updating bulk job status:', error);
+    res.status(500).json({ message: 'Error updating job status' });
+  }
+});
+
+// POST /api/jobs/bulk/delete - Move many jobs to the trash by ids or filter (Admin only)
+router.post('/bulk/delete', authenticateAdmin, requirePermission('canDeleteJobs'), async (req, res) => {
+  try {
+    const { atomic = false } = req.body;
     
+    const { query, errors } = resolveBulkQuery(req.body);
     if (errors.length > 0) {
-      response.errors = errors;
+      return res.status(400).json({ message: 'Invalid job selection', errors });
     }
     
-    res.json(response);
+    const historyOptions = { source: 'POST /api/jobs/bulk/delete' };
+    const result = await runBulkAction(atomic === true, async () => {
+      const jobs = await findBulkTargets(query);
+      if (!jobs) {
+        return { tooMany: true, errors: [] };
+      }
+      return deleteJobs(jobs, req.admin, historyOptions);
+    });
+    
+    if (result.tooMany) {
+      return res.status(400).json({ message: `Bulk actions are limited to ${MAX_BULK_JOBS} jobs, narrow the selection` });
+    }
+    
+    res.json({
+      message: `${result.deleted.length} jobs moved to trash successfully`,
+      ...result,
+      summary: {
+        deleted: result.deleted.length,
+        errors: result.errors.length
+      }
+    });
   } catch (error) {
-    console.error('Error creating bulk jobs:', error);
-    res.status(500).json({ message: 'Error creating jobs' });
+    if (handleBulkError(error, res, 'No jobs were deleted, the batch was rolled back')) return;
+    
+    console.error('Error deleting bulk jobs:', error);
+    res.status(500).json({ message: 'Error deleting jobs' });
+  }
+});
+
+// POST /api/jobs/import/preview - Dry run of a CSV/XLSX import, nothing is saved (Admin only)
+router.post('/import/preview', authenticateAdmin, requirePermission('canCreateJobs'), uploadSpreadsheet, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'A CSV or XLSX file is required in the "file" field' });
+    }
+    
+    const preview = await previewImport(req.file.buffer, req.file.originalname);
+    
+    res.json(preview);
+  } catch (error) {
+    console.error('Error previewing job import:', error);
+    
+    if (error.name === 'ImportError') {
+      return res.status(400).json({ message: error.message });
+    }
+    
+    res.status(500).json({ message: 'Error reading spreadsheet' });
+  }
+});
+
+// POST /api/jobs/import - Create jobs from a CSV/XLSX file (Admin only)
+// Invalid rows and rows repeating a link earlier in the file are skipped, indexes are spreadsheet rows
+router.post('/import', authenticateAdmin, requirePermission('canCreateJobs'), uploadSpreadsheet, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'A CSV or XLSX file is required in the "file" field' });
+    }
+    
+    const allowDuplicates = req.body.allowDuplicates === 'true' || req.body.allowDuplicates === true;
+    const preview = await previewImport(req.file.buffer, req.file.originalname);
+    
+    const importable = preview.rows.filter(item => item.valid && !(item.duplicate && item.duplicate.inFile));
+    const skipped = preview.rows
+      .filter(item => !importable.includes(item))
+      .map(item => ({
+        index: item.row,
+        error: item.valid ? `Same hiring link as row ${item.duplicate.row}` : item.errors.join('; ')
+      }));
+    
+    const result = await createJobs(
+      importable.map(item => item.jobData),
+      req.admin._id,
+      { allowDuplicates, extractSkills: req.body.extractSkills === 'true', indexes: importable.map(item => item.row) }
+    );
+    result.errors = [...skipped, ...result.errors];
+    
+    res.json(buildBulkResponse(preview.rows.length, result));
+  } catch (error) {
+    console.error('Error importing jobs:', error);
+    
+    if (error.name === 'ImportError') {
+      return res.status(400).json({ message: error.message });
+    }
+    
+    res.status(500).json({ message: 'Error importing jobs' });
   }
 });
 
 // PUT /api/jobs/:id - Update job (Admin only)
 router.put('/:id', authenticateAdmin, requirePermission('canCreateJobs'), async (req, res) => {
   try {
+    const { allowDuplicate, status, reason, ...updates } = req.body;
+    
+    if (status !== undefined && !['active', 'dump', 'inactive'].includes(status)) {
+      return res.status(400).json({ message: 'Invalid status. Must be active, dump, or inactive' });
+    }
+    
+    const previousJob = await Job.findById(req.params.id).lean();
+    
+    if (!previousJob) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    // Status changes go through the same transitions as PUT /:id/status so they are recorded as status_change
+    const statusChanged = status !== undefined && status !== previousJob.status;
+    const applyBy = 'applyBy' in updates ? new Job({ applyBy: updates.applyBy }).applyBy : previousJob.applyBy;
+    if (statusChanged && status === 'active' && applyBy && applyBy < new Date()) {
+      return res.status(400).json({ message: 'Application deadline has passed. Update applyBy before reactivating this job' });
+    }
+    
     // If hiring link is being updated, check for duplicates
-    if (req.body.hiringLink) {
-      const existingJob = await checkDuplicateHiringLink(req.body.hiringLink, req.params.id);
-      if (existingJob) {
+    if (updates.hiringLink) {
+      const duplicateCheck = await checkForDuplicates(
+        { ...previousJob, ...updates },
+        { excludeJobId: req.params.id }
+      );
+      if (duplicateCheck.isDuplicate && allowDuplicate !== true) {
         return res.status(400).json({ 
-          message: 'A job with this hiring link already exists in active jobs',
-          existingJob: {
-            _id: existingJob._id,
-            companyName: existingJob.companyName,
-            role: existingJob.role,
-            location: existingJob.location,
-            datePosted: existingJob.datePosted
-          }
+          message: 'This job looks like a duplicate of an existing job. Send allowDuplicate: true to save it anyway',
+          existingJob: duplicateCheck.existingJob,
+          candidates: duplicateCheck.candidates
         });
       }
     }
     
-    const job = await Job.findByIdAndUpdate(
+    const resolvedUpdates = await resolveJobTaxonomy(updates, req.admin._id);
+    
+    let job = await Job.findByIdAndUpdate(
       req.params.id,
-      { ...req.body, updatedAt: new Date() },
+      { ...resolvedUpdates, updatedAt: new Date() },
       { new: true, runValidators: true }
-    ).populate('createdBy', 'username email');
+    );
     
     if (!job) {
       return res.status(404).json({ message: 'Job not found' });
     }
     
+    if (statusChanged) {
+      job = await applyStatusChange(job, status, req.admin, { source: 'PUT /api/jobs/:id', reason: reason || '' });
+    }
+    await job.populate('createdBy', 'username email');
+    
+    // Record the edited fields in the job history
+    const editedFields = Object.keys(updates).filter(field => !['_id', 'updatedAt', 'createdAt'].includes(field));
+    await JobHistory.recordUpdate(
+      job._id,
+      previousJob,
+      job.toObject({ depopulate: true }),
+      editedFields,
+      req.admin,
+      { source: 'PUT /api/jobs/:id' }
+    );
+    
     res.json({ message: 'Job updated successfully', job });
   } catch (error) {
     console.error('Error updating job:', error);
@@ -490,16 +1142,18 @@ router.put('/:id', authenticateAdmin, requirePermission('canCreateJobs'), async
   }
 });
 
-// DELETE /api/jobs/:id - Delete job (Admin only)
+// DELETE /api/jobs/:id - Move job to the trash (Admin only)
 router.delete('/:id', authenticateAdmin, requirePermission('canDeleteJobs'), async (req, res) => {
   try {
-    const job = await Job.findByIdAndDelete(req.params.id);
+    const job = await Job.findById(req.params.id);
     
     if (!job) {
       return res.status(404).json({ message: 'Job not found' });
     }
     
-    res.json({ message: 'Job deleted successfully' });
+    await job.softDelete(req.admin);
+    
+    res.json({ message: 'Job moved to trash successfully' });
   } catch (error) {
     console.error('Error deleting job:', error);
     res.status(500).json({ message: 'Error deleting job' });
@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const LifecyclePolicy = require('../models/LifecyclePolicy');
+const { authenticateAdmin, requireMainAdmin } = require('../middleware/auth');
+
+// Fields an admin may set on a policy
+const EDITABLE_FIELDS = ['name', 'description', 'match', 'activeDays', 'dumpDays', 'priority', 'isEnabled'];
+
+// Helper function to pick editable fields from the request body
+const pickPolicyFields = (body) => {
+  const data = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+  return data;
+};
+
+// Helper function to send policy save errors
+const handlePolicyError = (error, res, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({ message: 'Validation error', errors });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({ message: `Invalid value for ${error.path}` });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'A policy with this name already exists' });
+  }
+
+  res.status(500).json({ message: fallbackMessage });
+};
+
+// GET /api/lifecycle-policies - List lifecycle policies (Admin only)
+router.get('/', authenticateAdmin, async (req, res) => {
+  try {
+    const policies = await LifecyclePolicy.find()
+      .sort({ priority: -1, createdAt: 1 })
+      .populate('createdBy', 'username email')
+      .populate('updatedBy', 'username email');
+
+    res.json({
+      policies,
+      defaultPolicy: LifecyclePolicy.getDefaultPolicy()
+    });
+  } catch (error) {
+    console.error('Error fetching lifecycle policies:', error);
+    res.status(500).json({ message: 'Error fetching lifecycle policies' });
+  }
+});
+
+// GET /api/lifecycle-policies/resolve - Preview which policy applies to a job (Admin only)
+router.get('/resolve', authenticateAdmin, async (req, res) => {
+  try {
+    const { employmentType, experience } = req.query;
+
+    const policies = await LifecyclePolicy.getEnabledPolicies();
+    const policy = LifecyclePolicy.resolveForJob({ employmentType, experience }, policies);
+
+    res.json({ policy });
+  } catch (error) {
+    console.error('Error resolving lifecycle policy:', error);
+    res.status(500).json({ message: 'Error resolving lifecycle policy' });
+  }
+});
+
+// POST /api/lifecycle-policies - Create lifecycle policy (Main admin only)
+router.post('/', authenticateAdmin, requireMainAdmin, async (req, res) => {
+  try {
+    const policy = new LifecyclePolicy({
+      ...pickPolicyFields(req.body),
+      createdBy: req.admin._id
+    });
+
+    await policy.save();
+
+    res.status(201).json({ message: 'Lifecycle policy created successfully', policy });
+  } catch (error) {
+    console.error('Error creating lifecycle policy:', error);
+    handlePolicyError(error, res, 'Error creating lifecycle policy');
+  }
+});
+
+// PUT /api/lifecycle-policies/:id - Update lifecycle policy (Main admin only)
+router.put('/:id', authenticateAdmin, requireMainAdmin, async (req, res) => {
+  try {
+    const policy = await LifecyclePolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({ message: 'Lifecycle policy not found' });
+    }
+
+    policy.set(pickPolicyFields(req.body));
+    policy.updatedBy = req.admin._id;
+    await policy.save();
+
+    res.json({ message: 'Lifecycle policy updated successfully', policy });
+  } catch (error) {
+    console.error('Error updating lifecycle policy:', error);
+    handlePolicyError(error, res, 'Error updating lifecycle policy');
+  }
+});
+
+// DELETE /api/lifecycle-policies/:id - Delete lifecycle policy (Main admin only)
+router.delete('/:id', authenticateAdmin, requireMainAdmin, async (req, res) => {
+  try {
+    const policy = await LifecyclePolicy.findByIdAndDelete(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({ message: 'Lifecycle policy not found' });
+    }
+
+    res.json({ message: 'Lifecycle policy deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting lifecycle policy:', error);
+    handlePolicyError(error, res, 'Error deleting lifecycle policy');
+  }
+});
+
+module.exports = router;
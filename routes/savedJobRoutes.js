@@ -0,0 +1,262 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const SavedJob = require('../models/SavedJob');
+const Job = require('../models/Job');
+const { authenticateUser } = require('../middleware/auth');
+const { toList } = require('../utils/jobFilters');
+
+const TRACKER_STAGES = SavedJob.schema.path('stage').enumValues;
+const TRACKER_SORT_FIELDS = ['updatedAt', 'createdAt', 'appliedAt', 'interviewAt'];
+
+// Job fields needed to show a tracked job and work out whether it is still open
+const JOB_FIELDS = 'jobId companyName companyLogo role location experience estPackage employmentType hiringLink applyBy datePosted status isActive publishAt deletedAt';
+
+// Helper function to describe where a tracked job is now
+// open: listed on the site, closed: active but past applyBy (or not published), dump/inactive: taken down,
+// deleted: in the trash, removed: purged, only the snapshot is left
+const jobStateOf = (job) => {
+  if (!job) return 'removed';
+  if (job.deletedAt) return 'deleted';
+  if (job.isPubliclyVisible()) return 'open';
+  return job.status === 'active' ? 'closed' : job.status;
+};
+
+// Helper function to build the tracker view of entries, with current job details where the job still exists
+// Read-only: snapshots are refreshed when a job is purged (Job.purgeDeletedJobs), not here
+const buildTrackerEntries = async (entries) => {
+  const jobs = await Job.find({ _id: { $in: entries.map(entry => entry.job) } })
+    .setOptions({ withDeleted: true })
+    .select(JOB_FIELDS);
+  const jobsById = new Map(jobs.map(job => [String(job._id), job]));
+
+  return entries.map(entry => {
+    const job = jobsById.get(String(entry.job)) || null;
+    const details = job ? SavedJob.snapshotOf(job.toObject()) : (entry.snapshot || {});
+
+    const jobState = jobStateOf(job);
+    return {
+      ...entry,
+      job: { _id: entry.job, ...details },
+      jobState,
+      isOpen: jobState === 'open'
+    };
+  });
+};
+
+// Helper function to validate a date from the request body, null clears it
+const readDate = (value, field, errors) => {
+  if (value === null || value === '') return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    errors.push(`${field} must be a valid date`);
+    return undefined;
+  }
+  return date;
+};
+
+// Helper function to apply stage, notes and dates from the request body to an entry
+const applyTrackerFields = (entry, body) => {
+  const errors = [];
+
+  if (body.stage !== undefined && !TRACKER_STAGES.includes(body.stage)) {
+    errors.push(`Invalid stage: ${body.stage}. Allowed values: ${TRACKER_STAGES.join(', ')}`);
+  }
+  if (body.notes !== undefined && typeof body.notes !== 'string') {
+    errors.push('notes must be text');
+  }
+
+  const dates = {};
+  ['appliedAt', 'interviewAt', 'stageChangedAt'].forEach(field => {
+    if (body[field] !== undefined) {
+      dates[field] = readDate(body[field], field, errors);
+    }
+  });
+
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  if (body.stage !== undefined) entry.setStage(body.stage, dates.stageChangedAt || null);
+  if (body.notes !== undefined) entry.notes = body.notes;
+  if (dates.appliedAt !== undefined) entry.appliedAt = dates.appliedAt;
+  if (dates.interviewAt !== undefined) entry.interviewAt = dates.interviewAt;
+
+  return [];
+};
+
+// Middleware to check the job id in the URL
+const validateJobId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+    return res.status(404).json({ message: 'Job not found' });
+  }
+  next();
+};
+
+// GET /api/users/me/jobs - Saved and applied-to jobs of the logged-in user, including jobs no longer listed
+// ?stage=applied,interviewing filters by stage, sortBy=updatedAt|createdAt|appliedAt|interviewAt
+router.get('/', authenticateUser, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      sortBy = 'updatedAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    const stages = toList(req.query.stage);
+    const invalidStages = stages.filter(stage => !TRACKER_STAGES.includes(stage));
+    if (invalidStages.length > 0) {
+      return res.status(400).json({ message: `Invalid stage: ${invalidStages.join(', ')}. Allowed values: ${TRACKER_STAGES.join(', ')}` });
+    }
+
+    const pageNumber = parseInt(page) || 1;
+    const pageSize = Math.min(parseInt(limit) || 20, 100);
+    const sortField = TRACKER_SORT_FIELDS.includes(sortBy) ? sortBy : 'updatedAt';
+    const direction = sortOrder === 'asc' ? 1 : -1;
+
+    const query = { user: req.user._id };
+    if (stages.length > 0) {
+      query.stage = { $in: stages };
+    }
+
+    const [entries, totalJobs, counts] = await Promise.all([
+      SavedJob.find(query)
+        .sort({ [sortField]: direction, _id: direction })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      SavedJob.countDocuments(query),
+      SavedJob.countByStage(req.user._id)
+    ]);
+
+    const totalPages = Math.ceil(totalJobs / pageSize);
+
+    res.json({
+      jobs: await buildTrackerEntries(entries),
+      counts,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages,
+        totalJobs,
+        hasNext: pageNumber < totalPages,
+        hasPrev: pageNumber > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching tracked jobs:', error);
+    res.status(500).json({ message: 'Error fetching saved jobs' });
+  }
+});
+
+// GET /api/users/me/jobs/:jobId - One tracked job
+router.get('/:jobId', authenticateUser, validateJobId, async (req, res) => {
+  try {
+    const entry = await SavedJob.findOne({ user: req.user._id, job: req.params.jobId }).lean();
+
+    if (!entry) {
+      return res.status(404).json({ message: 'Job is not saved' });
+    }
+
+    const [tracked] = await buildTrackerEntries([entry]);
+    res.json(tracked);
+  } catch (error) {
+    console.error('Error fetching tracked job:', error);
+    res.status(500).json({ message: 'Error fetching saved job' });
+  }
+});
+
+// POST /api/users/me/jobs/:jobId - Save a job (stage defaults to 'saved'), updates the entry if it is already saved
+// Only jobs listed on the site can be newly saved
+router.post('/:jobId', authenticateUser, validateJobId, async (req, res) => {
+  try {
+    let entry = await SavedJob.findOne({ user: req.user._id, job: req.params.jobId });
+    const isNew = !entry;
+
+    if (isNew) {
+      const job = await Job.findById(req.params.jobId).select(JOB_FIELDS);
+      if (!job || !job.isPubliclyVisible()) {
+        return res.status(404).json({ message: 'Job not found' });
+      }
+
+      entry = new SavedJob({ user: req.user._id, job: job._id });
+      entry.refreshSnapshot(job.toObject());
+    }
+
+    const errors = applyTrackerFields(entry, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid tracker fields', errors });
+    }
+
+    await entry.save();
+
+    const [tracked] = await buildTrackerEntries([entry.toObject()]);
+    res.status(isNew ? 201 : 200).json({
+      message: isNew ? 'Job saved' : 'Saved job updated',
+      job: tracked
+    });
+  } catch (error) {
+    console.error('Error saving job:', error);
+
+    // The same job saved twice at once
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'Job is already saved' });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ message: 'Validation error', errors });
+    }
+
+    res.status(500).json({ message: 'Error saving job' });
+  }
+});
+
+// PUT /api/users/me/jobs/:jobId - Update stage, notes or dates of a tracked job
+// stageChangedAt back-dates the stage change (e.g. applied last week)
+router.put('/:jobId', authenticateUser, validateJobId, async (req, res) => {
+  try {
+    const entry = await SavedJob.findOne({ user: req.user._id, job: req.params.jobId });
+
+    if (!entry) {
+      return res.status(404).json({ message: 'Job is not saved' });
+    }
+
+    const errors = applyTrackerFields(entry, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid tracker fields', errors });
+    }
+
+    await entry.save();
+
+    const [tracked] = await buildTrackerEntries([entry.toObject()]);
+    res.json({ message: 'Saved job updated', job: tracked });
+  } catch (error) {
+    console.error('Error updating tracked job:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ message: 'Validation error', errors });
+    }
+
+    res.status(500).json({ message: 'Error updating saved job' });
+  }
+});
+
+// DELETE /api/users/me/jobs/:jobId - Remove a job from the tracker
+router.delete('/:jobId', authenticateUser, validateJobId, async (req, res) => {
+  try {
+    const entry = await SavedJob.findOneAndDelete({ user: req.user._id, job: req.params.jobId });
+
+    if (!entry) {
+      return res.status(404).json({ message: 'Job is not saved' });
+    }
+
+    res.json({ message: 'Job removed from saved jobs' });
+  } catch (error) {
+    console.error('Error removing tracked job:', error);
+    res.status(500).json({ message: 'Error removing saved job' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,240 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const SavedSearch = require('../models/SavedSearch');
+const AlertDelivery = require('../models/AlertDelivery');
+const { authenticateUser } = require('../middleware/auth');
+const { normalizeSearchQuery, buildDigest } = require('../utils/alertDigest');
+
+// Saved searches one user can have
+const MAX_SAVED_SEARCHES = parseInt(process.env.MAX_SAVED_SEARCHES) || 20;
+
+// Fields that are never shown, the unsubscribe token only goes out in digests
+const HIDDEN_FIELDS = '-unsubscribeToken -__v';
+
+// Helper function to pick editable fields from the request body, returns { data, errors }
+const pickSearchFields = (body) => {
+  const data = {};
+  const errors = [];
+
+  ['name', 'frequency', 'channel', 'webhookUrl', 'alertsEnabled'].forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+
+  if (body.query !== undefined) {
+    const { query, errors: queryErrors } = normalizeSearchQuery(body.query);
+    data.query = query;
+    errors.push(...queryErrors);
+  }
+
+  return { data, errors };
+};
+
+// Helper function to check email alerts can be sent to the user
+const checkEmailVerified = (user, savedSearch) => {
+  if (savedSearch.alertsEnabled && savedSearch.channel === 'email' && !user.isEmailVerified) {
+    return 'Verify your email address to get email alerts';
+  }
+  return null;
+};
+
+// Middleware to load one of the user's saved searches
+const loadSavedSearch = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    req.savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!req.savedSearch) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+    next();
+  } catch (error) {
+    console.error('Error loading saved search:', error);
+    res.status(500).json({ message: 'Error fetching saved search' });
+  }
+};
+
+// Helper function to turn a saved search into the response shape
+const toResponse = (savedSearch) => {
+  const { unsubscribeToken, __v, ...fields } = savedSearch.toObject ? savedSearch.toObject() : savedSearch;
+  return fields;
+};
+
+// GET /api/users/me/searches - The logged-in user's saved searches
+router.get('/', authenticateUser, async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ user: req.user._id })
+      .select(HIDDEN_FIELDS)
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({ searches });
+  } catch (error) {
+    console.error('Error fetching saved searches:', error);
+    res.status(500).json({ message: 'Error fetching saved searches' });
+  }
+});
+
+// POST /api/users/me/searches - Save a filter set, with a daily or weekly digest of new jobs
+// query takes the GET /api/jobs params as an object or a query string
+// Webhook digests are signed with the returned webhookSecret (X-Webhook-Timestamp and X-Webhook-Signature headers)
+router.post('/', authenticateUser, async (req, res) => {
+  try {
+    const { data, errors } = pickSearchFields(req.body);
+
+    if (!data.name) {
+      errors.unshift('name is required');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid saved search', errors });
+    }
+
+    const count = await SavedSearch.countDocuments({ user: req.user._id });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({ message: `You can save up to ${MAX_SAVED_SEARCHES} searches` });
+    }
+
+    const savedSearch = new SavedSearch({ ...data, user: req.user._id });
+
+    const verificationError = checkEmailVerified(req.user, savedSearch);
+    if (verificationError) {
+      return res.status(403).json({ message: verificationError });
+    }
+
+    await savedSearch.save();
+
+    res.status(201).json({
+      message: 'Search saved',
+      search: toResponse(savedSearch)
+    });
+  } catch (error) {
+    console.error('Error saving search:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ message: 'Validation error', errors });
+    }
+
+    res.status(500).json({ message: 'Error saving search' });
+  }
+});
+
+// GET /api/users/me/searches/:id - One saved search
+router.get('/:id', authenticateUser, loadSavedSearch, async (req, res) => {
+  res.json(toResponse(req.savedSearch));
+});
+
+// PUT /api/users/me/searches/:id - Update a saved search, alertsEnabled: false pauses its digest
+router.put('/:id', authenticateUser, loadSavedSearch, async (req, res) => {
+  try {
+    const { data, errors } = pickSearchFields(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid saved search', errors });
+    }
+
+    const savedSearch = req.savedSearch;
+    savedSearch.set(data);
+    // Mixed paths are not change-tracked
+    if (data.query) {
+      savedSearch.markModified('query');
+    }
+
+    const verificationError = checkEmailVerified(req.user, savedSearch);
+    if (verificationError) {
+      return res.status(403).json({ message: verificationError });
+    }
+
+    await savedSearch.save();
+
+    res.json({
+      message: 'Saved search updated',
+      search: toResponse(savedSearch)
+    });
+  } catch (error) {
+    console.error('Error updating saved search:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ message: 'Validation error', errors });
+    }
+
+    res.status(500).json({ message: 'Error updating saved search' });
+  }
+});
+
+// DELETE /api/users/me/searches/:id - Delete a saved search and its delivery history
+router.delete('/:id', authenticateUser, loadSavedSearch, async (req, res) => {
+  try {
+    await AlertDelivery.deleteMany({ savedSearch: req.savedSearch._id });
+    await req.savedSearch.deleteOne();
+
+    res.json({ message: 'Saved search deleted' });
+  } catch (error) {
+    console.error('Error deleting saved search:', error);
+    res.status(500).json({ message: 'Error deleting saved search' });
+  }
+});
+
+// GET /api/users/me/searches/:id/preview - Jobs the next digest would include so far, nothing is sent
+router.get('/:id/preview', authenticateUser, loadSavedSearch, async (req, res) => {
+  try {
+    const digest = await buildDigest(req.savedSearch);
+
+    res.json({
+      ...digest,
+      nextDigestAt: req.savedSearch.nextDigestAt
+    });
+  } catch (error) {
+    console.error('Error previewing saved search digest:', error);
+
+    if (error.name === 'InvalidSavedSearchError') {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Error previewing digest' });
+  }
+});
+
+// GET /api/users/me/searches/:id/deliveries - Digests sent for a saved search, newest first
+router.get('/:id/deliveries', authenticateUser, loadSavedSearch, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const pageNumber = parseInt(page) || 1;
+    const pageSize = Math.min(parseInt(limit) || 20, 100);
+
+    const query = { savedSearch: req.savedSearch._id };
+    const [deliveries, totalDeliveries] = await Promise.all([
+      AlertDelivery.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .populate('jobs', 'companyName role location')
+        .lean(),
+      AlertDelivery.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(totalDeliveries / pageSize);
+
+    res.json({
+      deliveries,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages,
+        totalDeliveries,
+        hasNext: pageNumber < totalPages,
+        hasPrev: pageNumber > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching alert deliveries:', error);
+    res.status(500).json({ message: 'Error fetching delivery history' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,299 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { authenticateAdmin, requireMainAdmin, requirePermission } = require('../middleware/auth');
+const { TAXONOMY_TYPES, refreshTaxonomyCache, countJobsFor, rewriteJobs, mergeEntries } = require('../utils/taxonomy');
+const { similarity } = require('../utils/duplicateDetector');
+const { removeReplacedLogos } = require('../utils/imageUpload');
+
+// Name similarity from which two entries are suggested as duplicates
+const DUPLICATE_SUGGESTION_THRESHOLD = 0.8;
+
+// Pairs compared per duplicate scan, the scan runs on the request thread
+const MAX_DUPLICATE_COMPARISONS = parseInt(process.env.TAXONOMY_DUPLICATE_COMPARISONS) || 200000;
+
+// Names whose keys differ more in length than this cannot reach the similarity threshold
+const MAX_LENGTH_RATIO = 1.5;
+
+// Helper function to find likely duplicate pairs without comparing every entry with every other one
+// Entries are bucketed by the first character of their key and only compared with similar-length keys
+// Returns { suggestions, truncated }, truncated when MAX_DUPLICATE_COMPARISONS was reached
+const findDuplicatePairs = (entries, toKey) => {
+  const buckets = new Map();
+  entries.forEach(entry => {
+    const key = toKey(entry.name);
+    if (!key) return;
+    const bucket = buckets.get(key[0]) || [];
+    bucket.push({ entry, key });
+    buckets.set(key[0], bucket);
+  });
+
+  const suggestions = [];
+  let comparisons = 0;
+
+  for (const bucket of buckets.values()) {
+    bucket.sort((a, b) => a.key.length - b.key.length);
+
+    for (let i = 0; i < bucket.length; i++) {
+      for (let j = i + 1; j < bucket.length && bucket[j].key.length <= bucket[i].key.length * MAX_LENGTH_RATIO; j++) {
+        if (++comparisons > MAX_DUPLICATE_COMPARISONS) {
+          return { suggestions, truncated: true };
+        }
+
+        const score = similarity(bucket[i].key, bucket[j].key);
+        if (score >= DUPLICATE_SUGGESTION_THRESHOLD) {
+          suggestions.push({ entries: [bucket[i].entry, bucket[j].entry], similarity: Number(score.toFixed(2)) });
+        }
+      }
+    }
+  }
+
+  return { suggestions, truncated: false };
+};
+
+// Middleware to look up the taxonomy type from the URL
+const resolveType = (req, res, next) => {
+  const taxonomy = TAXONOMY_TYPES[req.params.type];
+
+  if (!taxonomy) {
+    return res.status(404).json({ message: `Unknown taxonomy. Use one of: ${Object.keys(TAXONOMY_TYPES).join(', ')}` });
+  }
+
+  req.taxonomy = taxonomy;
+  next();
+};
+
+// Helper function to pick editable fields from the request body
+const pickEntryFields = (taxonomy, body) => {
+  const data = {};
+  ['name', 'aliases', ...taxonomy.editableFields].forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+  return data;
+};
+
+// Helper function to send taxonomy save errors
+const handleTaxonomyError = (error, res, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({ message: 'Validation error', errors });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({ message: `Invalid value for ${error.path}` });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'Another entry already uses this name or alias. Merge the entries instead' });
+  }
+
+  res.status(500).json({ message: fallbackMessage });
+};
+
+// GET /api/taxonomy/:type - List companies, locations or skills (Admin only)
+router.get('/:type', authenticateAdmin, resolveType, async (req, res) => {
+  try {
+    const { q, category, page = 1, limit = 50 } = req.query;
+    const { model } = req.taxonomy;
+
+    const extraQuery = req.params.type === 'skills' && category ? { category } : {};
+    const pageNumber = parseInt(page) || 1;
+    const pageSize = Math.min(parseInt(limit) || 50, 200);
+
+    const [entries, total] = await Promise.all([
+      model.search(q, pageNumber, pageSize, extraQuery),
+      model.countDocuments(model.searchQuery(q, extraQuery))
+    ]);
+
+    res.json({
+      entries,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / pageSize),
+        total,
+        hasNext: pageNumber * pageSize < total,
+        hasPrev: pageNumber > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching taxonomy:', error);
+    res.status(500).json({ message: 'Error fetching taxonomy' });
+  }
+});
+
+// GET /api/taxonomy/:type/duplicates - Suggest entries that look like the same thing (Admin only)
+router.get('/:type/duplicates', authenticateAdmin, resolveType, async (req, res) => {
+  try {
+    const { model } = req.taxonomy;
+    const entries = await model.find().select('name aliases').lean();
+
+    const { suggestions, truncated } = findDuplicatePairs(entries, model.toKey);
+
+    suggestions.sort((a, b) => b.similarity - a.similarity);
+
+    res.json({ suggestions: suggestions.slice(0, 100), truncated });
+  } catch (error) {
+    console.error('Error finding taxonomy duplicates:', error);
+    res.status(500).json({ message: 'Error finding duplicates' });
+  }
+});
+
+// GET /api/taxonomy/:type/resolve - Preview which entry a free-text value resolves to (Admin only)
+router.get('/:type/resolve', authenticateAdmin, resolveType, async (req, res) => {
+  try {
+    if (!req.query.text) {
+      return res.status(400).json({ message: 'text is required' });
+    }
+
+    const entry = await req.taxonomy.model.findByText(req.query.text);
+
+    res.json({ text: req.query.text, entry });
+  } catch (error) {
+    console.error('Error resolving taxonomy entry:', error);
+    res.status(500).json({ message: 'Error resolving entry' });
+  }
+});
+
+// GET /api/taxonomy/:type/:id - Get an entry with the number of jobs using it (Admin only)
+router.get('/:type/:id', authenticateAdmin, resolveType, async (req, res) => {
+  try {
+    const entry = await req.taxonomy.model.findById(req.params.id)
+      .populate('createdBy', 'username email')
+      .populate('updatedBy', 'username email');
+
+    if (!entry) {
+      return res.status(404).json({ message: 'Entry not found' });
+    }
+
+    const jobCount = await countJobsFor(req.params.type, entry);
+
+    res.json({ entry, jobCount });
+  } catch (error) {
+    handleTaxonomyError(error, res, 'Error fetching entry');
+  }
+});
+
+// POST /api/taxonomy/:type - Create an entry (Admin only)
+router.post('/:type', authenticateAdmin, requirePermission('canCreateJobs'), resolveType, async (req, res) => {
+  try {
+    const entry = new req.taxonomy.model({
+      ...pickEntryFields(req.taxonomy, req.body),
+      createdBy: req.admin._id
+    });
+
+    await entry.save();
+
+    await refreshTaxonomyCache(req.params.type);
+
+    res.status(201).json({ message: 'Entry created successfully', entry });
+  } catch (error) {
+    console.error('Error creating taxonomy entry:', error);
+    handleTaxonomyError(error, res, 'Error creating entry');
+  }
+});
+
+// PUT /api/taxonomy/:type/:id - Update an entry, renaming rewrites the jobs using it (Admin only)
+router.put('/:type/:id', authenticateAdmin, requirePermission('canCreateJobs'), resolveType, async (req, res) => {
+  try {
+    const entry = await req.taxonomy.model.findById(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({ message: 'Entry not found' });
+    }
+
+    const previousName = entry.name;
+    const previousLogo = entry.logo;
+    entry.set(pickEntryFields(req.taxonomy, req.body));
+    entry.updatedBy = req.admin._id;
+
+    // The old name keeps resolving to this entry
+    const renamed = entry.name !== previousName;
+    if (renamed) {
+      entry.aliases = [...entry.aliases, previousName];
+    }
+
+    await entry.save();
+
+    const jobsUpdated = renamed
+      ? await rewriteJobs(req.params.type, entry, { fromNames: [previousName] })
+      : 0;
+
+    await refreshTaxonomyCache(req.params.type);
+
+    // A company logo replaced by a URL leaves its uploaded files unused
+    if (previousLogo !== undefined && entry.logo !== previousLogo) {
+      try {
+        await removeReplacedLogos(entry._id, entry.logo);
+      } catch (cleanupError) {
+        console.error('Error removing replaced company logos:', cleanupError);
+      }
+    }
+
+    res.json({ message: 'Entry updated successfully', entry, jobsUpdated });
+  } catch (error) {
+    console.error('Error updating taxonomy entry:', error);
+    handleTaxonomyError(error, res, 'Error updating entry');
+  }
+});
+
+// POST /api/taxonomy/:type/:id/merge - Merge duplicate entries into this one and rewrite their jobs (Main admin only)
+router.post('/:type/:id/merge', authenticateAdmin, requireMainAdmin, resolveType, async (req, res) => {
+  try {
+    const { sourceIds } = req.body;
+
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0) {
+      return res.status(400).json({ message: 'sourceIds must be a non-empty array' });
+    }
+
+    const invalidIds = sourceIds.filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalidIds.length > 0) {
+      return res.status(400).json({ message: `Invalid ids: ${invalidIds.join(', ')}` });
+    }
+
+    const result = await mergeEntries(req.params.type, req.params.id, sourceIds, req.admin._id);
+
+    if (!result) {
+      return res.status(404).json({ message: 'Entry not found' });
+    }
+
+    res.json({
+      message: `Merged ${result.merged.length} entries into ${result.target.name}`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error merging taxonomy entries:', error);
+    handleTaxonomyError(error, res, 'Error merging entries');
+  }
+});
+
+// DELETE /api/taxonomy/:type/:id - Delete an entry no job uses (Main admin only)
+router.delete('/:type/:id', authenticateAdmin, requireMainAdmin, resolveType, async (req, res) => {
+  try {
+    const entry = await req.taxonomy.model.findById(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({ message: 'Entry not found' });
+    }
+
+    const jobCount = await countJobsFor(req.params.type, entry);
+    if (jobCount > 0) {
+      return res.status(400).json({
+        message: `${jobCount} jobs use this entry. Merge it into another entry instead`,
+        jobCount
+      });
+    }
+
+    await entry.deleteOne();
+
+    await refreshTaxonomyCache(req.params.type);
+
+    res.json({ message: 'Entry deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting taxonomy entry:', error);
+    handleTaxonomyError(error, res, 'Error deleting entry');
+  }
+});
+
+module.exports = router;
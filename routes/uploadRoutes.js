@@ -0,0 +1,207 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Asset = require('../models/Asset');
+const Company = require('../models/Company');
+const Job = require('../models/Job');
+const JobHistory = require('../models/JobHistory');
+const { authenticateAdmin, requirePermission } = require('../middleware/auth');
+const { uploadImage } = require('../middleware/upload');
+const { storeImage, removeAsset, removeReplacedLogos } = require('../utils/imageUpload');
+const { getStorage } = require('../utils/storage');
+
+// Thumbnail width used for company logos in listings
+const LOGO_THUMBNAIL_SIZE = 128;
+
+// Helper function to send upload errors
+const handleUploadError = (error, res, fallbackMessage) => {
+  if (error.name === 'UploadError') {
+    return res.status(400).json({ message: error.message });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({ message: `Invalid value for ${error.path}` });
+  }
+
+  res.status(500).json({ message: fallbackMessage });
+};
+
+// Middleware to make sure a file was sent
+const requireFile = (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({ message: 'An image is required in the "file" field' });
+  }
+  next();
+};
+
+// GET /api/uploads/files/* - Serve a stored file (Public)
+router.get('/files/*', async (req, res) => {
+  try {
+    const file = await getStorage().get(req.params[0]);
+
+    if (!file) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    // Keys are never reused, so files can be cached for good; other origins may embed them
+    res.set({
+      'Content-Type': file.contentType,
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'Cross-Origin-Resource-Policy': 'cross-origin',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    if (file.size) {
+      res.set('Content-Length', String(file.size));
+    }
+
+    file.stream.on('error', (error) => {
+      console.error('Error streaming file:', error);
+      res.destroy(error);
+    });
+    file.stream.pipe(res);
+  } catch (error) {
+    if (error.name === 'StorageKeyError') {
+      return res.status(400).json({ message: 'Invalid file path' });
+    }
+    console.error('Error serving file:', error);
+    res.status(500).json({ message: 'Error serving file' });
+  }
+});
+
+// GET /api/uploads - List uploaded assets (Admin only)
+router.get('/', authenticateAdmin, async (req, res) => {
+  try {
+    const { kind, company, job, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (kind) query.kind = kind;
+    if (company) query.company = company;
+    if (job) query.job = job;
+
+    const pageNumber = parseInt(page) || 1;
+    const pageSize = Math.min(parseInt(limit) || 20, 100);
+
+    const [assets, total] = await Promise.all([
+      Asset.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .populate('uploadedBy', 'username email'),
+      Asset.countDocuments(query)
+    ]);
+
+    res.json({
+      assets,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / pageSize),
+        total,
+        hasNext: pageNumber * pageSize < total,
+        hasPrev: pageNumber > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching uploads:', error);
+    handleUploadError(error, res, 'Error fetching uploads');
+  }
+});
+
+// POST /api/uploads - Upload an image (Admin only)
+router.post('/', authenticateAdmin, requirePermission('canCreateJobs'), uploadImage, requireFile, async (req, res) => {
+  try {
+    const kind = req.body.kind === 'logo' ? 'logo' : 'image';
+    const asset = await storeImage(req.file, { kind, adminId: req.admin._id });
+
+    res.status(201).json({ message: 'File uploaded successfully', asset });
+  } catch (error) {
+    console.error('Error uploading file:', error);
+    handleUploadError(error, res, 'Error uploading file');
+  }
+});
+
+// POST /api/uploads/companies/:id/logo - Upload a company's logo (Admin only)
+router.post('/companies/:id/logo', authenticateAdmin, requirePermission('canCreateJobs'), uploadImage, requireFile, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid company id' });
+    }
+
+    const company = await Company.findById(req.params.id);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const asset = await storeImage(req.file, { kind: 'logo', adminId: req.admin._id, company: company._id });
+
+    company.logo = asset.url;
+    company.logoThumbnail = asset.thumbnailUrl(LOGO_THUMBNAIL_SIZE);
+    company.updatedBy = req.admin._id;
+    await company.save();
+
+    // The old logo files are no longer shown, a failed cleanup does not fail the upload
+    try {
+      await removeReplacedLogos(company._id, company.logo);
+    } catch (cleanupError) {
+      console.error('Error removing replaced company logos:', cleanupError);
+    }
+
+    res.status(201).json({ message: 'Logo uploaded successfully', asset, company });
+  } catch (error) {
+    console.error('Error uploading company logo:', error);
+    handleUploadError(error, res, 'Error uploading logo');
+  }
+});
+
+// POST /api/uploads/jobs/:id/logo - Upload the logo shown on a single job (Admin only)
+router.post('/jobs/:id/logo', authenticateAdmin, requirePermission('canCreateJobs'), uploadImage, requireFile, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid job id' });
+    }
+
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const asset = await storeImage(req.file, { kind: 'logo', adminId: req.admin._id, job: job._id });
+
+    const previousLogo = job.companyLogo;
+    job.companyLogo = asset.url;
+    await job.save();
+
+    await JobHistory.recordUpdate(
+      job._id,
+      { companyLogo: previousLogo },
+      { companyLogo: job.companyLogo },
+      ['companyLogo'],
+      req.admin,
+      { source: 'POST /api/uploads/jobs/:id/logo' }
+    );
+
+    res.status(201).json({ message: 'Logo uploaded successfully', asset, job });
+  } catch (error) {
+    console.error('Error uploading job logo:', error);
+    handleUploadError(error, res, 'Error uploading logo');
+  }
+});
+
+// DELETE /api/uploads/:id - Delete an uploaded asset and its thumbnails (Admin only)
+router.delete('/:id', authenticateAdmin, requirePermission('canDeleteJobs'), async (req, res) => {
+  try {
+    const asset = await Asset.findById(req.params.id);
+
+    if (!asset) {
+      return res.status(404).json({ message: 'Upload not found' });
+    }
+
+    await removeAsset(asset);
+
+    res.json({ message: 'Upload deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting upload:', error);
+    handleUploadError(error, res, 'Error deleting upload');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,366 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const User = require('../models/User');
+const SavedSearch = require('../models/SavedSearch');
+const JobInteraction = require('../models/JobInteraction');
+const { generateUserToken, authenticateUser } = require('../middleware/auth');
+const { sendMail, escapeHtml, appUrl } = require('../utils/mailer');
+const { normalizeTags } = require('../utils/skillExtractor');
+const { normalizeDegrees, normalizeBranches } = require('../utils/eligibility');
+
+// Sign-up, login and email links are limited per IP to slow down guessing and mail flooding
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.USER_AUTH_RATE_LIMIT) || 20,
+  message: { message: 'Too many attempts, please try again later.' }
+});
+
+// Helper function to turn a Mongoose validation error into a 400 response
+const validationErrorResponse = (res, error) => {
+  const errors = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({ message: 'Validation error', errors });
+};
+
+// Helper function to email a verification link, failures are logged so sign-up still succeeds
+const sendVerificationEmail = async (user, token) => {
+  const link = appUrl('/verify-email', { token });
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link is valid for 24 hours.`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address by opening <a href="${link}">this link</a>.</p><p>The link is valid for 24 hours.</p>`
+    });
+  } catch (error) {
+    console.error(`Error sending verification email to user ${user._id}:`, error.message);
+  }
+};
+
+// Helper function to email a password reset link
+const sendPasswordResetEmail = async (user, token) => {
+  const link = appUrl('/reset-password', { token });
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nYou can choose a new password by opening this link:\n${link}\n\nThe link is valid for 1 hour. If you did not ask for this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>You can choose a new password by opening <a href="${link}">this link</a>.</p><p>The link is valid for 1 hour. If you did not ask for this, you can ignore this email.</p>`
+  });
+};
+
+// Helper function to move the jobs an anonymous visitor viewed onto their account, failures never block login
+const mergeVisitorHistory = async (req, user) => {
+  const visitorId = req.get('X-Visitor-Id') || req.body.visitorId;
+  if (!visitorId) return;
+
+  try {
+    await JobInteraction.mergeVisitor(visitorId, user._id);
+  } catch (error) {
+    console.error(`Error merging visitor history into user ${user._id}:`, error.message);
+  }
+};
+
+// Helper function to apply profile fields from the request body, tags and degrees are stored by canonical name
+const applyProfile = (user, profile) => {
+  if (!profile || typeof profile !== 'object') return;
+
+  if (Array.isArray(profile.skills)) {
+    user.profile.skills = normalizeTags(profile.skills.map(String));
+  }
+  ['graduationYear', 'experienceYears'].forEach(field => {
+    if (profile[field] !== undefined) {
+      user.profile[field] = profile[field] === '' || profile[field] === null ? null : Number(profile[field]);
+    }
+  });
+  if (profile.degree !== undefined) {
+    user.profile.degree = normalizeDegrees([profile.degree])[0] || '';
+  }
+  if (profile.branch !== undefined) {
+    user.profile.branch = normalizeBranches([profile.branch])[0] || '';
+  }
+};
+
+// POST /api/users/register - Create a job seeker account and email a verification link
+router.post('/register', authLimiter, async (req, res) => {
+  try {
+    const { name, email, password, profile } = req.body;
+
+    if (!name || !email || !password) {
+      return res.status(400).json({ message: 'Name, email, and password are required' });
+    }
+
+    const existingUser = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (existingUser) {
+      return res.status(400).json({ message: 'An account with this email already exists' });
+    }
+
+    const user = new User({ name, email, password });
+    applyProfile(user, profile);
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+
+    await sendVerificationEmail(user, verificationToken);
+    await mergeVisitorHistory(req, user);
+
+    res.status(201).json({
+      message: 'Account created. Check your email to verify your address',
+      token: generateUserToken(user._id),
+      user
+    });
+  } catch (error) {
+    console.error('User registration error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    // Two sign-ups with the same email at once
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'An account with this email already exists' });
+    }
+
+    res.status(500).json({ message: 'Error creating account' });
+  }
+});
+
+// POST /api/users/login - Job seeker login
+router.post('/login', authLimiter, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ message: 'Email and password are required' });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    const isValidPassword = await user.comparePassword(password);
+
+    // Deactivated accounts get the same answer so login does not reveal which emails are registered
+    if (!isValidPassword || !user.isActive) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    await user.updateLastLogin();
+    await mergeVisitorHistory(req, user);
+
+    res.json({
+      message: 'Login successful',
+      token: generateUserToken(user._id),
+      user
+    });
+  } catch (error) {
+    console.error('User login error:', error);
+
+    if (error.message === 'Account is temporarily locked') {
+      return res.status(423).json({ message: 'Account is temporarily locked due to multiple failed login attempts' });
+    }
+
+    res.status(500).json({ message: 'Login failed' });
+  }
+});
+
+// POST /api/users/verify-email - Confirm an email address with the token from the verification link
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: 'Token is required' });
+    }
+
+    const user = await User.findByVerificationToken(token);
+
+    if (!user) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.json({ message: 'Email verified successfully', user });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ message: 'Error verifying email' });
+  }
+});
+
+// POST /api/users/resend-verification - Email a new verification link to the logged-in user
+router.post('/resend-verification', authLimiter, authenticateUser, async (req, res) => {
+  try {
+    if (req.user.isEmailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    const verificationToken = req.user.createEmailVerificationToken();
+    await req.user.save();
+    await sendVerificationEmail(req.user, verificationToken);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Error resending verification email:', error);
+    res.status(500).json({ message: 'Error sending verification email' });
+  }
+});
+
+// POST /api/users/forgot-password - Email a password reset link
+// Always answers the same way so the endpoint cannot be used to find out who has an account
+router.post('/forgot-password', authLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim(), isActive: true });
+
+    if (user) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save();
+
+      try {
+        await sendPasswordResetEmail(user, resetToken);
+      } catch (error) {
+        console.error(`Error sending password reset email to user ${user._id}:`, error.message);
+      }
+    }
+
+    res.json({ message: 'If an account exists for this email, a password reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Error requesting password reset' });
+  }
+});
+
+// POST /api/users/reset-password - Set a new password with the token from the reset link
+// Tokens issued before the reset stop working
+router.post('/reset-password', authLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Token and password are required' });
+    }
+
+    const user = await User.findByResetToken(token);
+
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.loginAttempts = 0;
+    user.lockUntil = undefined;
+    // Following the emailed link proves the address
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    res.json({
+      message: 'Password reset successfully',
+      token: generateUserToken(user._id)
+    });
+  } catch (error) {
+    console.error('Password reset error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({ message: 'Error resetting password' });
+  }
+});
+
+// POST /api/users/alerts/unsubscribe - Switch off a job alert with the token from its unsubscribe link (no login needed)
+// all: true switches off every alert of the same user
+router.post('/alerts/unsubscribe', async (req, res) => {
+  try {
+    const { token, all } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: 'Token is required' });
+    }
+
+    const savedSearch = await SavedSearch.findOne({ unsubscribeToken: String(token) });
+
+    if (!savedSearch) {
+      return res.status(400).json({ message: 'Unsubscribe link is invalid' });
+    }
+
+    const query = all === true ? { user: savedSearch.user } : { _id: savedSearch._id };
+    const result = await SavedSearch.updateMany(query, { $set: { alertsEnabled: false, nextDigestAt: null } });
+
+    res.json({
+      message: all === true ? 'Unsubscribed from all job alerts' : `Unsubscribed from "${savedSearch.name}"`,
+      unsubscribed: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    res.status(500).json({ message: 'Error unsubscribing' });
+  }
+});
+
+// GET /api/users/me - Get the logged-in user's profile
+router.get('/me', authenticateUser, async (req, res) => {
+  res.json(req.user);
+});
+
+// PUT /api/users/me - Update name, profile (skills, graduationYear, experienceYears, degree, branch) and/or password
+// Changing the email is not supported yet, it would need a new verification
+router.put('/me', authenticateUser, async (req, res) => {
+  try {
+    const { name, profile, currentPassword, newPassword } = req.body;
+    const user = req.user;
+
+    let passwordChanged = false;
+    if (newPassword) {
+      if (!currentPassword) {
+        return res.status(400).json({ message: 'Current password is required to set a new password' });
+      }
+
+      const isValidPassword = await user.comparePassword(currentPassword);
+      if (!isValidPassword) {
+        return res.status(400).json({ message: 'Current password is incorrect' });
+      }
+
+      user.password = newPassword;
+      passwordChanged = true;
+    }
+
+    if (name !== undefined) user.name = name;
+    applyProfile(user, profile);
+
+    await user.save();
+
+    res.json({
+      message: 'Profile updated successfully',
+      user,
+      // Older tokens stop working after a password change
+      ...(passwordChanged && { token: generateUserToken(user._id) })
+    });
+  } catch (error) {
+    console.error('Error updating user profile:', error);
+
+    if (error.message === 'Account is temporarily locked') {
+      return res.status(423).json({ message: 'Account is temporarily locked due to multiple failed login attempts' });
+    }
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({ message: 'Error updating profile' });
+  }
+});
+
+module.exports = router;
@@ -7,8 +7,13 @@ const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
 require('dotenv').config();
 
-// Import cron job
+// Import cron jobs
 const { initializeJobStatusCron } = require('./utils/jobStatusCron');
+const { initializeLinkCheckCron } = require('./utils/linkCheckCron');
+const { initializeImportCron } = require('./utils/importCron');
+const { initializeAlertCron } = require('./utils/alertCron');
+const { refreshManagedSkills, refreshManagedPlaces } = require('./utils/taxonomy');
+const { getMailer } = require('./utils/mailer');
 
 console.log('Starting server...');
 
@@ -62,7 +67,7 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Visitor-Id']
 };
 
 app.use(cors(corsOptions));
@@ -80,6 +85,18 @@ if (!MONGODB_URI) {
   process.exit(1);
 }
 
+// Fail at startup rather than on the first sign-up when mail cannot be delivered
+try {
+  getMailer();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+// Queries and saves inside connection.transaction() pick up the session automatically,
+// so model methods (save, history records, duplicate checks) join the transaction unchanged
+mongoose.set('transactionAsyncLocalStorage', true);
+
 console.log('Connecting to MongoDB...');
 mongoose.connect(MONGODB_URI, {
   useNewUrlParser: true,
@@ -88,8 +105,21 @@ mongoose.connect(MONGODB_URI, {
 .then(() => {
   console.log('✅ Connected to MongoDB successfully');
   
-  // Initialize cron job after database connection
+  // Initialize cron jobs after database connection
   initializeJobStatusCron();
+  initializeLinkCheckCron();
+  initializeImportCron();
+  initializeAlertCron();
+  
+  // Load admin-managed skill synonyms before the first job is saved
+  refreshManagedSkills({ force: true }).catch(error => {
+    console.error('❌ Error loading managed skills:', error.message);
+  });
+  
+  // ...and admin-managed place coordinates before the first "near" search
+  refreshManagedPlaces({ force: true }).catch(error => {
+    console.error('❌ Error loading managed places:', error.message);
+  });
 })
 .catch((error) => {
   console.error('❌ MongoDB connection error:', error.message);
@@ -147,6 +177,46 @@ try {
   app.use('/api/analytics', analyticsRoutes);
   console.log('✅ Analytics routes loaded successfully');
 
+  // Load lifecycle policy routes
+  console.log('Loading lifecycle policy routes...');
+  const lifecyclePolicyRoutes = require('./routes/lifecyclePolicyRoutes');
+  app.use('/api/lifecycle-policies', lifecyclePolicyRoutes);
+  console.log('✅ Lifecycle policy routes loaded successfully');
+
+  // Load import routes
+  console.log('Loading import routes...');
+  const importRoutes = require('./routes/importRoutes');
+  app.use('/api/imports', importRoutes);
+  console.log('✅ Import routes loaded successfully');
+
+  // Load taxonomy routes
+  console.log('Loading taxonomy routes...');
+  const taxonomyRoutes = require('./routes/taxonomyRoutes');
+  app.use('/api/taxonomy', taxonomyRoutes);
+  console.log('✅ Taxonomy routes loaded successfully');
+
+  // Load company routes
+  console.log('Loading company routes...');
+  const companyRoutes = require('./routes/companyRoutes');
+  app.use('/api/companies', companyRoutes);
+  console.log('✅ Company routes loaded successfully');
+
+  // Load upload routes
+  console.log('Loading upload routes...');
+  const uploadRoutes = require('./routes/uploadRoutes');
+  app.use('/api/uploads', uploadRoutes);
+  console.log('✅ Upload routes loaded successfully');
+
+  // Load job seeker account routes
+  console.log('Loading user routes...');
+  const userRoutes = require('./routes/userRoutes');
+  const savedJobRoutes = require('./routes/savedJobRoutes');
+  const savedSearchRoutes = require('./routes/savedSearchRoutes');
+  app.use('/api/users/me/jobs', savedJobRoutes);
+  app.use('/api/users/me/searches', savedSearchRoutes);
+  app.use('/api/users', userRoutes);
+  console.log('✅ User routes loaded successfully');
+
   console.log('✅ All routes loaded successfully');
 
 } catch (error) {
@@ -165,7 +235,15 @@ app.get('/', (req, res) => {
       health: '/api/health',
       jobs: '/api/jobs',
       admin: '/api/admin',
-      analytics: '/api/analytics'
+      analytics: '/api/analytics',
+      lifecyclePolicies: '/api/lifecycle-policies',
+      imports: '/api/imports',
+      taxonomy: '/api/taxonomy',
+      companies: '/api/companies',
+      uploads: '/api/uploads',
+      users: '/api/users',
+      savedJobs: '/api/users/me/jobs',
+      savedSearches: '/api/users/me/searches'
     }
   });
 });
@@ -0,0 +1,31 @@
+const cron = require('node-cron');
+const { processDueAlerts } = require('./alertDigest');
+
+// Function to send the saved search digests that are due
+const processJobAlerts = async () => {
+  try {
+    const result = await processDueAlerts();
+
+    if (result.processed > 0) {
+      console.log(`🔔 Job alerts processed: ${result.sent} sent, ${result.empty} with no new jobs, ${result.failed} failed, ${result.skipped} skipped`);
+    }
+  } catch (error) {
+    console.error('❌ Error processing job alerts:', error);
+  }
+};
+
+// Initialize cron job to check for due digests every hour
+// Daily and weekly digests are scheduled at ALERT_DIGEST_HOUR_UTC, the hourly run picks up any that were missed
+const initializeAlertCron = () => {
+  cron.schedule('5 * * * *', processJobAlerts, {
+    scheduled: true,
+    timezone: "UTC" // Change to your preferred timezone
+  });
+
+  console.log('⏰ Job alert cron job initialized - will send due digests every hour');
+};
+
+module.exports = {
+  initializeAlertCron,
+  processJobAlerts
+};
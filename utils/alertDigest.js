@@ -0,0 +1,180 @@
+const Job = require('../models/Job');
+const User = require('../models/User');
+const SavedSearch = require('../models/SavedSearch');
+const AlertDelivery = require('../models/AlertDelivery');
+const { parseJobFilters } = require('./jobFilters');
+const { expandTaxonomyFilters } = require('./taxonomy');
+const { getTransport } = require('./notifier');
+
+// Listing params a saved search can hold, date and status params make no sense for "new jobs" digests
+const SEARCH_QUERY_PARAMS = [
+  'q', 'role', 'location', 'companyName', 'experience', 'requiredDegree', 'keywords', 'skills', 'skillsMatch',
+  'employmentType', 'workMode', 'remote', 'near', 'radiusKm', 'includeRemote',
+  'salaryMin', 'salaryMax', 'salaryCurrency', 'salaryDisclosed',
+  'experienceYears', 'graduationYear', 'degree', 'branch'
+];
+
+// Jobs listed in one digest, the rest are linked to
+const MAX_DIGEST_JOBS = parseInt(process.env.ALERT_DIGEST_MAX_JOBS) || 20;
+
+// Saved searches handled per cron run
+const ALERT_BATCH_SIZE = parseInt(process.env.ALERT_BATCH_SIZE) || 500;
+
+const DIGEST_JOB_FIELDS = 'jobId companyName companyLogo role location experience estPackage employmentType hiringLink datePosted applyBy';
+
+// Read a saved search query from the request body, either an object of params or a query string ("role=SDE&location=Pune")
+// Returns { query, errors }, unknown params are dropped and the rest is checked like GET /api/jobs would
+const normalizeSearchQuery = (input) => {
+  let params = input || {};
+
+  if (typeof params === 'string') {
+    const searchParams = new URLSearchParams(params.replace(/^.*\?/, ''));
+    params = {};
+    searchParams.forEach((value, key) => {
+      params[key] = params[key] === undefined ? value : [].concat(params[key], value);
+    });
+  }
+
+  if (typeof params !== 'object' || Array.isArray(params)) {
+    return { query: {}, errors: ['query must be an object of listing params or a query string'] };
+  }
+
+  const query = {};
+  SEARCH_QUERY_PARAMS.forEach(key => {
+    const value = params[key];
+    if (value === undefined || value === null || value === '') return;
+    query[key] = Array.isArray(value) ? value.map(String) : String(value);
+  });
+
+  const { errors } = parseJobFilters(query);
+  return { query, errors };
+};
+
+// Build the digest of a saved search: matching jobs that went live between its last digest and windowEnd
+// A job goes live when it is created, or at publishAt for scheduled jobs
+const buildDigest = async (savedSearch, windowEnd = new Date()) => {
+  const { filters, errors } = parseJobFilters(savedSearch.query || {});
+  if (errors.length > 0) {
+    const error = new Error(`Saved search filters are no longer valid: ${errors.join('; ')}`);
+    error.name = 'InvalidSavedSearchError';
+    throw error;
+  }
+
+  const windowStart = savedSearch.lastDigestAt || savedSearch.createdAt;
+  const query = Job.buildFilterQuery(await expandTaxonomyFilters(filters), false);
+  query.$and = [
+    ...(query.$and || []),
+    {
+      $or: [
+        { createdAt: { $gt: windowStart, $lte: windowEnd } },
+        { publishAt: { $gt: windowStart, $lte: windowEnd } }
+      ]
+    }
+  ];
+
+  const [jobs, totalMatches] = await Promise.all([
+    Job.find(query)
+      .sort({ datePosted: -1, _id: -1 })
+      .limit(MAX_DIGEST_JOBS)
+      .select(DIGEST_JOB_FIELDS)
+      .lean(),
+    Job.countDocuments(query)
+  ]);
+
+  return { jobs, totalMatches, windowStart, windowEnd };
+};
+
+// Helper function to describe a failed delivery for the seeker's delivery history
+// Only the status code is kept, response bodies and network errors stay in the server log
+const describeDeliveryError = (error) => {
+  if (error.statusCode) return `Receiver responded with ${error.statusCode}`;
+  if (error.code === 'BLOCKED_HOST') return 'Webhook URL points to a private address';
+  return 'Delivery failed';
+};
+
+// Build and send the digest of one saved search, records the delivery and moves the window on
+// Returns 'sent', 'failed', 'empty' (nothing new) or 'skipped' (user inactive or email not verified)
+// A failed digest keeps its window so the jobs are included in the next one
+const deliverDigest = async (savedSearch, now = new Date()) => {
+  const user = await User.findById(savedSearch.user);
+
+  if (!user || !user.isActive || (savedSearch.channel === 'email' && !user.isEmailVerified)) {
+    return 'skipped';
+  }
+
+  let digest = null;
+  try {
+    digest = await buildDigest(savedSearch, now);
+
+    if (digest.totalMatches === 0) {
+      await SavedSearch.updateOne({ _id: savedSearch._id }, { $set: { lastDigestAt: now } });
+      return 'empty';
+    }
+
+    const { id } = await getTransport(savedSearch.channel).send({ user, savedSearch, digest });
+
+    await AlertDelivery.create({
+      savedSearch: savedSearch._id,
+      user: user._id,
+      channel: savedSearch.channel,
+      status: 'sent',
+      windowStart: digest.windowStart,
+      windowEnd: digest.windowEnd,
+      totalMatches: digest.totalMatches,
+      jobs: digest.jobs.map(job => job._id),
+      messageId: id || null
+    });
+    await SavedSearch.updateOne({ _id: savedSearch._id }, { $set: { lastDigestAt: now, lastDeliveryStatus: 'sent' } });
+    return 'sent';
+  } catch (error) {
+    console.error(`❌ Error sending digest for saved search ${savedSearch._id}:`, error.message);
+
+    await AlertDelivery.create({
+      savedSearch: savedSearch._id,
+      user: user._id,
+      channel: savedSearch.channel,
+      status: 'failed',
+      windowStart: digest ? digest.windowStart : (savedSearch.lastDigestAt || savedSearch.createdAt),
+      windowEnd: now,
+      totalMatches: digest ? digest.totalMatches : 0,
+      jobs: digest ? digest.jobs.map(job => job._id) : [],
+      error: describeDeliveryError(error)
+    });
+    await SavedSearch.updateOne({ _id: savedSearch._id }, { $set: { lastDeliveryStatus: 'failed' } });
+    return 'failed';
+  }
+};
+
+// Send the digests that are due, called by the alert cron
+// Each saved search is claimed by moving nextDigestAt on first, so two servers never send the same digest
+const processDueAlerts = async (now = new Date()) => {
+  const result = { processed: 0, sent: 0, failed: 0, empty: 0, skipped: 0 };
+
+  const due = await SavedSearch.find({ alertsEnabled: true, nextDigestAt: { $lte: now } })
+    .sort({ nextDigestAt: 1 })
+    .limit(ALERT_BATCH_SIZE)
+    .lean();
+
+  for (const candidate of due) {
+    const savedSearch = await SavedSearch.findOneAndUpdate(
+      { _id: candidate._id, alertsEnabled: true, nextDigestAt: candidate.nextDigestAt },
+      { $set: { nextDigestAt: SavedSearch.nextDigestTime(candidate.frequency, now) } },
+      { new: true }
+    ).lean();
+
+    if (!savedSearch) continue;
+
+    result.processed++;
+    result[await deliverDigest(savedSearch, now)]++;
+  }
+
+  return result;
+};
+
+module.exports = {
+  SEARCH_QUERY_PARAMS,
+  normalizeSearchQuery,
+  buildDigest,
+  deliverDigest,
+  processDueAlerts
+};
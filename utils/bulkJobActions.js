@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const { parseJobFilters } = require('./jobFilters');
+
+// Upper bound on jobs touched by one bulk status change or delete
+const MAX_BULK_JOBS = parseInt(process.env.MAX_BULK_JOBS) || 1000;
+
+// Build the job query for a bulk action from { ids } and/or { filter }
+// filter takes the same params as GET /api/jobs/admin/all, returns { query, errors }
+const resolveBulkQuery = ({ ids, filter } = {}) => {
+  const errors = [];
+  const clauses = [];
+
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      errors.push('ids must be a non-empty array');
+    } else {
+      const invalidIds = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
+      if (invalidIds.length > 0) {
+        errors.push(`Invalid job ids: ${invalidIds.join(', ')}`);
+      }
+      clauses.push({ _id: { $in: ids } });
+    }
+  }
+
+  if (filter !== undefined) {
+    const parsed = parseJobFilters(filter || {}, { allowStatus: true });
+    errors.push(...parsed.errors);
+
+    // An empty filter would select every job, that has to be asked for explicitly with ids
+    if (Object.keys(parsed.filters).length === 0) {
+      errors.push('filter must contain at least one criterion');
+    } else {
+      clauses.push(Job.buildFilterQuery(parsed.filters, true));
+    }
+  }
+
+  if (ids === undefined && filter === undefined) {
+    errors.push('Provide ids or filter to select jobs');
+  }
+
+  return {
+    query: clauses.length === 1 ? clauses[0] : { $and: clauses },
+    errors
+  };
+};
+
+// Load the jobs selected for a bulk action, null when more than MAX_BULK_JOBS match
+const findBulkTargets = async (query) => {
+  const jobs = await Job.find(query).limit(MAX_BULK_JOBS + 1);
+  return jobs.length > MAX_BULK_JOBS ? null : jobs;
+};
+
+// Apply a status change to each job with the same rules as PUT /api/jobs/:id/status
+// Returns { updated, skipped, errors } with job ids
+const changeJobsStatus = async (jobs, status, actor, historyOptions = {}) => {
+  const updated = [];
+  const skipped = [];
+  const errors = [];
+  const now = new Date();
+
+  for (const job of jobs) {
+    if (job.status === status) {
+      skipped.push({ id: job._id, reason: `Already ${status}` });
+      continue;
+    }
+
+    if (status === 'active' && job.applyBy && job.applyBy < now) {
+      errors.push({ id: job._id, error: 'Application deadline has passed. Update applyBy before reactivating this job' });
+      continue;
+    }
+
+    try {
+      if (status === 'active') {
+        await job.reactivate(actor, historyOptions);
+      } else if (status === 'dump') {
+        await job.moveToDump(actor, historyOptions);
+      } else if (status === 'inactive') {
+        await job.moveToInactive(actor, historyOptions);
+      }
+      updated.push(job._id);
+    } catch (error) {
+      errors.push({ id: job._id, error: error.message });
+    }
+  }
+
+  return { updated, skipped, errors };
+};
+
+// Move each job to the trash, returns { deleted, errors } with job ids
+const deleteJobs = async (jobs, actor, historyOptions = {}) => {
+  const deleted = [];
+  const errors = [];
+
+  for (const job of jobs) {
+    try {
+      await job.softDelete(actor, historyOptions);
+      deleted.push(job._id);
+    } catch (error) {
+      errors.push({ id: job._id, error: error.message });
+    }
+  }
+
+  return { deleted, errors };
+};
+
+module.exports = {
+  MAX_BULK_JOBS,
+  resolveBulkQuery,
+  findBulkTargets,
+  changeJobsStatus,
+  deleteJobs
+};
@@ -0,0 +1,86 @@
+const { v4: uuidv4 } = require('uuid');
+const Job = require('../models/Job');
+const { checkForDuplicates } = require('./duplicateDetector');
+const { applySkillExtraction } = require('./skillExtractor');
+const { resolveJobTaxonomy } = require('./taxonomy');
+
+// Create jobs one by one, skipping duplicates unless overridden
+// Skills and keywords found in descriptions are only added with extractSkills: true (for the batch or per job)
+// Returns { createdJobs, duplicates, errors } with indexes into jobInputs
+const createJobs = async (jobInputs, adminId, { allowDuplicates = false, extractSkills = false, indexes = null, importRows = null } = {}) => {
+  const createdJobs = [];
+  const errors = [];
+  const duplicates = [];
+
+  for (let i = 0; i < jobInputs.length; i++) {
+    const index = indexes ? indexes[i] : i;
+
+    try {
+      const { allowDuplicate, extractSkills: extractForJob, ...input } = jobInputs[i];
+      const resolvedInput = await resolveJobTaxonomy(input, adminId);
+      const jobInput = extractForJob === true || (extractSkills === true && extractForJob !== false)
+        ? applySkillExtraction(resolvedInput).jobData
+        : resolvedInput;
+
+      // Check for duplicates, overridable for the whole batch or per job
+      const duplicateCheck = await checkForDuplicates(jobInput);
+      if (duplicateCheck.isDuplicate && allowDuplicates !== true && allowDuplicate !== true) {
+        duplicates.push({
+          index,
+          jobData: jobInputs[i],
+          existingJob: duplicateCheck.existingJob,
+          candidates: duplicateCheck.candidates
+        });
+        continue; // Skip this job
+      }
+
+      const jobData = {
+        ...jobInput,
+        jobId: jobInput.jobId || uuidv4(),
+        createdBy: adminId,
+        status: 'active'
+      };
+      if (importRows) {
+        jobData.importRow = importRows[i];
+      }
+
+      const job = new Job(jobData);
+      await job.save();
+      await job.populate('createdBy', 'username email');
+      createdJobs.push(job);
+    } catch (error) {
+      errors.push({ index, error: error.message });
+    }
+  }
+
+  return { createdJobs, duplicates, errors };
+};
+
+// Build the response body shared by the bulk endpoints
+const buildBulkResponse = (total, { createdJobs, duplicates, errors }) => {
+  const response = {
+    message: `${createdJobs.length} jobs created successfully`,
+    createdJobs,
+    summary: {
+      total,
+      created: createdJobs.length,
+      duplicates: duplicates.length,
+      errors: errors.length
+    }
+  };
+
+  if (duplicates.length > 0) {
+    response.duplicates = duplicates;
+  }
+
+  if (errors.length > 0) {
+    response.errors = errors;
+  }
+
+  return response;
+};
+
+module.exports = {
+  createJobs,
+  buildBulkResponse
+};
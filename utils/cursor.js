@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Fields that can drive keyset (cursor) pagination, always paired with _id
+const CURSOR_SORT_FIELDS = ['datePosted', 'lastStatusChange'];
+
+// Helper function to build an error the routes can turn into a 400
+const invalidCursor = (message) => {
+  const error = new Error(message);
+  error.name = 'InvalidCursorError';
+  return error;
+};
+
+// Encode the position after a document into an opaque token
+const encodeCursor = (doc, sortField, sortOrder) => {
+  const payload = {
+    f: sortField,
+    o: sortOrder,
+    v: doc[sortField] ? new Date(doc[sortField]).toISOString() : null,
+    id: doc._id.toString()
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Decode a token back into { value, id }; an empty token means "first page"
+const decodeCursor = (token, sortField, sortOrder) => {
+  if (!token) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalidCursor('Invalid cursor');
+  }
+
+  if (!payload || typeof payload !== 'object' || !mongoose.Types.ObjectId.isValid(payload.id)) {
+    throw invalidCursor('Invalid cursor');
+  }
+
+  // A cursor only makes sense for the ordering it was created with
+  if (payload.f !== sortField || payload.o !== sortOrder) {
+    throw invalidCursor('Cursor does not match the requested sort order');
+  }
+
+  const value = payload.v === null ? null : new Date(payload.v);
+  if (value && isNaN(value.getTime())) {
+    throw invalidCursor('Invalid cursor');
+  }
+
+  return { value, id: new mongoose.Types.ObjectId(payload.id) };
+};
+
+module.exports = {
+  CURSOR_SORT_FIELDS,
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,170 @@
+const Job = require('../models/Job');
+const { normalizeHiringLink, getAtsJobKey } = require('./hiringLink');
+const { escapeRegex } = require('./regex');
+
+// Candidates at or above this score block job creation unless overridden
+const DUPLICATE_THRESHOLD = 0.85;
+// Fuzzy candidates below this score are not reported at all
+const CANDIDATE_THRESHOLD = 0.6;
+const MAX_CANDIDATES = 5;
+
+// Legal suffixes and filler words that do not tell companies apart
+const COMPANY_STOP_WORDS = [
+  'inc', 'llc', 'ltd', 'limited', 'pvt', 'private', 'corp', 'corporation', 'co', 'company',
+  'technologies', 'technology', 'solutions', 'services', 'india', 'global', 'group', 'the'
+];
+
+// Helper function to lowercase and strip punctuation
+const normalizeText = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9+#\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const normalizeCompany = (value) => normalizeText(value)
+  .split(' ')
+  .filter(word => word && !COMPANY_STOP_WORDS.includes(word))
+  .join(' ');
+
+// Dice coefficient over character bigrams, 1 for identical strings
+const similarity = (a, b) => {
+  if (!a && !b) return 1;
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const bigrams = (value) => {
+    const padded = ` ${value} `;
+    const result = new Map();
+    for (let i = 0; i < padded.length - 1; i++) {
+      const gram = padded.slice(i, i + 2);
+      result.set(gram, (result.get(gram) || 0) + 1);
+    }
+    return result;
+  };
+
+  const first = bigrams(a);
+  const second = bigrams(b);
+  let overlap = 0;
+  let total = 0;
+
+  first.forEach((count, gram) => {
+    overlap += Math.min(count, second.get(gram) || 0);
+    total += count;
+  });
+  second.forEach(count => {
+    total += count;
+  });
+
+  return (2 * overlap) / total;
+};
+
+// Helper function to shape a candidate for API responses
+const toCandidate = (job, score, matchType, reasons) => ({
+  _id: job._id,
+  companyName: job.companyName,
+  role: job.role,
+  location: job.location,
+  status: job.status,
+  hiringLink: job.hiringLink,
+  datePosted: job.datePosted,
+  score: Math.round(score * 100) / 100,
+  matchType,
+  reasons
+});
+
+// Find jobs in any status that look like the same posting
+// jobData needs hiringLink and may have companyName, role and location for fuzzy matching
+const findDuplicateCandidates = async (jobData, { excludeJobId = null } = {}) => {
+  const candidates = new Map();
+  const excludeId = excludeJobId ? String(excludeJobId) : null;
+  const selectFields = 'companyName role location status hiringLink normalizedHiringLink atsJobKey datePosted';
+
+  // 1. Same posting by link: exact, normalised, or same ATS posting id on a mirror URL
+  if (jobData.hiringLink) {
+    const normalizedLink = normalizeHiringLink(jobData.hiringLink);
+    const atsJobKey = getAtsJobKey(jobData.hiringLink);
+    const linkQuery = [
+      { hiringLink: jobData.hiringLink },
+      { normalizedHiringLink: normalizedLink }
+    ];
+    if (atsJobKey) {
+      linkQuery.push({ atsJobKey });
+    }
+
+    const linkMatches = await Job.find({ $or: linkQuery }).select(selectFields).limit(MAX_CANDIDATES * 2);
+
+    linkMatches.forEach(job => {
+      if (String(job._id) === excludeId) return;
+
+      const reasons = [];
+      if (job.hiringLink === jobData.hiringLink) {
+        reasons.push('Identical hiring link');
+      } else if ((job.normalizedHiringLink || normalizeHiringLink(job.hiringLink)) === normalizedLink) {
+        reasons.push('Same hiring link after normalisation');
+      } else {
+        reasons.push(`Same ${atsJobKey.split(':')[0]} posting on a different URL`);
+      }
+
+      candidates.set(String(job._id), toCandidate(job, 1, 'link', reasons));
+    });
+  }
+
+  // 2. Fuzzy match on company + role + location
+  const company = normalizeCompany(jobData.companyName);
+  if (company && jobData.role) {
+    const companyToken = company.split(' ')[0];
+    const role = normalizeText(jobData.role);
+    const location = normalizeText(jobData.location);
+
+    const companyMatches = await Job.find({
+      companyName: { $regex: escapeRegex(companyToken), $options: 'i' }
+    })
+      .select(selectFields)
+      .sort({ datePosted: -1 })
+      .limit(200);
+
+    companyMatches.forEach(job => {
+      const id = String(job._id);
+      if (id === excludeId || candidates.has(id)) return;
+
+      const companyScore = similarity(company, normalizeCompany(job.companyName));
+      if (companyScore < 0.8) return;
+
+      const roleScore = similarity(role, normalizeText(job.role));
+      const locationScore = location ? similarity(location, normalizeText(job.location)) : 0.5;
+      const score = 0.35 * companyScore + 0.45 * roleScore + 0.2 * locationScore;
+
+      if (score < CANDIDATE_THRESHOLD) return;
+
+      const reasons = [`Company ${Math.round(companyScore * 100)}% similar`, `Role ${Math.round(roleScore * 100)}% similar`];
+      if (location) {
+        reasons.push(`Location ${Math.round(locationScore * 100)}% similar`);
+      }
+
+      candidates.set(id, toCandidate(job, score, 'fuzzy', reasons));
+    });
+  }
+
+  return [...candidates.values()]
+    .sort((a, b) => b.score - a.score || new Date(b.datePosted) - new Date(a.datePosted))
+    .slice(0, MAX_CANDIDATES);
+};
+
+// Check job data for duplicates, isDuplicate is true when a candidate crosses the threshold
+const checkForDuplicates = async (jobData, options = {}) => {
+  const candidates = await findDuplicateCandidates(jobData, options);
+  const isDuplicate = candidates.some(candidate => candidate.score >= DUPLICATE_THRESHOLD);
+
+  return {
+    isDuplicate,
+    existingJob: isDuplicate ? candidates[0] : null,
+    candidates
+  };
+};
+
+module.exports = {
+  checkForDuplicates,
+  findDuplicateCandidates,
+  similarity,
+  DUPLICATE_THRESHOLD
+};
@@ -0,0 +1,216 @@
+const { escapeRegex } = require('./regex');
+
+// Experience labels jobs were posted with before eligibility was structured, still accepted as input
+const EXPERIENCE_LEVELS = ['0-1', '1-2', '2-3', '3+', '4+', '5+', '6+', 'intern', '2026 passout', '2025 passout', '2027 passout'];
+
+// Graduation years outside this range are typos
+const MIN_GRADUATION_YEAR = 1970;
+const MAX_GRADUATION_YEAR = 2100;
+
+// Canonical degrees with the spellings found in requiredDegree texts
+// 'Any Graduate' means any bachelor's degree is accepted
+// genericAliases are normalised like aliases but only read from text when no specific degree is named
+// ("B.Tech graduate in CSE" is a B.Tech requirement, "Graduate in any stream" is not)
+const DEGREES = [
+  { name: 'B.Tech', aliases: ['btech', 'b tech', 'bachelor of technology'] },
+  { name: 'B.E.', aliases: ['be', 'b e', 'bachelor of engineering'] },
+  { name: 'M.Tech', aliases: ['mtech', 'm tech', 'master of technology'] },
+  { name: 'M.E.', aliases: ['me', 'm e', 'master of engineering'] },
+  { name: 'BCA', aliases: ['bachelor of computer applications'] },
+  { name: 'MCA', aliases: ['master of computer applications'] },
+  { name: 'B.Sc', aliases: ['bsc', 'b sc', 'bachelor of science'] },
+  { name: 'M.Sc', aliases: ['msc', 'm sc', 'master of science'] },
+  { name: 'B.Com', aliases: ['bcom', 'b com', 'bachelor of commerce'] },
+  { name: 'BBA', aliases: ['bachelor of business administration'] },
+  { name: 'MBA', aliases: ['pgdm', 'master of business administration'] },
+  { name: 'B.Arch', aliases: ['barch', 'b arch'] },
+  { name: 'Dual Degree', aliases: ['integrated', 'dual'] },
+  { name: 'Ph.D', aliases: ['phd', 'ph d', 'doctorate'] },
+  { name: 'Diploma', aliases: ['polytechnic'] },
+  { name: 'Any Graduate', aliases: ['any graduate', 'any degree', 'any bachelor'], genericAliases: ['graduate', 'graduates', 'graduation', 'bachelors', "bachelor's"] }
+];
+
+// Canonical branches (streams) with their spellings
+const BRANCHES = [
+  { name: 'CSE', aliases: ['cs', 'computer science', 'computer science and engineering', 'computer engineering', 'cse'] },
+  { name: 'IT', aliases: ['information technology', 'it'] },
+  { name: 'ECE', aliases: ['electronics and communication', 'electronics & communication', 'electronics', 'ece', 'ec', 'entc'] },
+  { name: 'EEE', aliases: ['electrical and electronics', 'electrical & electronics', 'eee'] },
+  { name: 'EE', aliases: ['electrical', 'electrical engineering', 'ee'] },
+  { name: 'Mechanical', aliases: ['mech', 'mechanical engineering'] },
+  { name: 'Civil', aliases: ['civil engineering'] },
+  { name: 'Chemical', aliases: ['chemical engineering'] },
+  { name: 'Instrumentation', aliases: ['instrumentation engineering', 'eie', 'ice'] },
+  { name: 'AI & ML', aliases: ['ai', 'ml', 'aiml', 'ai ml', 'artificial intelligence', 'machine learning', 'ai&ml', 'ai and ml'] },
+  { name: 'Data Science', aliases: ['ds', 'data science'] },
+  { name: 'Mathematics', aliases: ['maths', 'math', 'mathematics and computing', 'mnc'] },
+  { name: 'Statistics', aliases: ['stats'] },
+  { name: 'Physics', aliases: [] },
+  { name: 'Any Branch', aliases: ['any branch', 'all branches', 'any stream', 'all streams', 'any discipline'] }
+];
+
+const ANY_DEGREE = 'Any Graduate';
+const ANY_BRANCH = 'Any Branch';
+
+const toKey = (text) => String(text).toLowerCase().replace(/[^a-z0-9&]/g, '');
+
+// Helper function to build a lookup and whole-word phrase list for a vocabulary
+// Phrases of two letters ("be", "it", "cs") only count in upper case, they are ordinary words otherwise
+const buildVocabulary = (entries) => {
+  const byKey = new Map();
+  entries.forEach(entry => [entry.name, ...entry.aliases, ...(entry.genericAliases || [])].forEach(alias => byKey.set(toKey(alias), entry.name)));
+
+  const toPhrases = (list) => list
+    .sort((a, b) => b.phrase.length - a.phrase.length)
+    .map(({ name, phrase }) => {
+      const caseSensitive = toKey(phrase).length <= 2;
+      const pattern = escapeRegex(caseSensitive ? phrase.toUpperCase() : phrase)
+        .replace(/\\\./g, '\\.?')
+        .replace(/\s+/g, '[\\s.-]*');
+      return {
+        name,
+        regex: new RegExp(`(?<![A-Za-z0-9])${pattern}(?![A-Za-z0-9])`, caseSensitive ? 'g' : 'gi')
+      };
+    });
+
+  const phrases = toPhrases(entries.flatMap(entry => [entry.name, ...entry.aliases].map(phrase => ({ name: entry.name, phrase }))));
+  const genericPhrases = toPhrases(entries.flatMap(entry => (entry.genericAliases || []).map(phrase => ({ name: entry.name, phrase }))));
+
+  return { byKey, phrases, genericPhrases };
+};
+
+const DEGREE_VOCABULARY = buildVocabulary(DEGREES);
+const BRANCH_VOCABULARY = buildVocabulary(BRANCHES);
+
+// Helper function to find vocabulary entries mentioned in text, longest phrases first, in order of appearance
+const findMentions = (text, { phrases }) => {
+  let remaining = String(text || '');
+  const found = new Map();
+
+  phrases.forEach(({ name, regex }) => {
+    regex.lastIndex = 0;
+    remaining = remaining.replace(regex, (match, offset) => {
+      if (!found.has(name) || found.get(name) > offset) {
+        found.set(name, offset);
+      }
+      return ' '.repeat(match.length);
+    });
+  });
+
+  return [...found.entries()].sort((a, b) => a[1] - b[1]).map(([name]) => name);
+};
+
+// Helper function to map values onto canonical names, unknown values are kept trimmed
+const normalizeList = (values, { byKey }) => {
+  if (!Array.isArray(values)) return values;
+
+  const seen = new Set();
+  return values
+    .map(value => String(value === null || value === undefined ? '' : value).trim())
+    .map(value => byKey.get(toKey(value)) || value)
+    .filter(value => {
+      const key = toKey(value);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+const normalizeDegrees = (values) => normalizeList(values, DEGREE_VOCABULARY);
+const normalizeBranches = (values) => normalizeList(values, BRANCH_VOCABULARY);
+
+// Parse a free-text requiredDegree ("B.Tech/B.E. in CSE, IT or ECE") into { degrees, branches }
+const parseRequiredDegree = (text) => {
+  let degrees = findMentions(text, DEGREE_VOCABULARY);
+  if (degrees.length === 0) {
+    degrees = findMentions(text, { phrases: DEGREE_VOCABULARY.genericPhrases });
+  }
+
+  return {
+    degrees,
+    branches: findMentions(text, BRANCH_VOCABULARY)
+  };
+};
+
+// Parse an experience label ("0-1", "3+", "intern", "2026 passout", "2-5 years", "6 months", "2025/2026 batch")
+// into { experience: { min, max }, graduationYears } in years, null when the label cannot be read
+const parseExperienceLabel = (label) => {
+  const text = String(label === null || label === undefined ? '' : label).trim().toLowerCase();
+  if (!text) return null;
+
+  const years = (text.match(/\b(19|20)\d{2}\b/g) || []).map(Number);
+  if (years.length > 0) {
+    // Batch hiring is for freshers
+    return { experience: { min: 0, max: 0 }, graduationYears: [...new Set(years)].sort((a, b) => a - b) };
+  }
+
+  if (/intern|fresher|entry/.test(text)) {
+    return { experience: { min: 0, max: 0 }, graduationYears: [] };
+  }
+
+  // "6 months" and "6-18 months" are converted to years
+  const toYears = (value) => (/\bmo(nth)?s?\b/.test(text) ? Math.round((Number(value) / 12) * 100) / 100 : Number(value));
+
+  const range = text.match(/(\d+(?:\.\d+)?)\s*(?:-|to|–)\s*(\d+(?:\.\d+)?)/);
+  if (range) {
+    const [min, max] = [toYears(range[1]), toYears(range[2])].sort((a, b) => a - b);
+    return { experience: { min, max }, graduationYears: [] };
+  }
+
+  const single = text.match(/(\d+(?:\.\d+)?)\s*(\+)?/);
+  if (single) {
+    const min = toYears(single[1]);
+    return { experience: { min, max: single[2] ? null : min }, graduationYears: [] };
+  }
+
+  return null;
+};
+
+// Format eligibility as the short experience label shown in listings ("0-1", "3+", "2026/2027 passout")
+const formatExperienceLabel = (eligibility) => {
+  if (!eligibility) return '';
+
+  const years = eligibility.graduationYears || [];
+  if (years.length > 0) {
+    return `${[...years].sort((a, b) => a - b).join('/')} passout`;
+  }
+
+  const { min = 0, max = null } = eligibility.experience || {};
+  if (min === null) return '';
+  if (max === null || max === undefined) return `${min}+`;
+  if (min === 0 && max === 0) return 'fresher';
+  return min === max ? `${min}` : `${min}-${max}`;
+};
+
+// Format degrees and branches as requiredDegree text ("B.Tech/B.E. (CSE, IT)")
+const formatRequiredDegree = (eligibility) => {
+  if (!eligibility) return '';
+
+  const degrees = (eligibility.degrees || []).join('/');
+  const branches = (eligibility.branches || []).join(', ');
+
+  if (degrees && branches) return `${degrees} (${branches})`;
+  return degrees || branches;
+};
+
+// Experience range stored for labels that cannot be read ("senior"), experience filters leave these jobs out
+const UNKNOWN_EXPERIENCE = { min: null, max: null };
+
+// Helper function to check a graduation year
+const isValidGraduationYear = (year) => Number.isInteger(year) && year >= MIN_GRADUATION_YEAR && year <= MAX_GRADUATION_YEAR;
+
+module.exports = {
+  EXPERIENCE_LEVELS,
+  DEGREES,
+  BRANCHES,
+  ANY_DEGREE,
+  ANY_BRANCH,
+  UNKNOWN_EXPERIENCE,
+  normalizeDegrees,
+  normalizeBranches,
+  parseRequiredDegree,
+  parseExperienceLabel,
+  formatExperienceLabel,
+  formatRequiredDegree,
+  isValidGraduationYear
+};
@@ -0,0 +1,73 @@
+// Query params that only track where a click came from
+const TRACKING_PARAMS = [
+  /^utm_/i, /^gclid$/i, /^fbclid$/i, /^msclkid$/i, /^mc_[ce]id$/i, /^ref$/i, /^referrer$/i,
+  /^source$/i, /^src$/i, /^trk$/i, /^trackingid$/i, /^lever-source/i, /^lever-origin$/i, /^gh_src$/i
+];
+
+// Known applicant tracking systems and how to read their posting id from a URL
+const ATS_PATTERNS = [
+  { ats: 'greenhouse', hosts: /greenhouse\.io$/, path: /\/jobs\/(\d+)/ },
+  { ats: 'greenhouse', param: 'gh_jid' },
+  { ats: 'lever', hosts: /lever\.co$/, path: /\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/i },
+  { ats: 'ashby', hosts: /ashbyhq\.com$/, path: /\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/i },
+  { ats: 'workday', hosts: /myworkdayjobs\.com$/, path: /_((?:JR|R|REQ)[-_]?\d+)/i },
+  { ats: 'smartrecruiters', hosts: /smartrecruiters\.com$/, path: /\/(\d{6,})/ },
+  { ats: 'workable', hosts: /workable\.com$/, path: /\/j\/([0-9A-F]{6,})/i }
+];
+
+// Parse a URL, returns null when it is not a valid http(s) URL
+const parseUrl = (link) => {
+  try {
+    const url = new URL(String(link).trim());
+    return ['http:', 'https:'].includes(url.protocol) ? url : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Normalise a hiring link so the same posting compares equal:
+// ignores http vs https, www., trailing slashes, fragments, tracking params and param order
+const normalizeHiringLink = (link) => {
+  const url = parseUrl(link);
+  if (!url) {
+    return String(link || '').trim().toLowerCase();
+  }
+
+  const host = url.hostname.toLowerCase().replace(/^www\./, '');
+  const path = url.pathname.replace(/\/+$/, '').replace(/\/apply$/i, '') || '';
+
+  const params = [...url.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.some(pattern => pattern.test(key)))
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`);
+
+  return `${host}${path}${params.length > 0 ? `?${params.join('&')}` : ''}`;
+};
+
+// Read an ATS-level posting key ("greenhouse:1234"), so mirrors of the same posting match
+const getAtsJobKey = (link) => {
+  const url = parseUrl(link);
+  if (!url) return null;
+
+  const host = url.hostname.toLowerCase();
+
+  for (const pattern of ATS_PATTERNS) {
+    if (pattern.param) {
+      const value = url.searchParams.get(pattern.param);
+      if (value) return `${pattern.ats}:${value.toLowerCase()}`;
+      continue;
+    }
+
+    if (pattern.hosts.test(host)) {
+      const match = url.pathname.match(pattern.path);
+      if (match) return `${pattern.ats}:${match[1].toLowerCase()}`;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  normalizeHiringLink,
+  getAtsJobKey
+};
@@ -0,0 +1,113 @@
+const path = require('path');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const Asset = require('../models/Asset');
+const Job = require('../models/Job');
+const { getStorage } = require('./storage');
+
+// Formats accepted after reading the file itself, the browser-supplied mimetype is not trusted
+// SVG is left out on purpose, it can carry scripts
+const ALLOWED_FORMATS = {
+  jpeg: { extension: '.jpg', contentType: 'image/jpeg' },
+  png: { extension: '.png', contentType: 'image/png' },
+  webp: { extension: '.webp', contentType: 'image/webp' },
+  gif: { extension: '.gif', contentType: 'image/gif' }
+};
+
+// Thumbnail widths generated for every upload
+const THUMBNAIL_SIZES = (process.env.THUMBNAIL_SIZES || '64,128,256')
+  .split(',')
+  .map(size => parseInt(size))
+  .filter(size => size > 0);
+
+const MAX_IMAGE_PIXELS = 40 * 1000 * 1000;
+
+// Public URL of a stored file, served by GET /api/uploads/files/*
+const fileUrl = (key) => `${process.env.UPLOAD_PUBLIC_BASE_URL || ''}/api/uploads/files/${key}`;
+
+const createUploadError = (message) => {
+  const error = new Error(message);
+  error.name = 'UploadError';
+  return error;
+};
+
+// Validate an uploaded image, store it with its thumbnails and record an Asset
+// file is a multer memory-storage file, throws UploadError for files that are not usable images
+const storeImage = async (file, { kind = 'image', adminId, company = null, job = null } = {}) => {
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer, { limitInputPixels: MAX_IMAGE_PIXELS }).metadata();
+  } catch (error) {
+    throw createUploadError('File is not a readable image');
+  }
+
+  const format = ALLOWED_FORMATS[metadata.format];
+  if (!format) {
+    throw createUploadError(`Unsupported image type. Allowed types: ${Object.keys(ALLOWED_FORMATS).join(', ')}`);
+  }
+
+  const storage = getStorage();
+  const baseKey = `${kind}s/${uuidv4()}`;
+  const key = `${baseKey}${format.extension}`;
+
+  // Thumbnails are WebP, never upscaled, and keep the aspect ratio
+  const thumbnails = await Promise.all(THUMBNAIL_SIZES.map(async size => ({
+    size,
+    key: `${baseKey}-${size}.webp`,
+    buffer: await sharp(file.buffer, { limitInputPixels: MAX_IMAGE_PIXELS })
+      .rotate()
+      .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 85 })
+      .toBuffer()
+  })));
+
+  await storage.put(key, file.buffer, format.contentType);
+  await Promise.all(thumbnails.map(thumbnail => storage.put(thumbnail.key, thumbnail.buffer, 'image/webp')));
+
+  return Asset.create({
+    kind,
+    storage: storage.driver,
+    key,
+    url: fileUrl(key),
+    originalName: path.basename(file.originalname || ''),
+    contentType: format.contentType,
+    size: file.size || file.buffer.length,
+    width: metadata.width,
+    height: metadata.height,
+    thumbnails: thumbnails.map(thumbnail => ({ size: thumbnail.size, key: thumbnail.key, url: fileUrl(thumbnail.key) })),
+    company,
+    job,
+    uploadedBy: adminId
+  });
+};
+
+// Remove an asset's files and record
+const removeAsset = async (asset) => {
+  const storage = getStorage();
+  await Promise.all([asset.key, ...asset.thumbnails.map(thumbnail => thumbnail.key)].map(key => storage.remove(key)));
+  await asset.deleteOne();
+};
+
+// Remove the logo uploads of a company other than the one it shows now (currentLogo is its logo URL)
+// Uploads a job still shows as its companyLogo are kept and only detached from the company
+const removeReplacedLogos = async (companyId, currentLogo) => {
+  const previous = await Asset.find({ kind: 'logo', company: companyId, url: { $ne: currentLogo } });
+
+  for (const asset of previous) {
+    if (await Job.exists({ companyLogo: asset.url }).setOptions({ withDeleted: true })) {
+      asset.company = null;
+      await asset.save();
+    } else {
+      await removeAsset(asset);
+    }
+  }
+  return previous.length;
+};
+
+module.exports = {
+  ALLOWED_FORMATS,
+  THUMBNAIL_SIZES,
+  storeImage,
+  removeAsset,
+  removeReplacedLogos
+};
@@ -0,0 +1,31 @@
+const cron = require('node-cron');
+const { resumeStalledImports } = require('./importWorker');
+
+// Function to resume bulk imports that stopped part way
+const processStalledImports = async () => {
+  try {
+    const resumed = await resumeStalledImports();
+    
+    if (resumed > 0) {
+      console.log(`✅ Resumed ${resumed} stalled bulk imports`);
+    }
+  } catch (error) {
+    console.error('❌ Error resuming bulk imports:', error);
+  }
+};
+
+// Initialize cron job to check for stalled imports every minute
+// Only runs on long-running servers, on serverless deployments imports move on when their status is polled
+const initializeImportCron = () => {
+  cron.schedule('* * * * *', processStalledImports, {
+    scheduled: true,
+    timezone: "UTC" // Change to your preferred timezone
+  });
+  
+  console.log('⏰ Import cron job initialized - will resume stalled imports every minute');
+};
+
+module.exports = {
+  initializeImportCron,
+  processStalledImports
+};
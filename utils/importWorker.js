@@ -0,0 +1,189 @@
+const Job = require('../models/Job');
+const JobImport = require('../models/JobImport');
+const ImportRow = require('../models/ImportRow');
+const { createJobs } = require('./bulkJobCreator');
+
+// Rows saved per batch, progress is persisted after every batch
+const BATCH_SIZE = parseInt(process.env.IMPORT_BATCH_SIZE) || 25;
+// Time one call spends on an import before handing it back, kept under serverless request limits (Vercel: 10s)
+const TIME_BUDGET_MS = parseInt(process.env.IMPORT_TIME_BUDGET_MS) || 8000;
+// A worker that has not reported progress for this long is considered dead
+const LEASE_MS = 2 * 60 * 1000;
+
+// Helper function to mark rows whose job was already created as created, returns the rows still to process
+// A call killed after saving jobs but before updating their rows leaves them pending, each job records its row
+const settleCreatedRows = async (rows) => {
+  const created = await Job.find({ importRow: { $in: rows.map(row => row._id) } })
+    .setOptions({ withDeleted: true })
+    .select('_id importRow')
+    .lean();
+
+  if (created.length === 0) {
+    return rows;
+  }
+
+  await ImportRow.bulkWrite(created.map(job => ({
+    updateOne: {
+      filter: { _id: job.importRow },
+      update: { $set: { status: 'created', job: job._id, jobData: null } }
+    }
+  })));
+
+  const createdRowIds = new Set(created.map(job => String(job.importRow)));
+  return rows.filter(row => !createdRowIds.has(String(row._id)));
+};
+
+// Helper function to recount an import's progress from its rows, so counts stay right after an interrupted call
+const countRows = async (importId) => {
+  const counts = await ImportRow.aggregate([
+    { $match: { import: importId } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  const countOf = (status) => (counts.find(item => item._id === status) || { count: 0 }).count;
+
+  return {
+    processed: counts.reduce((sum, item) => sum + item.count, 0) - countOf('pending'),
+    createdCount: countOf('created'),
+    duplicateCount: countOf('duplicate'),
+    failureCount: countOf('failed')
+  };
+};
+
+// Helper function to check whether an import still has rows to process and nobody is working on it
+const isPending = (jobImport) => ['queued', 'processing'].includes(jobImport.status) &&
+  (!jobImport.lockedUntil || jobImport.lockedUntil < new Date());
+
+// Process an import batch by batch for up to timeBudgetMs, then release it for the next call
+// Imports move on from inside requests (queueing and polling GET /api/imports/:id) and from the import cron,
+// nothing runs after a response is sent, which serverless platforms do not allow
+// Safe to call more than once, only the worker holding the lease does any work
+// Returns the import as left by this call, or null if someone else holds the lease
+const processImport = async (importId, { timeBudgetMs = TIME_BUDGET_MS } = {}) => {
+  const jobImport = await JobImport.acquire(importId, LEASE_MS);
+
+  if (!jobImport) {
+    return null;
+  }
+
+  const deadline = Date.now() + timeBudgetMs;
+
+  try {
+    if (!jobImport.startedAt) {
+      await JobImport.updateOne({ _id: jobImport._id }, { $set: { startedAt: new Date() } });
+    }
+
+    let batch = await ImportRow.nextPending(jobImport._id, BATCH_SIZE);
+
+    while (batch.length > 0) {
+      const rows = await settleCreatedRows(batch);
+      const result = await createJobs(
+        rows.map(row => row.jobData),
+        jobImport.createdBy,
+        {
+          allowDuplicates: jobImport.options.allowDuplicates,
+          extractSkills: jobImport.options.extractSkills === true,
+          indexes: rows.map(row => row.index),
+          importRows: rows.map(row => row._id)
+        }
+      );
+
+      // Each created job names its row, duplicates and errors carry the row index
+      const rowByIndex = new Map(rows.map(row => [row.index, row]));
+      const rowUpdates = [
+        ...result.createdJobs.map(job => ({
+          updateOne: {
+            filter: { _id: job.importRow },
+            update: { $set: { status: 'created', job: job._id, jobData: null } }
+          }
+        })),
+        ...result.duplicates.map(item => ({
+          updateOne: {
+            filter: { _id: rowByIndex.get(item.index)._id },
+            update: { $set: { status: 'duplicate', existingJob: item.existingJob } }
+          }
+        })),
+        ...result.errors.map(item => ({
+          updateOne: {
+            filter: { _id: rowByIndex.get(item.index)._id },
+            update: { $set: { status: 'failed', error: item.error } }
+          }
+        }))
+      ];
+
+      if (rowUpdates.length > 0) {
+        await ImportRow.bulkWrite(rowUpdates);
+      }
+
+      await JobImport.updateOne(
+        { _id: jobImport._id },
+        { $set: { ...(await countRows(jobImport._id)), lockedUntil: new Date(Date.now() + LEASE_MS) } }
+      );
+
+      if (Date.now() >= deadline) {
+        break;
+      }
+      batch = await ImportRow.nextPending(jobImport._id, BATCH_SIZE);
+    }
+
+    const remaining = await ImportRow.countDocuments({ import: jobImport._id, status: 'pending' });
+
+    return await JobImport.findByIdAndUpdate(
+      jobImport._id,
+      {
+        $set: remaining > 0
+          ? { lockedUntil: null }
+          : { status: 'completed', finishedAt: new Date(), lockedUntil: null }
+      },
+      { new: true }
+    );
+  } catch (error) {
+    console.error(`❌ Import ${importId} failed:`, error);
+
+    // Unprocessed rows stay pending so they can be retried
+    await JobImport.updateOne(
+      { _id: importId },
+      {
+        $set: {
+          status: 'failed',
+          failureReason: error.message,
+          finishedAt: new Date(),
+          lockedUntil: null
+        }
+      }
+    );
+    return null;
+  }
+};
+
+// Run the first slice of a newly queued import inside the request that queued it
+// Resolves with the import's progress, the rest is processed when its status is polled
+const startImport = async (jobImport) => (await processImport(jobImport._id)) || jobImport;
+
+// Move on imports nobody is working on, called by the import cron on long-running servers
+const resumeStalledImports = async () => {
+  const stalled = await JobImport.findStalled();
+
+  for (const item of stalled) {
+    await processImport(item._id);
+  }
+
+  return stalled.length;
+};
+
+// Rows that can be re-run from an import: failed rows, unprocessed rows and optionally duplicates
+const getRetryRows = (jobImport, { includeDuplicates = false } = {}) => {
+  const statuses = ['failed', 'pending', ...(includeDuplicates ? ['duplicate'] : [])];
+
+  return ImportRow.find({ import: jobImport._id, status: { $in: statuses }, jobData: { $ne: null } })
+    .select('index jobData')
+    .sort({ index: 1 })
+    .lean();
+};
+
+module.exports = {
+  isPending,
+  processImport,
+  startImport,
+  resumeStalledImports,
+  getRetryRows
+};
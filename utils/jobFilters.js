@@ -0,0 +1,205 @@
+const Job = require('../models/Job');
+const { normalizeTags } = require('./skillExtractor');
+const { SALARY_CURRENCIES } = require('./salaryParser');
+const { WORK_MODES, findKnownCity } = require('./locationParser');
+const { normalizeDegrees, normalizeBranches, isValidGraduationYear } = require('./eligibility');
+
+const DEFAULT_RADIUS_KM = 50;
+const MAX_RADIUS_KM = 1000;
+
+const JOB_STATUSES = ['active', 'dump', 'inactive'];
+
+// Helper function to read a multi-value param (?location=a,b or ?location=a&location=b)
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+
+  const values = Array.isArray(value) ? value : [value];
+
+  return values
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+// Helper function to parse a date param, returns null when missing
+const toDate = (value, field, errors) => {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    errors.push(`${field} must be a valid date`);
+    return null;
+  }
+  return date;
+};
+
+// Parse listing query params into the filters object understood by Job.buildFilterQuery
+const parseJobFilters = (params = {}, { allowStatus = false } = {}) => {
+  const errors = [];
+  const filters = {};
+
+  if (typeof params.q === 'string' && params.q.trim()) {
+    filters.q = params.q.trim();
+  }
+
+  ['role', 'location', 'companyName', 'experience', 'requiredDegree', 'keywords', 'skills'].forEach(field => {
+    const values = toList(params[field]);
+    if (values.length > 0) filters[field] = values;
+  });
+
+  // Stored tags use canonical names ("reactjs" is saved as "React")
+  if (filters.skills) {
+    filters.skills = normalizeTags(filters.skills);
+  }
+
+  // Keywords also match role/description text, so the spelling that was asked for is kept too
+  if (filters.keywords) {
+    filters.keywords = [...new Set([...filters.keywords, ...normalizeTags(filters.keywords)])];
+  }
+
+  const enumFields = {
+    employmentType: Job.schema.path('employmentType').enumValues,
+    workMode: WORK_MODES
+  };
+
+  if (allowStatus) {
+    enumFields.status = JOB_STATUSES;
+  }
+
+  Object.entries(enumFields).forEach(([field, allowed]) => {
+    // 'all' keeps the old admin behaviour of not filtering by status
+    const values = toList(params[field]).filter(value => !(field === 'status' && value === 'all'));
+    const invalid = values.filter(value => !allowed.includes(value));
+
+    if (invalid.length > 0) {
+      errors.push(`Invalid ${field}: ${invalid.join(', ')}. Allowed values: ${allowed.join(', ')}`);
+    } else if (values.length > 0) {
+      filters[field] = values;
+    }
+  });
+
+  // remote=true is short for workMode=remote
+  if (params.remote === 'true') {
+    filters.workMode = ['remote'];
+  }
+
+  // near is "lat,lng" or a city name we have coordinates for
+  if (typeof params.near === 'string' && params.near.trim()) {
+    const radiusKm = params.radiusKm === undefined || params.radiusKm === '' ? DEFAULT_RADIUS_KM : Number(params.radiusKm);
+    const coordinates = params.near.match(/^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/);
+    const place = coordinates ? null : findKnownCity(params.near.trim());
+
+    if (isNaN(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+      errors.push(`radiusKm must be a number between 0 and ${MAX_RADIUS_KM}`);
+    } else if (coordinates && (Math.abs(Number(coordinates[1])) > 90 || Math.abs(Number(coordinates[2])) > 180)) {
+      errors.push('near must be a valid latitude,longitude');
+    } else if (!coordinates && !(place && typeof place.lat === 'number' && typeof place.lng === 'number')) {
+      errors.push(`Unknown place for near: ${params.near}. Use latitude,longitude or a known city`);
+    } else {
+      filters.near = {
+        lat: coordinates ? Number(coordinates[1]) : place.lat,
+        lng: coordinates ? Number(coordinates[2]) : place.lng,
+        radiusKm,
+        includeRemote: params.includeRemote === 'true'
+      };
+    }
+  }
+
+  // Years of experience the candidate has, matched against each job's range
+  if (params.experienceYears !== undefined && params.experienceYears !== '') {
+    const years = Number(params.experienceYears);
+    if (isNaN(years) || years < 0) {
+      errors.push('experienceYears must be a non-negative number');
+    } else {
+      filters.experienceYears = years;
+    }
+  }
+
+  const graduationYears = toList(params.graduationYear);
+  const invalidYears = graduationYears.filter(year => !isValidGraduationYear(Number(year)));
+  if (invalidYears.length > 0) {
+    errors.push(`Invalid graduationYear: ${invalidYears.join(', ')}`);
+  } else if (graduationYears.length > 0) {
+    filters.graduationYear = [...new Set(graduationYears.map(Number))];
+  }
+
+  // Degrees and branches are stored by canonical name ("btech" is saved as "B.Tech")
+  const degrees = normalizeDegrees(toList(params.degree));
+  if (degrees.length > 0) filters.degree = degrees;
+
+  const branches = normalizeBranches(toList(params.branch));
+  if (branches.length > 0) filters.branch = branches;
+
+  if (params.skillsMatch) {
+    if (!['any', 'all'].includes(params.skillsMatch)) {
+      errors.push('skillsMatch must be any or all');
+    } else {
+      filters.skillsMatch = params.skillsMatch;
+    }
+  }
+
+  if (params.closingSoon === 'true') {
+    filters.closingSoon = true;
+  }
+
+  if (params.closingWithinDays !== undefined && params.closingWithinDays !== '') {
+    const days = parseInt(params.closingWithinDays);
+    if (isNaN(days) || days < 1) {
+      errors.push('closingWithinDays must be a positive number');
+    } else {
+      filters.closingWithinDays = days;
+    }
+  }
+
+  // Salary bounds are annual amounts (salaryMin=800000 is 8 LPA)
+  ['salaryMin', 'salaryMax'].forEach(field => {
+    if (params[field] === undefined || params[field] === '') return;
+
+    const amount = Number(params[field]);
+    if (isNaN(amount) || amount < 0) {
+      errors.push(`${field} must be a non-negative number`);
+    } else {
+      filters[field] = amount;
+    }
+  });
+
+  if (filters.salaryMin !== undefined && filters.salaryMax !== undefined && filters.salaryMin > filters.salaryMax) {
+    errors.push('salaryMin must not be above salaryMax');
+  }
+
+  if (params.salaryCurrency) {
+    const currency = String(params.salaryCurrency).toUpperCase();
+    if (!SALARY_CURRENCIES.includes(currency)) {
+      errors.push(`Invalid salaryCurrency: ${params.salaryCurrency}. Allowed values: ${SALARY_CURRENCIES.join(', ')}`);
+    } else {
+      filters.salaryCurrency = currency;
+    }
+  }
+
+  if (params.salaryDisclosed === 'true') {
+    filters.salaryDisclosed = true;
+  }
+
+  const datePostedFrom = toDate(params.datePostedFrom, 'datePostedFrom', errors);
+  const datePostedTo = toDate(params.datePostedTo, 'datePostedTo', errors);
+
+  // A bare date (YYYY-MM-DD) as upper bound should include that whole day
+  if (datePostedTo && /^\d{4}-\d{2}-\d{2}$/.test(params.datePostedTo)) {
+    datePostedTo.setUTCHours(23, 59, 59, 999);
+  }
+
+  if (datePostedFrom) filters.datePostedFrom = datePostedFrom;
+  if (datePostedTo) filters.datePostedTo = datePostedTo;
+
+  if (datePostedFrom && datePostedTo && datePostedFrom > datePostedTo) {
+    errors.push('datePostedFrom must be before datePostedTo');
+  }
+
+  return { filters, errors };
+};
+
+module.exports = {
+  parseJobFilters,
+  toList,
+  JOB_STATUSES
+};
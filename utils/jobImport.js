@@ -0,0 +1,291 @@
+const ExcelJS = require('exceljs');
+const { parse: parseCsv } = require('csv-parse/sync');
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const { normalizeHiringLink } = require('./hiringLink');
+const { checkForDuplicates } = require('./duplicateDetector');
+const { EXPERIENCE_LEVELS } = require('./eligibility');
+
+const MAX_IMPORT_ROWS = 2000;
+
+// Spreadsheet column names (lowercase, no spaces/underscores) mapped onto Job fields
+const COLUMN_ALIASES = {
+  companyName: ['company', 'companyname', 'employer', 'organisation', 'organization'],
+  companyLogo: ['logo', 'companylogo', 'logourl'],
+  role: ['role', 'title', 'jobtitle', 'position', 'designation'],
+  location: ['location', 'city', 'joblocation'],
+  experience: ['experience', 'exp', 'experiencelevel', 'batch'],
+  description: ['description', 'jobdescription', 'jd', 'details'],
+  requiredDegree: ['degree', 'requireddegree', 'qualification', 'education'],
+  employmentType: ['employmenttype', 'type', 'jobtype'],
+  hiringLink: ['hiringlink', 'link', 'applylink', 'url', 'applyurl', 'joblink'],
+  estPackage: ['package', 'estpackage', 'ctc', 'salary', 'compensation'],
+  applyBy: ['applyby', 'deadline', 'lastdate', 'lastdatetoapply'],
+  publishAt: ['publishat', 'publishdate', 'golive'],
+  keywords: ['keywords', 'tags'],
+  'skills.languages': ['languages', 'programminglanguages'],
+  'skills.technologies': ['technologies', 'tech', 'techstack'],
+  'skills.frameworks': ['frameworks', 'libraries'],
+  'skills.databases': ['databases', 'db'],
+  'skills.tools': ['tools'],
+  'skills.others': ['others', 'otherskills', 'skills']
+};
+
+const LIST_FIELDS = ['keywords', 'skills.languages', 'skills.technologies', 'skills.frameworks', 'skills.databases', 'skills.tools', 'skills.others'];
+const DATE_FIELDS = ['applyBy', 'publishAt'];
+const REQUIRED_FIELDS = ['companyName', 'role', 'location', 'experience', 'description', 'requiredDegree', 'hiringLink'];
+
+// Helper function to compare column names loosely
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[\s_\-.]/g, '');
+
+// Helper function to split "React, Node.js; MongoDB" style cells into a list
+const splitList = (value) => String(value)
+  .split(/[,;|\n]/)
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// Helper function to match an enum value case-insensitively ("full time" -> "Full-Time")
+const matchEnumValue = (value, allowed) => {
+  const wanted = String(value).toLowerCase().replace(/[\s_-]/g, '');
+  return allowed.find(option => option.toLowerCase().replace(/[\s_-]/g, '') === wanted) || String(value).trim();
+};
+
+// Helper function to read an XLSX cell as a plain value, links, rich text and formulas keep their displayed value
+const readCellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date || typeof value !== 'object') return value;
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if (value.text !== undefined) return readCellValue(value.text);
+  if (value.result !== undefined) return readCellValue(value.result);
+  return '';
+};
+
+// Helper function to read a date cell, calendar days are kept as "YYYY-MM-DD" so applyBy becomes the end of that day
+// XLSX date cells without a time are read as midnight UTC
+const readDateCell = (value) => {
+  if (value instanceof Date) {
+    return value.getTime() % 86400000 === 0 ? value.toISOString().slice(0, 10) : value;
+  }
+
+  const text = String(value).trim();
+  return /^\d{4}-\d{2}-\d{2}$/.test(text) ? text : new Date(text);
+};
+
+// Helper function to build the error reported when a file has more rows than an import takes
+const tooManyRowsError = (maxRows) => {
+  const error = new Error(`Imports are limited to ${maxRows} rows`);
+  error.name = 'ImportError';
+  return error;
+};
+
+// Read the first sheet of a CSV/XLSX buffer into an array of row objects keyed by header
+// Reading stops with an ImportError as soon as the file has more than maxRows data rows
+const parseSpreadsheet = async (buffer, filename = '', { maxRows = MAX_IMPORT_ROWS } = {}) => {
+  // CSV cells stay plain text, otherwise values like "1-2" are read as dates
+  if (/\.csv$/i.test(filename)) {
+    const records = parseCsv(buffer, {
+      columns: headers => headers.map(header => String(header).trim()),
+      bom: true,
+      skip_empty_lines: true,
+      relax_column_count: true,
+      to: maxRows + 1
+    });
+    if (records.length > maxRows) {
+      throw tooManyRowsError(maxRows);
+    }
+    return records;
+  }
+
+  // The workbook is streamed row by row, so a large sheet is never held in memory at once
+  const workbook = new ExcelJS.stream.xlsx.WorkbookReader(Readable.from(buffer), {
+    sharedStrings: 'cache',
+    hyperlinks: 'cache',
+    styles: 'cache',
+    worksheets: 'emit',
+    entries: 'ignore'
+  });
+
+  const rows = [];
+  for await (const sheet of workbook) {
+    let headers = null;
+
+    for await (const row of sheet) {
+      const values = row.values || [];
+
+      if (!headers) {
+        headers = values.map(value => String(readCellValue(value)).trim());
+        continue;
+      }
+
+      if (rows.length === maxRows) {
+        throw tooManyRowsError(maxRows);
+      }
+
+      const record = {};
+      headers.forEach((header, column) => {
+        if (header) {
+          record[header] = readCellValue(values[column]);
+        }
+      });
+      rows.push(record);
+    }
+
+    // Only the first sheet is read
+    break;
+  }
+
+  return rows;
+};
+
+// Map one spreadsheet row onto Job fields, returns { jobData, unknownColumns }
+// unknownColumns lists headers that do not map to any Job field
+const mapRowToJob = (row) => {
+  const jobData = {};
+  const unknownColumns = [];
+
+  Object.entries(row).forEach(([header, rawValue]) => {
+    const normalizedHeader = normalizeHeader(header);
+    const field = Object.keys(COLUMN_ALIASES).find(key =>
+      normalizeHeader(key) === normalizedHeader || COLUMN_ALIASES[key].includes(normalizedHeader)
+    );
+
+    if (!field) {
+      if (normalizedHeader) {
+        unknownColumns.push(header);
+      }
+      return;
+    }
+
+    if (rawValue === '' || rawValue === null || rawValue === undefined) {
+      return;
+    }
+
+    let value = rawValue;
+    if (LIST_FIELDS.includes(field)) {
+      value = splitList(rawValue);
+    } else if (DATE_FIELDS.includes(field)) {
+      value = readDateCell(rawValue);
+    } else if (field === 'experience') {
+      // Known labels are matched case-insensitively, anything else is parsed into eligibility on save
+      value = matchEnumValue(rawValue, EXPERIENCE_LEVELS);
+    } else if (field === 'employmentType') {
+      value = matchEnumValue(rawValue, Job.schema.path('employmentType').enumValues);
+    } else {
+      value = String(rawValue).trim();
+    }
+
+    if (field.startsWith('skills.')) {
+      jobData.skills = jobData.skills || {};
+      jobData.skills[field.split('.')[1]] = value;
+    } else {
+      jobData[field] = value;
+    }
+  });
+
+  return { jobData, unknownColumns };
+};
+
+// Validate mapped job data against the Job schema without saving it
+const validateJobData = (jobData) => {
+  const errors = [];
+
+  REQUIRED_FIELDS.forEach(field => {
+    if (!jobData[field]) {
+      errors.push(`${field} is required`);
+    }
+  });
+
+  DATE_FIELDS.forEach(field => {
+    if (jobData[field] && isNaN(new Date(jobData[field]).getTime())) {
+      errors.push(`${field} must be a valid date`);
+    }
+  });
+
+  const job = new Job({
+    ...jobData,
+    jobId: 'import-preview',
+    createdBy: new mongoose.Types.ObjectId()
+  });
+  const validationError = job.validateSync();
+
+  if (validationError) {
+    Object.entries(validationError.errors).forEach(([path, err]) => {
+      // Missing required fields are already reported above
+      if (err.kind === 'required' && REQUIRED_FIELDS.includes(path)) return;
+      errors.push(err.message);
+    });
+  }
+
+  return errors;
+};
+
+// Parse, map and validate every row, checking duplicates in the database and within the file
+// Row numbers are spreadsheet rows (header is row 1)
+const previewImport = async (buffer, filename) => {
+  let rows;
+  try {
+    rows = await parseSpreadsheet(buffer, filename);
+  } catch (parseError) {
+    if (parseError.name === 'ImportError') {
+      throw parseError;
+    }
+    const error = new Error('Could not read the spreadsheet, check that the file is a valid CSV or XLSX');
+    error.name = 'ImportError';
+    throw error;
+  }
+
+  const seenLinks = new Map();
+  const preview = [];
+  const unknownColumns = new Set();
+
+  for (let i = 0; i < rows.length; i++) {
+    const rowNumber = i + 2;
+    const mapped = mapRowToJob(rows[i]);
+    const { jobData } = mapped;
+    mapped.unknownColumns.forEach(column => unknownColumns.add(column));
+    const errors = validateJobData(jobData);
+    let duplicate = null;
+
+    if (jobData.hiringLink) {
+      const normalizedLink = normalizeHiringLink(jobData.hiringLink);
+
+      if (seenLinks.has(normalizedLink)) {
+        duplicate = { inFile: true, row: seenLinks.get(normalizedLink), candidates: [] };
+      } else {
+        seenLinks.set(normalizedLink, rowNumber);
+        const duplicateCheck = await checkForDuplicates(jobData);
+        if (duplicateCheck.isDuplicate) {
+          duplicate = { inFile: false, existingJob: duplicateCheck.existingJob, candidates: duplicateCheck.candidates };
+        }
+      }
+    }
+
+    preview.push({
+      row: rowNumber,
+      jobData,
+      valid: errors.length === 0,
+      errors,
+      duplicate
+    });
+  }
+
+  return {
+    rows: preview,
+    unknownColumns: [...unknownColumns],
+    summary: {
+      total: preview.length,
+      valid: preview.filter(item => item.valid).length,
+      invalid: preview.filter(item => !item.valid).length,
+      duplicates: preview.filter(item => item.duplicate).length
+    }
+  };
+};
+
+module.exports = {
+  parseSpreadsheet,
+  mapRowToJob,
+  validateJobData,
+  previewImport,
+  MAX_IMPORT_ROWS
+};
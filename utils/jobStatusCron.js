@@ -1,5 +1,6 @@
 const cron = require('node-cron');
 const Job = require('../models/Job');
+const { clearSimilarJobsCache } = require('./similarJobsCache');
 
 // Function to process job status changes
 const processJobStatusChanges = async () => {
@@ -9,11 +10,25 @@ const processJobStatusChanges = async () => {
     const result = await Job.processStatusChanges();
     
     console.log(`✅ Status changes completed:
-      - Moved to dump: ${result.movedToDump} jobs
+      - Moved to dump: ${result.movedToDump} jobs (${result.closedByDeadline} past their apply-by date)
       - Moved to inactive: ${result.movedToInactive} jobs`);
+    
+    Object.entries(result.byPolicy).forEach(([policyName, counts]) => {
+      console.log(`   • Policy "${policyName}": ${counts.movedToDump} to dump, ${counts.movedToInactive} to inactive`);
+    });
   } catch (error) {
     console.error('❌ Error processing job status changes:', error);
   }
+  
+  try {
+    const purgeResult = await Job.purgeDeletedJobs();
+    console.log(`🗑️  Trash purge completed: ${purgeResult.purged} jobs permanently deleted`);
+  } catch (error) {
+    console.error('❌ Error purging trashed jobs:', error);
+  }
+  
+  // Scheduled jobs that went live since the last run can now be suggested as similar jobs
+  clearSimilarJobsCache();
 };
 
 // Initialize cron job to run every day at midnight
@@ -0,0 +1,39 @@
+const cron = require('node-cron');
+const { createLinkChecker } = require('./linkChecker');
+
+const linkChecker = createLinkChecker();
+
+// Function to check hiring links of active jobs
+const processLinkChecks = async () => {
+  try {
+    console.log('🔗 Checking hiring links of active jobs...');
+    
+    const summary = await linkChecker.runLinkChecks();
+    
+    console.log(`✅ Link check completed:
+      - Checked: ${summary.checked} jobs
+      - Healthy: ${summary.ok + summary.redirected} (${summary.redirected} redirected)
+      - Closed: ${summary.closed}, dead: ${summary.dead}, blocked: ${summary.blocked}, errors: ${summary.error}
+      - Moved to dump: ${summary.movedToDump} jobs`);
+    
+    return summary;
+  } catch (error) {
+    console.error('❌ Error checking hiring links:', error);
+  }
+};
+
+// Initialize cron job to check hiring links every 6 hours
+const initializeLinkCheckCron = () => {
+  // Run at minute 30 so it never overlaps the midnight status job
+  cron.schedule('30 */6 * * *', processLinkChecks, {
+    scheduled: true,
+    timezone: "UTC" // Change to your preferred timezone
+  });
+  
+  console.log('⏰ Link check cron job initialized - will run every 6 hours');
+};
+
+module.exports = {
+  initializeLinkCheckCron,
+  processLinkChecks
+};
@@ -0,0 +1,236 @@
+const http = require('http');
+const https = require('https');
+const Job = require('../models/Job');
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; ArticademyLinkChecker/1.0)';
+const MAX_REDIRECTS = 5;
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Text that ATS pages show once a posting is closed
+const CLOSED_PAGE_PATTERNS = [
+  /no longer accepting applications/i,
+  /(position|job|role|opening|requisition) (has been|is) (filled|closed)/i,
+  /(this|the) (job|position|posting) (is )?no longer (available|open|active)/i,
+  /(job|position|posting) (has )?expired/i,
+  /the page you are looking for (doesn't|does not) exist/i
+];
+
+// Statuses that mean the posting is gone
+const DEAD_STATUSES = [404, 410];
+// Statuses bot protection and rate limits answer with, they say nothing about the posting
+const BLOCKED_STATUSES = [401, 403, 405, 429];
+
+// Helper function to classify a final (non-redirect) response
+// 'blocked' and 'error' are inconclusive: blocked results never move a job to dump, errors only when they persist
+const classifyResponse = (status, body) => {
+  if (DEAD_STATUSES.includes(status)) return 'dead';
+  if (BLOCKED_STATUSES.includes(status)) return 'blocked';
+  if (status >= 400) return 'error';
+  if (CLOSED_PAGE_PATTERNS.some(pattern => pattern.test(body || ''))) return 'closed';
+  return 'ok';
+};
+
+// Default HTTP client, makes a single request and does not follow redirects.
+// Any object with the same request(url, options) signature can be injected instead.
+const defaultHttpClient = {
+  request(url, { method = 'GET', timeout = 10000 } = {}) {
+    return new Promise((resolve, reject) => {
+      const target = new URL(url);
+      const transport = target.protocol === 'https:' ? https : http;
+      let settled = false;
+
+      const req = transport.request(target, {
+        method,
+        timeout,
+        headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,*/*' }
+      }, (res) => {
+        const chunks = [];
+        let size = 0;
+
+        const finish = () => {
+          if (settled) return;
+          settled = true;
+          resolve({
+            status: res.statusCode,
+            headers: res.headers,
+            body: Buffer.concat(chunks).toString('utf8')
+          });
+        };
+
+        res.on('data', (chunk) => {
+          chunks.push(chunk);
+          size += chunk.length;
+          // Enough of the page to spot a "position closed" message
+          if (size >= MAX_BODY_BYTES) {
+            finish();
+            res.destroy();
+          }
+        });
+        res.on('end', finish);
+        res.on('close', finish);
+        res.on('error', (error) => {
+          if (!settled) {
+            settled = true;
+            reject(error);
+          }
+        });
+      });
+
+      req.on('timeout', () => req.destroy(new Error('Request timed out')));
+      req.on('error', (error) => {
+        if (!settled) {
+          settled = true;
+          reject(error);
+        }
+      });
+      req.end();
+    });
+  }
+};
+
+// Helper function to run async work over a list with a concurrency limit
+const runWithConcurrency = async (items, concurrency, worker) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+};
+
+// Create a link checker bound to an HTTP client
+const createLinkChecker = ({
+  httpClient = defaultHttpClient,
+  timeout = parseInt(process.env.LINK_CHECK_TIMEOUT_MS) || 10000,
+  concurrency = parseInt(process.env.LINK_CHECK_CONCURRENCY) || 5,
+  dumpAfterFailures = parseInt(process.env.LINK_CHECK_DUMP_AFTER_FAILURES) || 2,
+  // Server and network errors move a job to dump only after this many checks in a row
+  dumpAfterErrors = parseInt(process.env.LINK_CHECK_DUMP_AFTER_ERRORS) || 5,
+  staleAfterHours = parseInt(process.env.LINK_CHECK_INTERVAL_HOURS) || 24
+} = {}) => {
+  // Request a URL, following redirects, and classify the result
+  const checkLink = async (url) => {
+    let currentUrl = url;
+    let redirected = false;
+
+    try {
+      for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        const response = await httpClient.request(currentUrl, { method: 'GET', timeout });
+        const location = response.headers && response.headers.location;
+
+        if (response.status >= 300 && response.status < 400 && location) {
+          currentUrl = new URL(location, currentUrl).toString();
+          redirected = true;
+          continue;
+        }
+
+        let result = classifyResponse(response.status, response.body);
+        if (result === 'ok' && redirected) {
+          result = 'redirected';
+        }
+
+        return {
+          result,
+          httpStatus: response.status,
+          finalUrl: currentUrl,
+          error: ''
+        };
+      }
+
+      return { result: 'error', httpStatus: null, finalUrl: currentUrl, error: 'Too many redirects' };
+    } catch (error) {
+      return { result: 'error', httpStatus: null, finalUrl: currentUrl, error: error.message };
+    }
+  };
+
+  // Check a single job and store the outcome on it, moving it to dump after repeated failures
+  // Blocked checks (401, 403, 405, 429) flag the job for review but neither count as failures nor reset them
+  const checkJob = async (job) => {
+    const check = await checkLink(job.hiringLink);
+    const isHealthy = check.result === 'ok' || check.result === 'redirected';
+    const previousFailures = (job.linkHealth && job.linkHealth.consecutiveFailures) || 0;
+
+    let consecutiveFailures = previousFailures + 1;
+    if (isHealthy) {
+      consecutiveFailures = 0;
+    } else if (check.result === 'blocked') {
+      consecutiveFailures = previousFailures;
+    }
+
+    job.linkHealth = {
+      lastCheckedAt: new Date(),
+      httpStatus: check.httpStatus,
+      finalUrl: check.finalUrl,
+      result: check.result,
+      error: check.error,
+      consecutiveFailures,
+      flagged: !isHealthy
+    };
+
+    const failureLimit = check.result === 'error' ? dumpAfterErrors : dumpAfterFailures;
+    const shouldDump = ['dead', 'closed', 'error'].includes(check.result) &&
+      job.status === 'active' &&
+      consecutiveFailures >= failureLimit;
+
+    let movedToDump = false;
+    if (shouldDump) {
+      await job.moveToDump(null, { source: 'link-checker', reason: `Hiring link ${check.result}` });
+      movedToDump = true;
+    } else {
+      await job.save();
+    }
+
+    return { jobId: job._id, ...check, movedToDump };
+  };
+
+  // Check active jobs whose link has not been checked recently
+  const runLinkChecks = async ({ limit = 200 } = {}) => {
+    const staleBefore = new Date(Date.now() - staleAfterHours * 60 * 60 * 1000);
+
+    const jobs = await Job.find({
+      status: 'active',
+      $or: [
+        { 'linkHealth.lastCheckedAt': null },
+        { 'linkHealth.lastCheckedAt': { $lt: staleBefore } }
+      ]
+    })
+      .sort({ 'linkHealth.lastCheckedAt': 1 })
+      .limit(limit);
+
+    const results = await runWithConcurrency(jobs, concurrency, async (job) => {
+      try {
+        return await checkJob(job);
+      } catch (error) {
+        console.error(`Error checking hiring link of job ${job._id}:`, error.message);
+        return { jobId: job._id, result: 'error', error: error.message, movedToDump: false };
+      }
+    });
+
+    const summary = { checked: results.length, ok: 0, redirected: 0, closed: 0, dead: 0, blocked: 0, error: 0, movedToDump: 0 };
+    results.forEach(item => {
+      summary[item.result] = (summary[item.result] || 0) + 1;
+      if (item.movedToDump) summary.movedToDump += 1;
+    });
+
+    return summary;
+  };
+
+  return {
+    checkLink,
+    checkJob,
+    runLinkChecks
+  };
+};
+
+module.exports = {
+  createLinkChecker,
+  classifyResponse,
+  defaultHttpClient,
+  CLOSED_PAGE_PATTERNS
+};
@@ -0,0 +1,230 @@
+// Work arrangements a job location can have
+const WORK_MODES = ['onsite', 'hybrid', 'remote'];
+
+// Mean Earth radius used to turn kilometres into radians for $centerSphere
+const EARTH_RADIUS_KM = 6378.1;
+
+// Cities we can place without a geocoder, used to fill in state, country and coordinates
+// Extend by giving Location entries coordinates through /api/taxonomy/locations
+const KNOWN_CITIES = [
+  { city: 'Bengaluru', state: 'Karnataka', country: 'India', lat: 12.9716, lng: 77.5946, aliases: ['Bangalore', 'Bengaluru Urban'] },
+  { city: 'Mumbai', state: 'Maharashtra', country: 'India', lat: 19.0760, lng: 72.8777, aliases: ['Bombay', 'Navi Mumbai'] },
+  { city: 'Pune', state: 'Maharashtra', country: 'India', lat: 18.5204, lng: 73.8567, aliases: ['Poona'] },
+  { city: 'Hyderabad', state: 'Telangana', country: 'India', lat: 17.3850, lng: 78.4867, aliases: ['Secunderabad'] },
+  { city: 'Chennai', state: 'Tamil Nadu', country: 'India', lat: 13.0827, lng: 80.2707, aliases: ['Madras'] },
+  { city: 'Delhi', state: 'Delhi', country: 'India', lat: 28.6139, lng: 77.2090, aliases: ['New Delhi', 'Delhi NCR', 'NCR'] },
+  { city: 'Gurugram', state: 'Haryana', country: 'India', lat: 28.4595, lng: 77.0266, aliases: ['Gurgaon'] },
+  { city: 'Noida', state: 'Uttar Pradesh', country: 'India', lat: 28.5355, lng: 77.3910, aliases: ['Greater Noida'] },
+  { city: 'Kolkata', state: 'West Bengal', country: 'India', lat: 22.5726, lng: 88.3639, aliases: ['Calcutta'] },
+  { city: 'Ahmedabad', state: 'Gujarat', country: 'India', lat: 23.0225, lng: 72.5714, aliases: [] },
+  { city: 'Jaipur', state: 'Rajasthan', country: 'India', lat: 26.9124, lng: 75.7873, aliases: [] },
+  { city: 'Kochi', state: 'Kerala', country: 'India', lat: 9.9312, lng: 76.2673, aliases: ['Cochin'] },
+  { city: 'Thiruvananthapuram', state: 'Kerala', country: 'India', lat: 8.5241, lng: 76.9366, aliases: ['Trivandrum'] },
+  { city: 'Coimbatore', state: 'Tamil Nadu', country: 'India', lat: 11.0168, lng: 76.9558, aliases: [] },
+  { city: 'Chandigarh', state: 'Chandigarh', country: 'India', lat: 30.7333, lng: 76.7794, aliases: ['Mohali'] },
+  { city: 'Indore', state: 'Madhya Pradesh', country: 'India', lat: 22.7196, lng: 75.8577, aliases: [] },
+  { city: 'Bhubaneswar', state: 'Odisha', country: 'India', lat: 20.2961, lng: 85.8245, aliases: [] },
+  { city: 'Lucknow', state: 'Uttar Pradesh', country: 'India', lat: 26.8467, lng: 80.9462, aliases: [] },
+  { city: 'Nagpur', state: 'Maharashtra', country: 'India', lat: 21.1458, lng: 79.0882, aliases: [] },
+  { city: 'Visakhapatnam', state: 'Andhra Pradesh', country: 'India', lat: 17.6868, lng: 83.2185, aliases: ['Vizag'] },
+  { city: 'Mysuru', state: 'Karnataka', country: 'India', lat: 12.2958, lng: 76.6394, aliases: ['Mysore'] },
+  { city: 'Mangaluru', state: 'Karnataka', country: 'India', lat: 12.9141, lng: 74.8560, aliases: ['Mangalore'] },
+  { city: 'Vadodara', state: 'Gujarat', country: 'India', lat: 22.3072, lng: 73.1812, aliases: ['Baroda'] },
+  { city: 'Surat', state: 'Gujarat', country: 'India', lat: 21.1702, lng: 72.8311, aliases: [] },
+  { city: 'San Francisco', state: 'California', country: 'United States', lat: 37.7749, lng: -122.4194, aliases: ['SF', 'San Francisco Bay Area', 'Bay Area'] },
+  { city: 'New York', state: 'New York', country: 'United States', lat: 40.7128, lng: -74.0060, aliases: ['NYC', 'New York City'] },
+  { city: 'Seattle', state: 'Washington', country: 'United States', lat: 47.6062, lng: -122.3321, aliases: [] },
+  { city: 'Austin', state: 'Texas', country: 'United States', lat: 30.2672, lng: -97.7431, aliases: [] },
+  { city: 'London', state: 'England', country: 'United Kingdom', lat: 51.5074, lng: -0.1278, aliases: [] },
+  { city: 'Berlin', state: 'Berlin', country: 'Germany', lat: 52.5200, lng: 13.4050, aliases: [] },
+  { city: 'Amsterdam', state: 'North Holland', country: 'Netherlands', lat: 52.3676, lng: 4.9041, aliases: [] },
+  { city: 'Dublin', state: 'Leinster', country: 'Ireland', lat: 53.3498, lng: -6.2603, aliases: [] },
+  { city: 'Singapore', state: 'Singapore', country: 'Singapore', lat: 1.3521, lng: 103.8198, aliases: [] },
+  { city: 'Dubai', state: 'Dubai', country: 'United Arab Emirates', lat: 25.2048, lng: 55.2708, aliases: [] },
+  { city: 'Toronto', state: 'Ontario', country: 'Canada', lat: 43.6532, lng: -79.3832, aliases: [] },
+  { city: 'Sydney', state: 'New South Wales', country: 'Australia', lat: -33.8688, lng: 151.2093, aliases: [] }
+];
+
+const KNOWN_COUNTRIES = ['India', 'United States', 'USA', 'US', 'United Kingdom', 'UK', 'Germany', 'Netherlands', 'Ireland', 'Singapore', 'United Arab Emirates', 'UAE', 'Canada', 'Australia'];
+
+const COUNTRY_ALIASES = { usa: 'United States', us: 'United States', uk: 'United Kingdom', uae: 'United Arab Emirates' };
+
+const toPlaceKey = (text) => String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+let CITIES_BY_KEY = new Map();
+
+// Build the city lookup from the built-in list plus Location entries that have coordinates
+// Managed entries win, so admins can correct or add places through /api/taxonomy/locations
+const buildIndex = (managedPlaces = []) => {
+  CITIES_BY_KEY = new Map();
+  [...KNOWN_CITIES, ...managedPlaces.map(place => ({
+    city: place.name,
+    state: place.state || '',
+    country: place.country || '',
+    lat: place.latitude,
+    lng: place.longitude,
+    aliases: place.aliases || []
+  }))].forEach(place => {
+    [place.city, ...place.aliases].forEach(name => CITIES_BY_KEY.set(toPlaceKey(name), place));
+  });
+};
+
+buildIndex();
+
+// Replace the managed Location entries used next to the built-in city list
+const setManagedPlaces = (places) => buildIndex(places);
+
+const COUNTRIES_BY_KEY = new Map(KNOWN_COUNTRIES.map(country => [
+  toPlaceKey(country),
+  COUNTRY_ALIASES[toPlaceKey(country)] || country
+]));
+
+const REMOTE_PATTERN = /\b(remote|work\s*from\s*home|wfh|anywhere|distributed)\b/i;
+const HYBRID_PATTERN = /\bhybrid\b/i;
+const ONSITE_PATTERN = /\b(on[\s-]?site|in[\s-]?office)\b/i;
+const WORK_MODE_WORDS = /\b(remote|work\s*from\s*home|wfh|anywhere|distributed|hybrid|on[\s-]?site|in[\s-]?office|office)\b|[()]/gi;
+
+// Phrases that name no place ("Multiple locations", "TBD"), never stored as a city
+const NON_PLACE_PATTERN = /^(multiple|various|several|many|all|any|other)\s+(locations?|cities|offices|places|sites)$|^(tbd|tba|n\/?a|not\s+specified|flexible|location)$/i;
+
+// Words before a place that are not part of it ("in Pune", "Pan India", "across India")
+const LEADING_PLACE_WORDS = /^(based\s+in|located\s+in|in|at|pan|across|all\s+over|anywhere\s+in)\s+/i;
+
+// Helper function to read the work mode a text names, null when it names none
+const workModeOf = (text) => {
+  if (REMOTE_PATTERN.test(text)) return 'remote';
+  if (HYBRID_PATTERN.test(text)) return 'hybrid';
+  return ONSITE_PATTERN.test(text) ? 'onsite' : null;
+};
+
+// Check whether a location text names no single place ("Multiple locations", "Pan India")
+const isVagueLocation = (text) => {
+  const cleaned = String(text || '').replace(WORK_MODE_WORDS, ' ').replace(/[\s,\-–:]+/g, ' ').trim();
+  return NON_PLACE_PATTERN.test(cleaned) || /^(pan|across|all\s+over)\s/i.test(cleaned);
+};
+
+// Look up a city in the built-in list or the managed Location entries, null if unknown
+const findKnownCity = (text) => CITIES_BY_KEY.get(toPlaceKey(text)) || null;
+
+// GeoJSON point for a latitude/longitude pair, null when either is missing or out of range
+const toPoint = (lat, lng) => {
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+
+  if (lat === null || lat === undefined || lng === null || lng === undefined) return null;
+  if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+
+  return { type: 'Point', coordinates: [longitude, latitude] };
+};
+
+// Helper function to check whether a piece is only a work mode ("Remote", "(Hybrid)")
+const isBareWorkMode = (text) => !text.replace(WORK_MODE_WORDS, ' ').replace(/[\s,\-–:]+/g, '');
+
+// Helper function to build one structured entry from a place text ("Pune, Maharashtra", "Remote - India")
+const parsePlace = (text, workMode) => {
+  const cleaned = text.replace(WORK_MODE_WORDS, ' ').replace(/^[\s,\-–:]+|[\s,\-–:]+$/g, '').replace(/\s+/g, ' ');
+  const parts = cleaned.replace(LEADING_PLACE_WORDS, '').split(',').map(part => part.trim()).filter(Boolean);
+
+  const entry = { city: '', state: '', country: '', workMode };
+
+  if (parts.length === 0 || NON_PLACE_PATTERN.test(parts[0])) {
+    return entry;
+  }
+
+  const known = findKnownCity(parts[0]);
+  const lastCountry = COUNTRIES_BY_KEY.get(toPlaceKey(parts[parts.length - 1]));
+
+  if (known) {
+    entry.city = known.city;
+    entry.state = known.state;
+    entry.country = known.country;
+    const point = toPoint(known.lat, known.lng);
+    if (point) entry.point = point;
+  } else if (parts.length === 1 && lastCountry) {
+    entry.country = lastCountry;
+  } else {
+    entry.city = parts[0];
+    if (parts.length >= 3) entry.state = parts[1];
+    if (lastCountry) {
+      entry.country = lastCountry;
+    } else if (parts.length === 2) {
+      entry.state = parts[1];
+    }
+  }
+
+  return entry;
+};
+
+// Parse a free-text location ("Bengaluru / Pune", "Remote (India)", "Hybrid - Gurgaon") into structured entries
+// Returns [{ city, state, country, workMode, point? }], an empty list for blank text or text naming no place
+// Each piece keeps the work mode it names ("Bengaluru (Hybrid) / Remote"); when the places name one mode between them
+// it applies to every place ("Hybrid - Gurgaon / Pune"), a bare "Remote" piece is an option of its own
+const parseLocationText = (value) => {
+  const text = String(value === null || value === undefined ? '' : value).trim();
+  if (!text) return [];
+
+  // "Bengaluru, Pune, Hyderabad" lists cities when every part is a city we know
+  const commaParts = text.split(',').map(part => part.replace(WORK_MODE_WORDS, ' ').trim()).filter(Boolean);
+  const isCityList = commaParts.length > 1 && commaParts.every(part => findKnownCity(part));
+
+  const pieces = text
+    .split(isCityList ? /[/|;,&]|\s+or\s+|\s+and\s+/i : /[/|;&]|\s+or\s+|\s+and\s+/i)
+    .map(piece => piece.trim())
+    .filter(Boolean);
+
+  const pieceModes = pieces.map(workModeOf);
+  const placeModes = pieces
+    .map((piece, i) => (pieceModes[i] && !isBareWorkMode(piece) ? pieceModes[i] : null))
+    .filter(Boolean);
+  const sharedMode = new Set(placeModes).size === 1 ? placeModes[0] : 'onsite';
+
+  const entries = pieces.map((piece, i) => parsePlace(piece, pieceModes[i] || sharedMode));
+  const places = entries.filter(entry => entry.city || entry.country);
+
+  // "Remote" with no place is kept as one entry, next to any places ("Pune / Remote")
+  if (entries.some(entry => entry.workMode === 'remote' && !entry.city && !entry.country)
+    && !places.some(entry => entry.workMode === 'remote')) {
+    places.push({ city: '', state: '', country: '', workMode: 'remote' });
+  }
+
+  // Drop repeated cities ("Bangalore / Bengaluru")
+  const seen = new Set();
+  return places.filter(entry => {
+    const key = toPlaceKey(`${entry.city}|${entry.country}|${entry.city || entry.country ? '' : entry.workMode}`);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Format structured entries as display text ("Bengaluru, Pune (Hybrid)", "Remote (India)")
+const formatLocations = (locations) => {
+  if (!Array.isArray(locations) || locations.length === 0) return '';
+
+  const names = [...new Set(locations
+    .map(entry => entry.city || entry.state || entry.country)
+    .filter(Boolean))];
+  const modes = [...new Set(locations.map(entry => entry.workMode || 'onsite'))];
+
+  if (modes.length === 1 && modes[0] === 'remote') {
+    return names.length > 0 ? `Remote (${names.join(', ')})` : 'Remote';
+  }
+
+  const label = names.join(', ');
+  return modes.includes('hybrid') ? `${label} (Hybrid)` : label;
+};
+
+// Convert a radius in kilometres to radians for $centerSphere
+const kmToRadians = (km) => km / EARTH_RADIUS_KM;
+
+module.exports = {
+  WORK_MODES,
+  KNOWN_CITIES,
+  setManagedPlaces,
+  findKnownCity,
+  toPoint,
+  isVagueLocation,
+  parseLocationText,
+  formatLocations,
+  kmToRadians
+};
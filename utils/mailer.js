@@ -0,0 +1,105 @@
+const { postJson } = require('./webhook');
+
+// Sender used when a message does not set one
+const DEFAULT_FROM = process.env.MAIL_FROM || 'Job Portal <no-reply@localhost>';
+
+// Base URL of the site, links in emails point here ("<base>/verify-email?token=...")
+const APP_BASE_URL = (process.env.APP_BASE_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// Mailers share one interface:
+//   send({ to, subject, text, html, from }) -> Promise<{ id }>
+
+// Prints messages to the console instead of sending them, the default for local development
+// Never used in production: the messages carry sign-in tokens and logs are readable by more people than the inbox
+const createConsoleMailer = ({ log = console.log } = {}) => {
+  let counter = 0;
+
+  const send = async (message) => {
+    counter++;
+    log(`📧 [mail ${counter}] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    return { id: `console-${counter}` };
+  };
+
+  return { driver: 'console', send };
+};
+
+// Posts each message as JSON to an HTTP endpoint (an email API or relay service)
+// token is sent as a Bearer token when set
+const createWebhookMailer = ({
+  url = process.env.MAIL_WEBHOOK_URL,
+  token = process.env.MAIL_WEBHOOK_TOKEN,
+  timeoutMs = 10000
+} = {}) => {
+  if (!url) {
+    throw new Error('MAIL_WEBHOOK_URL is required for the webhook mailer');
+  }
+
+  const send = async (message) => {
+    const { body } = await postJson(url, { from: DEFAULT_FROM, ...message }, { token, timeoutMs });
+
+    let id = null;
+    try {
+      id = JSON.parse(body).id || null;
+    } catch (parseError) {
+      // Plain-text responses have no message id
+    }
+    return { id };
+  };
+
+  return { driver: 'webhook', send };
+};
+
+const MAILER_DRIVERS = {
+  console: createConsoleMailer,
+  webhook: createWebhookMailer
+};
+
+let mailer = null;
+
+// Mailer picked by MAIL_DRIVER (console or webhook), created on first use
+// Outside production it defaults to console; production must name a driver that delivers mail
+const getMailer = () => {
+  if (!mailer) {
+    const isProduction = process.env.NODE_ENV === 'production';
+    const driver = process.env.MAIL_DRIVER || (isProduction ? '' : 'console');
+    if (isProduction && (!driver || driver === 'console')) {
+      throw new Error('MAIL_DRIVER must be set to a delivering driver in production, the console mailer would log sign-in links');
+    }
+    if (!MAILER_DRIVERS[driver]) {
+      throw new Error(`Unknown MAIL_DRIVER "${driver}". Use one of: ${Object.keys(MAILER_DRIVERS).join(', ')}`);
+    }
+    mailer = MAILER_DRIVERS[driver]();
+  }
+  return mailer;
+};
+
+// Replace the mailer (e.g. a stub that records messages, or a custom driver implementing send)
+const setMailer = (customMailer) => {
+  mailer = customMailer;
+};
+
+// Send one message through the configured mailer
+const sendMail = (message) => getMailer().send({ from: DEFAULT_FROM, ...message });
+
+// Escape text put into email HTML
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Build a link into the site
+const appUrl = (path, params = {}) => {
+  const query = new URLSearchParams(params).toString();
+  return `${APP_BASE_URL}${path}${query ? `?${query}` : ''}`;
+};
+
+module.exports = {
+  createConsoleMailer,
+  createWebhookMailer,
+  getMailer,
+  setMailer,
+  sendMail,
+  escapeHtml,
+  appUrl
+};
@@ -0,0 +1,125 @@
+const { sendMail, escapeHtml, appUrl } = require('./mailer');
+const { postJson } = require('./webhook');
+
+// Transports deliver a job alert digest over one channel and share one interface:
+//   send({ user, savedSearch, digest }) -> Promise<{ id }>
+// digest is { jobs, totalMatches, windowStart, windowEnd } as built by utils/alertDigest.js
+
+// Helper function to build the links a digest carries
+const digestLinks = (savedSearch) => ({
+  search: appUrl('/jobs', savedSearch.query || {}),
+  unsubscribe: appUrl('/alerts/unsubscribe', { token: savedSearch.unsubscribeToken }),
+  manage: appUrl('/account/alerts'),
+  job: (job) => appUrl(`/jobs/${job._id}`)
+});
+
+// Sends the digest as an email through the configured mailer (MAIL_DRIVER=console prints it locally)
+const createEmailTransport = () => {
+  const send = async ({ user, savedSearch, digest }) => {
+    const links = digestLinks(savedSearch);
+    const { jobs, totalMatches } = digest;
+    const more = totalMatches - jobs.length;
+
+    const subject = `${totalMatches} new ${totalMatches === 1 ? 'job' : 'jobs'} for "${savedSearch.name}"`;
+
+    const text = [
+      `Hi ${user.name},`,
+      '',
+      `New jobs matching your saved search "${savedSearch.name}":`,
+      '',
+      ...jobs.map(job => `• ${job.role} at ${job.companyName} (${job.location})\n  ${links.job(job)}`),
+      ...(more > 0 ? ['', `…and ${more} more: ${links.search}`] : []),
+      '',
+      `Manage your alerts: ${links.manage}`,
+      `Unsubscribe from this alert: ${links.unsubscribe}`
+    ].join('\n');
+
+    const html = [
+      `<p>Hi ${escapeHtml(user.name)},</p>`,
+      `<p>New jobs matching your saved search <strong>${escapeHtml(savedSearch.name)}</strong>:</p>`,
+      '<ul>',
+      ...jobs.map(job => `<li><a href="${links.job(job)}">${escapeHtml(job.role)}</a> at ${escapeHtml(job.companyName)} (${escapeHtml(job.location)})</li>`),
+      '</ul>',
+      ...(more > 0 ? [`<p><a href="${links.search}">See ${more} more</a></p>`] : []),
+      `<p><a href="${links.manage}">Manage your alerts</a> · <a href="${links.unsubscribe}">Unsubscribe from this alert</a></p>`
+    ].join('');
+
+    return sendMail({ to: user.email, subject, text, html });
+  };
+
+  return { channel: 'email', send };
+};
+
+// Posts the digest as JSON to the webhook URL saved on the search, signed with the search's webhook secret
+// The URL came from a user, so private and loopback addresses are refused when connecting
+const createWebhookTransport = ({ timeoutMs = 10000 } = {}) => {
+  const send = async ({ savedSearch, digest }) => {
+    const links = digestLinks(savedSearch);
+
+    await postJson(savedSearch.webhookUrl, {
+      type: 'job_alert.digest',
+      alert: {
+        id: savedSearch._id,
+        name: savedSearch.name,
+        frequency: savedSearch.frequency,
+        query: savedSearch.query
+      },
+      windowStart: digest.windowStart,
+      windowEnd: digest.windowEnd,
+      totalMatches: digest.totalMatches,
+      jobs: digest.jobs.map(job => ({ ...job, url: links.job(job) })),
+      searchUrl: links.search,
+      unsubscribeUrl: links.unsubscribe
+    }, { timeoutMs, secret: savedSearch.webhookSecret || null, publicOnly: true });
+
+    return { id: null };
+  };
+
+  return { channel: 'webhook', send };
+};
+
+// Prints a one-line summary instead of delivering, for local development (ALERT_TRANSPORT=log)
+const createLogTransport = ({ log = console.log } = {}) => {
+  const send = async ({ user, savedSearch, digest }) => {
+    log(`🔔 [alert] ${savedSearch.channel} to user ${user._id} | "${savedSearch.name}" | ${digest.totalMatches} new jobs`);
+    return { id: null };
+  };
+
+  return { channel: 'log', send };
+};
+
+let transports = null;
+
+// Helper function to create the transports on first use, every channel logs when ALERT_TRANSPORT=log
+const ensureTransports = () => {
+  if (!transports) {
+    const log = process.env.ALERT_TRANSPORT === 'log' ? createLogTransport() : null;
+    transports = {
+      email: log || createEmailTransport(),
+      webhook: log || createWebhookTransport()
+    };
+  }
+  return transports;
+};
+
+// Transport for a channel
+const getTransport = (channel) => {
+  const transport = ensureTransports()[channel];
+  if (!transport) {
+    throw new Error(`No notification transport for channel "${channel}"`);
+  }
+  return transport;
+};
+
+// Replace the transport of a channel (e.g. a stub that records digests)
+const setTransport = (channel, transport) => {
+  ensureTransports()[channel] = transport;
+};
+
+module.exports = {
+  createEmailTransport,
+  createWebhookTransport,
+  createLogTransport,
+  getTransport,
+  setTransport
+};
@@ -0,0 +1,256 @@
+const Job = require('../models/Job');
+const JobInteraction = require('../models/JobInteraction');
+const { SKILL_CATEGORIES, normalizeTags, toTagKey } = require('./skillExtractor');
+
+const SKILL_FIELDS = SKILL_CATEGORIES.map(category => `skills.${category}`);
+
+// How much each signal adds to a job's score
+const RECOMMENDATION_WEIGHTS = {
+  declaredSkill: 3,
+  // Spread over the skills of viewed/clicked jobs by how often they came up
+  behaviourSkills: 4,
+  graduationYear: 4,
+  experienceFit: 1,
+  role: 2,
+  company: 1,
+  // New jobs get up to this much, fading out over FRESHNESS_DAYS
+  freshness: 1
+};
+
+const FRESHNESS_DAYS = 30;
+
+// A click says more about interest than a view
+const CLICK_WEIGHT = 3;
+
+// Active jobs scored per request, newest first
+const CANDIDATE_LIMIT = parseInt(process.env.RECOMMENDATION_CANDIDATES) || 300;
+
+// Interactions and behaviour-derived skills/roles taken into account
+const HISTORY_LIMIT = 100;
+const TOP_BEHAVIOUR_TAGS = 10;
+
+// Jobs already viewed are still shown, lower down
+const VIEWED_PENALTY = 0.5;
+
+// Skills named in a reason before "and N more"
+const MAX_REASON_SKILLS = 3;
+
+const RECOMMENDED_JOB_FIELDS = 'jobId companyName canonicalCompanyName companyLogo role location experience estPackage employmentType hiringLink datePosted applyBy skills eligibility analytics.clicks';
+
+// Helper function to get a job's skill tags keyed loosely ("ReactJS" and "React.js" share a key)
+const jobSkillMap = (job) => {
+  const skills = new Map();
+  SKILL_CATEGORIES.forEach(category => {
+    ((job.skills && job.skills[category]) || []).forEach(tag => skills.set(toTagKey(tag), tag));
+  });
+  return skills;
+};
+
+// Helper function to list names for a reason ("React, Node.js and 2 more")
+const listNames = (names) => {
+  if (names.length <= MAX_REASON_SKILLS) return names.join(', ');
+  return `${names.slice(0, MAX_REASON_SKILLS).join(', ')} and ${names.length - MAX_REASON_SKILLS} more`;
+};
+
+// Helper function to estimate years of experience from a graduation year (graduating mid-year)
+const yearsSinceGraduation = (year, now = new Date()) => {
+  const graduatedAt = Date.UTC(year, 6, 1);
+  return Math.max(0, Math.floor((now.getTime() - graduatedAt) / (365.25 * 24 * 60 * 60 * 1000)));
+};
+
+// Helper function to rank the keys of a weight map and keep the top ones with their share of the total
+const topShares = (weights, limit) => {
+  const total = [...weights.values()].reduce((sum, entry) => sum + entry.weight, 0);
+  return new Map([...weights.entries()]
+    .sort((a, b) => b[1].weight - a[1].weight)
+    .slice(0, limit)
+    .map(([key, entry]) => [key, { name: entry.name, share: total > 0 ? entry.weight / total : 0 }]));
+};
+
+// Collect what we know about a seeker or visitor
+// declared: { skills, graduationYear, experienceYears } from the profile and/or request
+// actor: { user, visitorId } whose views and clicks are used
+const buildSignals = async ({ declared = {}, actor = {} } = {}, now = new Date()) => {
+  const skills = normalizeTags(declared.skills || []);
+  const graduationYear = declared.graduationYear || null;
+  let experienceYears = declared.experienceYears;
+  if ((experienceYears === null || experienceYears === undefined) && graduationYear) {
+    experienceYears = yearsSinceGraduation(graduationYear, now);
+  }
+
+  const interactions = await JobInteraction.recentFor(actor, HISTORY_LIMIT);
+  const interactedJobs = interactions.length > 0
+    ? await Job.find({ _id: { $in: interactions.map(entry => entry.job) } })
+      .setOptions({ withDeleted: true })
+      .select('role companyName canonicalCompanyName skills')
+      .lean()
+    : [];
+  const jobsById = new Map(interactedJobs.map(job => [String(job._id), job]));
+
+  const skillWeights = new Map();
+  const roleWeights = new Map();
+  const companyWeights = new Map();
+  const addWeight = (map, name, weight) => {
+    if (!name) return;
+    const key = toTagKey(name);
+    const entry = map.get(key) || { name, weight: 0 };
+    entry.weight += weight;
+    map.set(key, entry);
+  };
+
+  interactions.forEach(entry => {
+    const job = jobsById.get(String(entry.job));
+    if (!job) return;
+
+    const weight = entry.views + entry.clicks * CLICK_WEIGHT;
+    jobSkillMap(job).forEach(name => addWeight(skillWeights, name, weight));
+    addWeight(roleWeights, job.role, weight);
+    addWeight(companyWeights, job.canonicalCompanyName || job.companyName, weight);
+  });
+
+  // Declared skills already count in full
+  skills.forEach(skill => skillWeights.delete(toTagKey(skill)));
+
+  return {
+    skills,
+    graduationYear,
+    experienceYears: experienceYears === undefined ? null : experienceYears,
+    behaviourSkills: topShares(skillWeights, TOP_BEHAVIOUR_TAGS),
+    roles: topShares(roleWeights, TOP_BEHAVIOUR_TAGS),
+    companies: topShares(companyWeights, TOP_BEHAVIOUR_TAGS),
+    viewedJobIds: new Set(interactions.map(entry => String(entry.job))),
+    clickedJobIds: new Set(interactions.filter(entry => entry.clicks > 0).map(entry => String(entry.job)))
+  };
+};
+
+// Helper function to check whether a job is open to the seeker's batch and experience
+// Batch hiring jobs are decided by graduation year when we know it
+const isEligible = (job, signals) => {
+  const eligibility = job.eligibility || {};
+  const years = eligibility.graduationYears || [];
+
+  if (signals.graduationYear && years.length > 0) {
+    return years.includes(signals.graduationYear);
+  }
+
+  const range = eligibility.experience || {};
+  if (signals.experienceYears !== null) {
+    // A range that could not be read from the label does not match a known experience
+    if (range.min === null) return false;
+    if ((range.min || 0) > signals.experienceYears) return false;
+    if (range.max !== null && range.max !== undefined && range.max < signals.experienceYears) return false;
+  }
+  return true;
+};
+
+// Score one job and explain the score, returns { score, reasons }
+const scoreJob = (job, signals, now = new Date()) => {
+  const weights = RECOMMENDATION_WEIGHTS;
+  const reasons = [];
+  let score = 0;
+
+  const skills = jobSkillMap(job);
+
+  const declaredMatches = signals.skills.filter(skill => skills.has(toTagKey(skill)));
+  if (declaredMatches.length > 0) {
+    score += declaredMatches.length * weights.declaredSkill;
+    reasons.push(`matches ${listNames(declaredMatches.map(skill => skills.get(toTagKey(skill))))}`);
+  }
+
+  const behaviourMatches = [...signals.behaviourSkills.entries()].filter(([key]) => skills.has(key));
+  if (behaviourMatches.length > 0) {
+    score += behaviourMatches.reduce((sum, [, entry]) => sum + entry.share, 0) * weights.behaviourSkills;
+    reasons.push(`uses ${listNames(behaviourMatches.map(([, entry]) => entry.name))} like jobs you viewed`);
+  }
+
+  const eligibility = job.eligibility || {};
+  if (signals.graduationYear && (eligibility.graduationYears || []).includes(signals.graduationYear)) {
+    score += weights.graduationYear;
+    reasons.push(`${signals.graduationYear} batch`);
+  } else if (signals.experienceYears !== null && job.experience) {
+    score += weights.experienceFit;
+    reasons.push(`fits your experience (${job.experience})`);
+  }
+
+  const role = signals.roles.get(toTagKey(job.role || ''));
+  if (role) {
+    score += role.share * weights.role;
+    reasons.push(`similar to ${role.name} roles you viewed`);
+  }
+
+  const company = signals.companies.get(toTagKey(job.canonicalCompanyName || job.companyName || ''));
+  if (company) {
+    score += company.share * weights.company;
+    reasons.push(`at ${company.name}, which you looked at before`);
+  }
+
+  const ageDays = (now - new Date(job.datePosted)) / (24 * 60 * 60 * 1000);
+  const freshness = Math.max(0, 1 - ageDays / FRESHNESS_DAYS);
+  score += freshness * weights.freshness;
+  if (ageDays <= 7) {
+    reasons.push('posted this week');
+  }
+
+  if (signals.viewedJobIds.has(String(job._id))) {
+    score *= VIEWED_PENALTY;
+  }
+
+  return { score, reasons };
+};
+
+// Rank active jobs for a seeker or visitor, best first, each with the reasons it was picked
+// Returns { recommendations: [{ job, score, reasons, explanation }], signals }
+const recommendJobs = async ({ declared = {}, actor = {}, limit = 10 } = {}) => {
+  const now = new Date();
+  const signals = await buildSignals({ declared, actor }, now);
+
+  // Narrow the candidates to jobs sharing a skill or role when we know something about the seeker
+  const query = Job.buildFilterQuery({}, false);
+  const skillNames = [...signals.skills, ...[...signals.behaviourSkills.values()].map(entry => entry.name)];
+  const roleNames = [...signals.roles.values()].map(entry => entry.name);
+  const matchers = [
+    ...(skillNames.length > 0 ? SKILL_FIELDS.map(field => ({ [field]: { $in: skillNames } })) : []),
+    ...(roleNames.length > 0 ? [{ role: { $in: roleNames } }] : []),
+    ...(signals.graduationYear ? [{ 'eligibility.graduationYears': signals.graduationYear }] : [])
+  ];
+  if (matchers.length > 0) {
+    query.$and = [...(query.$and || []), { $or: matchers }];
+  }
+
+  let candidates = await Job.find(query)
+    .sort({ datePosted: -1, _id: -1 })
+    .limit(CANDIDATE_LIMIT)
+    .select(RECOMMENDED_JOB_FIELDS)
+    .lean();
+
+  // Nothing matched the signals, fall back to the newest jobs
+  if (candidates.length === 0 && matchers.length > 0) {
+    candidates = await Job.find(Job.buildFilterQuery({}, false))
+      .sort({ datePosted: -1, _id: -1 })
+      .limit(CANDIDATE_LIMIT)
+      .select(RECOMMENDED_JOB_FIELDS)
+      .lean();
+  }
+
+  const recommendations = candidates
+    .filter(job => !signals.clickedJobIds.has(String(job._id)) && isEligible(job, signals))
+    .map(job => ({ job, ...scoreJob(job, signals, now) }))
+    .sort((a, b) => b.score - a.score || new Date(b.job.datePosted) - new Date(a.job.datePosted))
+    .slice(0, limit)
+    .map(({ job, score, reasons }) => ({
+      job,
+      score: Math.round(score * 100) / 100,
+      reasons,
+      explanation: reasons.join('; ')
+    }));
+
+  return { recommendations, signals };
+};
+
+module.exports = {
+  RECOMMENDATION_WEIGHTS,
+  jobSkillMap,
+  buildSignals,
+  scoreJob,
+  recommendJobs
+};
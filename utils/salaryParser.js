@@ -0,0 +1,249 @@
+// Currencies and pay periods a job's salary can be given in
+const SALARY_CURRENCIES = ['INR', 'USD', 'EUR', 'GBP', 'AED', 'SGD', 'CAD', 'AUD'];
+const SALARY_PERIODS = ['year', 'month', 'week', 'day', 'hour'];
+
+// Default currency for values without a currency sign ("8-12 LPA")
+const DEFAULT_CURRENCY = process.env.DEFAULT_SALARY_CURRENCY || 'INR';
+
+// How many of each period make a year, salaries are compared as annual amounts
+const PERIODS_PER_YEAR = {
+  year: 1,
+  month: 12,
+  week: 52,
+  day: 260,
+  hour: 2080
+};
+
+const CURRENCY_SYMBOLS = {
+  '₹': 'INR',
+  'rs': 'INR',
+  'inr': 'INR',
+  '$': 'USD',
+  'usd': 'USD',
+  '€': 'EUR',
+  'eur': 'EUR',
+  '£': 'GBP',
+  'gbp': 'GBP',
+  'aed': 'AED',
+  'sgd': 'SGD',
+  'cad': 'CAD',
+  'aud': 'AUD'
+};
+
+const DISPLAY_SYMBOLS = { INR: '₹', USD: '$', EUR: '€', GBP: '£' };
+
+// Phrases meaning the pay is not disclosed
+const UNDISCLOSED_PATTERN = /competitive|not\s*disclosed|undisclosed|negotiable|as\s*per|industry\s*standard|best\s*in|market|attractive|\bn\/?a\b|tbd|discuss/i;
+
+// Amount multipliers, checked on the word right after a number
+const UNIT_MULTIPLIERS = [
+  { pattern: /^(cr|crore|crores)\b/, multiplier: 10000000 },
+  { pattern: /^(l|lpa|lakh|lakhs|lac|lacs)\b/, multiplier: 100000 },
+  { pattern: /^(k|thousand)\b/, multiplier: 1000 },
+  { pattern: /^(m|mn|million)\b/, multiplier: 1000000 }
+];
+
+const PERIOD_PATTERNS = [
+  { pattern: /lpa|per\s*annum|p\.?\s*a\.?\b|\/\s*(yr|year|annum)|per\s*year|yearly|annual/, period: 'year' },
+  { pattern: /\/\s*(mo|month)|per\s*month|monthly|p\.?\s*m\.?\b|stipend/, period: 'month' },
+  { pattern: /\/\s*(wk|week)|per\s*week|weekly/, period: 'week' },
+  { pattern: /\/\s*day|per\s*day|daily/, period: 'day' },
+  { pattern: /\/\s*(hr|hour)|per\s*hour|hourly/, period: 'hour' }
+];
+
+// Bare numbers up to this size next to no unit are read as lakhs ("8-12" means 8-12 LPA)
+const BARE_LAKH_LIMIT = 200;
+
+// Bare rupee amounts from BARE_LAKH_LIMIT up to this size, with no unit or period, could be monthly or yearly ("20000")
+const AMBIGUOUS_INR_LIMIT = 100000;
+
+// Words after a number that make it a duration, not an amount ("6 months stipend", "2 years bond")
+const DURATION_PATTERN = /^(months?|mos?|years?|yrs?|weeks?|wks?|days?|hours?|hrs?)\b/;
+
+// Text between two numbers that joins them into a range ("8-12", "8 to 12 LPA", "₹8L - ₹12L")
+const RANGE_JOINER_PATTERN = /^\s*(-|–|to)\s*(₹|\$|€|£|rs\.?|inr|usd)?\s*$/;
+const LEADING_UNIT_PATTERN = /^\s*(cr|crores?|l|lpa|lakhs?|lacs?|k|thousand|m|mn|million)\b/;
+
+// Helper function to find the currency mentioned in the text
+const detectCurrency = (text) => {
+  const symbol = text.match(/[₹$€£]/);
+  if (symbol) return CURRENCY_SYMBOLS[symbol[0]];
+
+  const code = text.match(/\b(rs|inr|usd|eur|gbp|aed|sgd|cad|aud)\b/);
+  return code ? CURRENCY_SYMBOLS[code[1]] : null;
+};
+
+// Helper function to find the pay period mentioned in the text
+const detectPeriod = (text) => {
+  const match = PERIOD_PATTERNS.find(({ pattern }) => pattern.test(text));
+  return match ? match.period : null;
+};
+
+// Helper function to read every amount in the text with the unit written after it
+// Percentages, durations and years ("2025 batch") are not amounts and are skipped
+const readAmounts = (text) => {
+  const amounts = [];
+  const numberPattern = /(\d+(?:,\d{2,3})*(?:\.\d+)?)(%?)\s*/g;
+  let match;
+
+  while ((match = numberPattern.exec(text)) !== null) {
+    const raw = match[1];
+    const rest = text.slice(numberPattern.lastIndex);
+    const before = text.slice(0, match.index);
+    const unit = UNIT_MULTIPLIERS.find(({ pattern }) => pattern.test(rest));
+    const hasCurrency = /(₹|\$|€|£|\b(rs|inr|usd|eur|gbp|aed|sgd|cad|aud)\.?)\s*$/.test(before);
+    const hasPeriod = /^(\/|per\b|p\.?\s*[am]\.?\b|pm\b|pa\b)/.test(rest);
+    const isYear = /^(19|20)\d{2}$/.test(raw) && !unit && !hasCurrency && !hasPeriod;
+
+    if (match[2] || DURATION_PATTERN.test(rest) || isYear) {
+      continue;
+    }
+
+    amounts.push({
+      value: parseFloat(raw.replace(/,/g, '')),
+      multiplier: unit ? unit.multiplier : null,
+      start: match.index,
+      end: match.index + raw.length
+    });
+  }
+
+  return amounts;
+};
+
+// Helper function to take the first amount, and the next one when the text joins them into a range
+const firstRange = (text, amounts) => {
+  const [first, second] = amounts;
+  if (second && RANGE_JOINER_PATTERN.test(text.slice(first.end, second.start).replace(LEADING_UNIT_PATTERN, ''))) {
+    return [first, second];
+  }
+  return [first];
+};
+
+// Parse a free-text package ("8-12 LPA", "₹10L", "$120k/yr", "competitive") into structured salary fields
+// Returns { min, max, currency, period, disclosed } or null when the text cannot be read or is ambiguous
+// Only numbers joined by "-" or "to" make a range, later amounts ("6L + 2L variable") are left out
+const parseEstPackage = (value) => {
+  const text = String(value === null || value === undefined ? '' : value).trim().toLowerCase();
+
+  if (!text) {
+    return null;
+  }
+
+  const amounts = readAmounts(text);
+
+  if (amounts.length === 0) {
+    return UNDISCLOSED_PATTERN.test(text)
+      ? { min: null, max: null, currency: DEFAULT_CURRENCY, period: 'year', disclosed: false }
+      : null;
+  }
+
+  const currency = detectCurrency(text) || DEFAULT_CURRENCY;
+  let period = detectPeriod(text);
+  const range = firstRange(text, amounts);
+
+  // "8-12 LPA": a unit written once applies to the whole range, other numbers keep their own unit
+  const sharedMultiplier = [...range].reverse().find(amount => amount.multiplier);
+  let ambiguous = false;
+  const values = range.map(amount => {
+    let multiplier = amount.multiplier || (sharedMultiplier && sharedMultiplier.multiplier);
+
+    if (!multiplier && currency === 'INR' && (!period || period === 'year')) {
+      if (amount.value <= BARE_LAKH_LIMIT) {
+        multiplier = 100000;
+      } else if (!period && amount.value < AMBIGUOUS_INR_LIMIT) {
+        ambiguous = true;
+      }
+    }
+    return Math.round(amount.value * (multiplier || 1));
+  });
+
+  // Could be per month or per year, left for an admin to fill in
+  if (ambiguous) {
+    return null;
+  }
+
+  if (!period) {
+    period = 'year';
+  }
+
+  const isUpperBoundOnly = /\b(up\s*to|upto|max(imum)?|till)\b/.test(text) && values.length === 1;
+  // "10+ LPA" is open-ended, "6L + 2L variable" adds a second amount
+  const hasPlus = /^\s*(?:[a-z.]+\s*)?\+(?!\s*(₹|\$|€|£|rs\.?)?\s*\d)/.test(text.slice(range[0].end));
+  const isLowerBoundOnly = (hasPlus || /\b(min(imum)?|from|starting|atleast|at\s*least)\b/.test(text)) && values.length === 1;
+
+  let [min, max] = values.length === 2 ? values : [values[0], values[0]];
+  if (isUpperBoundOnly) min = null;
+  if (isLowerBoundOnly) max = null;
+
+  if (min !== null && max !== null && min > max) {
+    [min, max] = [max, min];
+  }
+
+  return { min, max, currency, period, disclosed: true };
+};
+
+// Annual amounts of a salary, used to filter and sort jobs paid in different periods
+const annualizeSalary = (salary) => {
+  if (!salary || !salary.disclosed) {
+    return { annualMin: null, annualMax: null };
+  }
+
+  const perYear = PERIODS_PER_YEAR[salary.period] || 1;
+  const toAnnual = (amount) => (typeof amount === 'number' ? Math.round(amount * perYear) : null);
+
+  const annualMin = toAnnual(salary.min);
+  const annualMax = toAnnual(salary.max);
+
+  // An open-ended range is compared on the bound it has
+  return {
+    annualMin: annualMin !== null ? annualMin : annualMax,
+    annualMax: annualMax !== null ? annualMax : annualMin
+  };
+};
+
+// Helper function to write an amount the way the listings show it
+const formatAmount = (amount, currency, period) => {
+  if (currency === 'INR' && period === 'year' && amount >= 100000) {
+    return `${Number((amount / 100000).toFixed(2))}`;
+  }
+  if (amount >= 1000) {
+    return `${Number((amount / 1000).toFixed(1))}k`;
+  }
+  return String(amount);
+};
+
+// Format structured salary fields as display text ("₹8-12 LPA", "$120k-150k/year")
+const formatSalary = (salary) => {
+  if (!salary || !salary.disclosed) {
+    return salary ? 'Not disclosed' : '';
+  }
+
+  const { min, max, currency, period } = salary;
+  const symbol = DISPLAY_SYMBOLS[currency] || `${currency} `;
+  const hasMin = typeof min === 'number';
+  const hasMax = typeof max === 'number';
+
+  if (!hasMin && !hasMax) {
+    return '';
+  }
+
+  const range = hasMin && hasMax && min !== max
+    ? `${formatAmount(min, currency, period)}-${formatAmount(max, currency, period)}`
+    : formatAmount(hasMin ? min : max, currency, period);
+  const prefix = hasMin ? '' : 'Up to ';
+  const suffix = hasMax ? '' : '+';
+
+  if (currency === 'INR' && period === 'year' && (hasMin ? min : max) >= 100000) {
+    return `${prefix}${symbol}${range}${suffix} LPA`;
+  }
+  return `${prefix}${symbol}${range}${suffix}/${period}`;
+};
+
+module.exports = {
+  SALARY_CURRENCIES,
+  SALARY_PERIODS,
+  DEFAULT_CURRENCY,
+  parseEstPackage,
+  annualizeSalary,
+  formatSalary
+};
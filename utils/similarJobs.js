@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const { SKILL_CATEGORIES, toTagKey } = require('./skillExtractor');
+const { similarity } = require('./duplicateDetector');
+const { jobSkillMap } = require('./recommendations');
+const { getCachedSimilarJobs, setCachedSimilarJobs } = require('./similarJobsCache');
+
+const SKILL_FIELDS = SKILL_CATEGORIES.map(category => `skills.${category}`);
+
+// How much each kind of overlap adds to the score
+const SIMILARITY_WEIGHTS = {
+  skills: 5,
+  keywords: 2,
+  role: 3,
+  location: 1.5,
+  experience: 1.5
+};
+
+// Roles this alike (0-1) count as the same kind of job
+const ROLE_SIMILARITY_THRESHOLD = 0.5;
+
+// Active jobs compared per source job, newest first
+const CANDIDATE_LIMIT = parseInt(process.env.SIMILAR_JOBS_CANDIDATES) || 300;
+
+// Lists are cached at this length and cut to the requested limit
+const MAX_SIMILAR_JOBS = 20;
+
+// Tags named in a reason
+const MAX_REASON_TAGS = 3;
+
+const SOURCE_FIELDS = 'role skills keywords locations canonicalLocation location eligibility experience';
+const SIMILAR_JOB_FIELDS = 'jobId companyName companyLogo role location experience estPackage employmentType hiringLink datePosted applyBy skills keywords locations canonicalLocation eligibility';
+
+// Helper function to key tags loosely
+const tagMap = (tags) => new Map((tags || []).map(tag => [toTagKey(tag), tag]));
+
+// Helper function to get the overlap of two tag maps as { shared names, Jaccard index }
+const overlap = (a, b) => {
+  const shared = [...a.keys()].filter(key => b.has(key)).map(key => b.get(key));
+  const union = new Set([...a.keys(), ...b.keys()]).size;
+  return { shared, index: union > 0 ? shared.length / union : 0 };
+};
+
+// Helper function to get the places of a job: structured cities, or the canonical/free-text location
+const placesOf = (job) => {
+  const cities = (job.locations || []).map(entry => entry.city).filter(Boolean);
+  return tagMap(cities.length > 0 ? cities : [job.canonicalLocation || job.location].filter(Boolean));
+};
+
+const isRemote = (job) => (job.locations || []).some(entry => entry.workMode === 'remote');
+
+// Helper function to check whether two jobs hire at the same level: shared batches, or overlapping experience ranges
+const sameExperienceBand = (a, b) => {
+  const eligibilityA = a.eligibility || {};
+  const eligibilityB = b.eligibility || {};
+  const yearsA = eligibilityA.graduationYears || [];
+  const yearsB = eligibilityB.graduationYears || [];
+
+  if (yearsA.length > 0 || yearsB.length > 0) {
+    return yearsA.some(year => yearsB.includes(year));
+  }
+
+  const rangeA = eligibilityA.experience;
+  const rangeB = eligibilityB.experience;
+  if (!rangeA || !rangeB || rangeA.min === null || rangeB.min === null) {
+    return Boolean(a.experience) && a.experience === b.experience;
+  }
+
+  const maxA = rangeA.max === null || rangeA.max === undefined ? Infinity : rangeA.max;
+  const maxB = rangeB.max === null || rangeB.max === undefined ? Infinity : rangeB.max;
+  return (rangeA.min || 0) <= maxB && (rangeB.min || 0) <= maxA;
+};
+
+// Score how alike a candidate is to the source job, returns { score, reasons }
+// Jobs only alike in place or level score 0, they need a shared skill, keyword or role
+const scoreSimilarity = (source, candidate) => {
+  const weights = SIMILARITY_WEIGHTS;
+  const reasons = [];
+  let score = 0;
+
+  const skills = overlap(jobSkillMap(source), jobSkillMap(candidate));
+  if (skills.shared.length > 0) {
+    score += skills.index * weights.skills;
+    reasons.push(`shares ${skills.shared.slice(0, MAX_REASON_TAGS).join(', ')}${skills.shared.length > MAX_REASON_TAGS ? ` and ${skills.shared.length - MAX_REASON_TAGS} more skills` : ''}`);
+  }
+
+  const keywords = overlap(tagMap(source.keywords), tagMap(candidate.keywords));
+  if (keywords.shared.length > 0) {
+    score += keywords.index * weights.keywords;
+  }
+
+  const roleSimilarity = similarity(String(source.role || '').toLowerCase(), String(candidate.role || '').toLowerCase());
+  if (roleSimilarity >= ROLE_SIMILARITY_THRESHOLD) {
+    score += roleSimilarity * weights.role;
+    reasons.push('similar role');
+  }
+
+  if (score === 0) {
+    return { score: 0, reasons: [] };
+  }
+
+  const places = overlap(placesOf(source), placesOf(candidate));
+  if (places.shared.length > 0) {
+    score += weights.location;
+    reasons.push(`also in ${places.shared.slice(0, MAX_REASON_TAGS).join(', ')}`);
+  } else if (isRemote(source) && isRemote(candidate)) {
+    score += weights.location;
+    reasons.push('also remote');
+  }
+
+  if (sameExperienceBand(source, candidate)) {
+    score += weights.experience;
+    reasons.push(`same experience level (${candidate.experience})`);
+  }
+
+  return { score, reasons };
+};
+
+// Helper function to rank active jobs against a source job
+const rankSimilarJobs = async (source) => {
+  const query = Job.buildFilterQuery({}, false);
+  query._id = { $ne: source._id };
+
+  const skillNames = [...jobSkillMap(source).values()];
+  const matchers = [
+    ...(skillNames.length > 0 ? SKILL_FIELDS.map(field => ({ [field]: { $in: skillNames } })) : []),
+    ...((source.keywords || []).length > 0 ? [{ keywords: { $in: source.keywords } }] : []),
+    { role: source.role }
+  ];
+  query.$and = [...(query.$and || []), { $or: matchers }];
+
+  const candidates = await Job.find(query)
+    .sort({ datePosted: -1, _id: -1 })
+    .limit(CANDIDATE_LIMIT)
+    .select(SIMILAR_JOB_FIELDS)
+    .lean();
+
+  return candidates
+    .map(job => ({ job, ...scoreSimilarity(source, job) }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score || new Date(b.job.datePosted) - new Date(a.job.datePosted))
+    .slice(0, MAX_SIMILAR_JOBS)
+    .map(({ job, score, reasons }) => ({
+      job,
+      score: Math.round(score * 100) / 100,
+      reasons,
+      explanation: reasons.join('; ')
+    }));
+};
+
+// Similar active jobs for a job, served from the cache when possible
+// Returns { similar, cached } or null when the source job is not listed or the id is malformed
+const findSimilarJobs = async (jobId, limit = 10) => {
+  if (!mongoose.Types.ObjectId.isValid(jobId)) {
+    return null;
+  }
+
+  const source = await Job.findById(jobId).select(`${SOURCE_FIELDS} status isActive publishAt applyBy`);
+  if (!source || !source.isPubliclyVisible()) {
+    return null;
+  }
+
+  let similar = getCachedSimilarJobs(jobId);
+  const cached = Boolean(similar);
+  if (!similar) {
+    similar = await rankSimilarJobs(source.toObject());
+    setCachedSimilarJobs(jobId, similar);
+  }
+
+  // Jobs whose apply-by date passed since the list was cached are dropped
+  const now = new Date();
+  return {
+    similar: similar.filter(entry => !entry.job.applyBy || new Date(entry.job.applyBy) >= now).slice(0, limit),
+    cached
+  };
+};
+
+module.exports = {
+  SIMILARITY_WEIGHTS,
+  scoreSimilarity,
+  findSimilarJobs
+};
@@ -0,0 +1,42 @@
+// Cached "similar jobs" lists keyed by source job id, kept apart from utils/similarJobs.js so the Job model can clear it
+// Cleared whenever a job is created or its status changes, and by the daily status cron
+// Scheduled jobs go live at publishAt without a write, so they show up once entries expire after SIMILAR_JOBS_CACHE_MS
+// The cache is per process, each server instance fills its own
+
+const CACHE_MS = parseInt(process.env.SIMILAR_JOBS_CACHE_MS) || 30 * 60 * 1000;
+const MAX_ENTRIES = parseInt(process.env.SIMILAR_JOBS_CACHE_SIZE) || 1000;
+
+let entries = new Map();
+
+// Cached list for a job, null when missing or expired
+const getCachedSimilarJobs = (jobId) => {
+  const entry = entries.get(String(jobId));
+  if (!entry) return null;
+
+  if (Date.now() - entry.cachedAt > CACHE_MS) {
+    entries.delete(String(jobId));
+    return null;
+  }
+  return entry.results;
+};
+
+// Store the list for a job, the oldest entry makes room when the cache is full
+const setCachedSimilarJobs = (jobId, results) => {
+  const key = String(jobId);
+  entries.delete(key);
+  if (entries.size >= MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+  entries.set(key, { results, cachedAt: Date.now() });
+};
+
+// Drop every cached list, any of them may now miss a new job or list one that closed
+const clearSimilarJobsCache = () => {
+  entries = new Map();
+};
+
+module.exports = {
+  getCachedSimilarJobs,
+  setCachedSimilarJobs,
+  clearSimilarJobsCache
+};
@@ -0,0 +1,150 @@
+// Canonical skill and keyword names with their common spellings
+// category is the Job field the tag belongs to: a skills.* category or 'keywords'
+// aliases are matched loosely (case, spaces, dots and dashes are ignored) when normalising tags
+// extract (optional) replaces the phrases searched for in descriptions, for names and aliases
+// that are ordinary words ("rest", "express") or too short to spot in free text safely
+// caseSensitive (optional) matches the phrases in descriptions exactly as written ("Swift" but not "swift")
+// Phrases of up to 3 characters are always matched case-sensitively (as written or upper case)
+// To add a skill, append an entry; to merge two spellings, add one as an alias of the other
+
+const SKILL_DICTIONARY = [
+  // Languages
+  { name: 'JavaScript', category: 'languages', aliases: ['js', 'ecmascript', 'es6'] },
+  { name: 'TypeScript', category: 'languages', aliases: ['ts'] },
+  { name: 'Python', category: 'languages', aliases: ['python3', 'py'] },
+  { name: 'Java', category: 'languages', aliases: ['core java', 'java8', 'java 8', 'java 11', 'java 17'] },
+  { name: 'C', category: 'languages', aliases: ['c language', 'c programming'], extract: ['C programming', 'C language'] },
+  { name: 'C++', category: 'languages', aliases: ['cpp', 'cplusplus'] },
+  { name: 'C#', category: 'languages', aliases: ['csharp', 'c sharp'] },
+  { name: 'Go', category: 'languages', aliases: ['golang', 'go lang'], extract: ['Golang', 'Go lang', 'Go language'] },
+  { name: 'Rust', category: 'languages', aliases: [], caseSensitive: true },
+  { name: 'Kotlin', category: 'languages', aliases: [] },
+  { name: 'Swift', category: 'languages', aliases: ['swiftui'], extract: ['Swift', 'SwiftUI'], caseSensitive: true },
+  { name: 'Ruby', category: 'languages', aliases: [] },
+  { name: 'PHP', category: 'languages', aliases: [] },
+  { name: 'Scala', category: 'languages', aliases: [] },
+  { name: 'Dart', category: 'languages', aliases: [] },
+  { name: 'R', category: 'languages', aliases: ['r language', 'r programming'], extract: ['R programming', 'R language'] },
+  { name: 'SQL', category: 'languages', aliases: ['structured query language'] },
+  { name: 'HTML', category: 'languages', aliases: ['html5'] },
+  { name: 'CSS', category: 'languages', aliases: ['css3'] },
+  { name: 'Bash', category: 'languages', aliases: ['shell scripting', 'shell script', 'bash scripting'] },
+
+  // Frameworks and libraries
+  { name: 'React', category: 'frameworks', aliases: ['reactjs', 'react.js'] },
+  { name: 'React Native', category: 'frameworks', aliases: ['reactnative', 'rn'] },
+  { name: 'Angular', category: 'frameworks', aliases: ['angularjs', 'angular.js', 'angular 2+'] },
+  { name: 'Vue.js', category: 'frameworks', aliases: ['vue', 'vuejs', 'vue 3'] },
+  { name: 'Next.js', category: 'frameworks', aliases: ['nextjs', 'next'], extract: ['Next.js', 'NextJS'] },
+  { name: 'Svelte', category: 'frameworks', aliases: ['sveltekit'] },
+  { name: 'Redux', category: 'frameworks', aliases: ['redux toolkit'] },
+  { name: 'Express.js', category: 'frameworks', aliases: ['express', 'expressjs'], extract: ['Express.js', 'ExpressJS', 'Express JS'] },
+  { name: 'NestJS', category: 'frameworks', aliases: ['nest.js', 'nest'], extract: ['NestJS', 'Nest.js'] },
+  { name: 'Django', category: 'frameworks', aliases: ['django rest framework', 'drf'] },
+  { name: 'Flask', category: 'frameworks', aliases: [] },
+  { name: 'FastAPI', category: 'frameworks', aliases: ['fast api'] },
+  { name: 'Spring Boot', category: 'frameworks', aliases: ['springboot', 'spring'], extract: ['Spring Boot', 'SpringBoot', 'Spring Framework', 'Spring MVC'] },
+  { name: 'Hibernate', category: 'frameworks', aliases: [] },
+  { name: '.NET', category: 'frameworks', aliases: ['dotnet', 'dot net', 'asp.net', 'asp.net core', '.net core'] },
+  { name: 'Ruby on Rails', category: 'frameworks', aliases: ['rails', 'ror'] },
+  { name: 'Laravel', category: 'frameworks', aliases: [] },
+  { name: 'Flutter', category: 'frameworks', aliases: [] },
+  { name: 'Tailwind CSS', category: 'frameworks', aliases: ['tailwind', 'tailwindcss'] },
+  { name: 'Bootstrap', category: 'frameworks', aliases: [] },
+  { name: 'jQuery', category: 'frameworks', aliases: [] },
+  { name: 'TensorFlow', category: 'frameworks', aliases: ['tensor flow', 'tf'] },
+  { name: 'PyTorch', category: 'frameworks', aliases: ['torch'], extract: ['PyTorch'] },
+  { name: 'scikit-learn', category: 'frameworks', aliases: ['sklearn', 'scikit learn'] },
+  { name: 'Pandas', category: 'frameworks', aliases: [] },
+  { name: 'NumPy', category: 'frameworks', aliases: [] },
+
+  // Technologies and platforms
+  { name: 'Node.js', category: 'technologies', aliases: ['node', 'nodejs'], extract: ['Node.js', 'NodeJS', 'Node JS'] },
+  { name: 'REST API', category: 'technologies', aliases: ['rest', 'restful', 'rest apis', 'restful api', 'restful apis'], extract: ['REST API', 'REST APIs', 'RESTful', 'RESTful APIs'] },
+  { name: 'GraphQL', category: 'technologies', aliases: [] },
+  { name: 'gRPC', category: 'technologies', aliases: [] },
+  { name: 'Microservices', category: 'technologies', aliases: ['microservice', 'micro services'] },
+  { name: 'AWS', category: 'technologies', aliases: ['amazon web services'] },
+  { name: 'Azure', category: 'technologies', aliases: ['microsoft azure'] },
+  { name: 'Google Cloud', category: 'technologies', aliases: ['gcp', 'google cloud platform'] },
+  { name: 'Kafka', category: 'technologies', aliases: ['apache kafka'] },
+  { name: 'RabbitMQ', category: 'technologies', aliases: ['rabbit mq'] },
+  { name: 'Spark', category: 'technologies', aliases: ['apache spark', 'pyspark'], extract: ['Spark', 'Apache Spark', 'PySpark'], caseSensitive: true },
+  { name: 'Hadoop', category: 'technologies', aliases: [] },
+  { name: 'Linux', category: 'technologies', aliases: ['unix'] },
+  { name: 'WebSockets', category: 'technologies', aliases: ['websocket', 'socket.io'] },
+  { name: 'OAuth', category: 'technologies', aliases: ['oauth2', 'oauth 2.0'] },
+  { name: 'Android', category: 'technologies', aliases: [] },
+  { name: 'iOS', category: 'technologies', aliases: [] },
+
+  // Databases
+  { name: 'MongoDB', category: 'databases', aliases: ['mongo', 'mongo db'] },
+  { name: 'MySQL', category: 'databases', aliases: ['my sql'] },
+  { name: 'PostgreSQL', category: 'databases', aliases: ['postgres', 'postgre sql', 'psql'] },
+  { name: 'SQLite', category: 'databases', aliases: [] },
+  { name: 'Oracle', category: 'databases', aliases: ['oracle db', 'oracle database', 'pl/sql', 'plsql'] },
+  { name: 'SQL Server', category: 'databases', aliases: ['mssql', 'ms sql', 'microsoft sql server'] },
+  { name: 'Redis', category: 'databases', aliases: [] },
+  { name: 'Cassandra', category: 'databases', aliases: ['apache cassandra'] },
+  { name: 'DynamoDB', category: 'databases', aliases: ['dynamo db', 'dynamo'], extract: ['DynamoDB', 'Dynamo DB'] },
+  { name: 'Elasticsearch', category: 'databases', aliases: ['elastic search', 'elastic'], extract: ['Elasticsearch', 'Elastic Search'] },
+  { name: 'Firebase', category: 'databases', aliases: ['firestore'] },
+
+  // Tools
+  { name: 'Git', category: 'tools', aliases: ['git scm'] },
+  { name: 'GitHub', category: 'tools', aliases: [] },
+  { name: 'GitLab', category: 'tools', aliases: [] },
+  { name: 'Docker', category: 'tools', aliases: ['containers', 'containerization'], extract: ['Docker', 'containerization'] },
+  { name: 'Kubernetes', category: 'tools', aliases: ['k8s'] },
+  { name: 'Jenkins', category: 'tools', aliases: [] },
+  { name: 'Terraform', category: 'tools', aliases: [] },
+  { name: 'Ansible', category: 'tools', aliases: [] },
+  { name: 'Jira', category: 'tools', aliases: [] },
+  { name: 'Postman', category: 'tools', aliases: [] },
+  { name: 'Webpack', category: 'tools', aliases: [] },
+  { name: 'Figma', category: 'tools', aliases: [] },
+  { name: 'Selenium', category: 'tools', aliases: [] },
+  { name: 'Jest', category: 'tools', aliases: [] },
+  { name: 'Tableau', category: 'tools', aliases: [] },
+  { name: 'Power BI', category: 'tools', aliases: ['powerbi'] },
+  { name: 'Excel', category: 'tools', aliases: ['ms excel', 'microsoft excel', 'advanced excel'], extract: ['Excel', 'MS Excel', 'MS-Excel'], caseSensitive: true },
+
+  // Other skills
+  { name: 'Data Structures and Algorithms', category: 'others', aliases: ['dsa', 'data structures', 'algorithms', 'data structures & algorithms'], extract: ['DSA', 'Data Structures and Algorithms', 'Data Structures & Algorithms', 'Data Structures'] },
+  { name: 'Object-Oriented Programming', category: 'others', aliases: ['oop', 'oops', 'object oriented programming'] },
+  { name: 'System Design', category: 'others', aliases: ['low level design', 'high level design', 'lld', 'hld'] },
+  { name: 'Operating Systems', category: 'others', aliases: ['os', 'operating system'], extract: ['Operating Systems', 'Operating System'] },
+  { name: 'Computer Networks', category: 'others', aliases: ['networking', 'cn'], extract: ['Computer Networks', 'Computer Networking'] },
+  { name: 'DBMS', category: 'others', aliases: ['database management systems', 'database management system'] },
+  { name: 'Unit Testing', category: 'others', aliases: ['unit tests'] },
+  { name: 'CI/CD', category: 'others', aliases: ['cicd', 'ci cd', 'continuous integration', 'continuous delivery', 'continuous deployment'] },
+  { name: 'Agile', category: 'others', aliases: ['scrum', 'agile methodology'], extract: ['Agile methodology', 'Agile methodologies', 'Agile development', 'Agile/Scrum', 'Scrum'] },
+  { name: 'Communication', category: 'others', aliases: ['communication skills'], extract: ['communication skills'] },
+  { name: 'Problem Solving', category: 'others', aliases: ['problem-solving', 'problem solving skills'] },
+
+  // Keywords (areas of work rather than individual skills)
+  { name: 'Frontend', category: 'keywords', aliases: ['front end', 'front-end', 'frontend development'] },
+  { name: 'Backend', category: 'keywords', aliases: ['back end', 'back-end', 'backend development'] },
+  { name: 'Full Stack', category: 'keywords', aliases: ['fullstack', 'full-stack', 'full stack development'] },
+  { name: 'Mobile Development', category: 'keywords', aliases: ['mobile app development', 'app development'] },
+  { name: 'DevOps', category: 'keywords', aliases: ['dev ops'] },
+  { name: 'Cloud Computing', category: 'keywords', aliases: ['cloud'], extract: ['Cloud Computing', 'cloud native', 'cloud-native'] },
+  { name: 'Machine Learning', category: 'keywords', aliases: ['ml'] },
+  { name: 'Deep Learning', category: 'keywords', aliases: ['dl'] },
+  { name: 'Artificial Intelligence', category: 'keywords', aliases: ['ai'] },
+  { name: 'Generative AI', category: 'keywords', aliases: ['genai', 'gen ai', 'llm', 'llms', 'large language models'] },
+  { name: 'Natural Language Processing', category: 'keywords', aliases: ['nlp'] },
+  { name: 'Computer Vision', category: 'keywords', aliases: ['cv'], extract: ['Computer Vision'] },
+  { name: 'Data Science', category: 'keywords', aliases: [] },
+  { name: 'Data Analysis', category: 'keywords', aliases: ['data analytics', 'analytics'], extract: ['Data Analysis', 'Data Analytics'] },
+  { name: 'Data Engineering', category: 'keywords', aliases: ['etl', 'data pipelines'] },
+  { name: 'Cybersecurity', category: 'keywords', aliases: ['cyber security', 'information security', 'infosec'] },
+  { name: 'Testing', category: 'keywords', aliases: ['qa', 'quality assurance', 'software testing', 'test automation', 'automation testing'], extract: ['QA', 'Quality Assurance', 'Software Testing', 'Test Automation', 'Automation Testing', 'Manual Testing'] },
+  { name: 'UI/UX', category: 'keywords', aliases: ['ui ux', 'ux', 'ui design', 'ux design', 'user experience'] },
+  { name: 'Embedded Systems', category: 'keywords', aliases: ['embedded', 'firmware'], extract: ['Embedded Systems', 'Embedded C', 'firmware'] },
+  { name: 'Blockchain', category: 'keywords', aliases: ['web3', 'smart contracts'] }
+];
+
+module.exports = {
+  SKILL_DICTIONARY
+};
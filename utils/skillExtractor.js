@@ -0,0 +1,166 @@
+const { SKILL_DICTIONARY } = require('./skillDictionary');
+const { escapeRegex } = require('./regex');
+
+const SKILL_CATEGORIES = ['languages', 'technologies', 'frameworks', 'databases', 'tools', 'others'];
+
+// Helper function to compare tags loosely ("React.js", "ReactJS" and "react js" share a key)
+const toKey = (tag) => String(tag).toLowerCase().replace(/[\s._\-/]/g, '');
+
+// Helper function to build the regex finding a phrase as a whole word, spaces also match dashes
+const buildPhraseRegex = (phrase, caseSensitive) => {
+  const pattern = escapeRegex(phrase).replace(/\s+/g, '[\\s-]+');
+  return new RegExp(`(?<![A-Za-z0-9+#.])${pattern}(?![A-Za-z0-9+#])`, caseSensitive ? 'g' : 'gi');
+};
+
+let ENTRIES_BY_KEY = new Map();
+let PHRASE_PATTERNS = [];
+
+// Build the tag lookup and description phrases from the dictionary plus the managed Skill entries
+// Managed entries win when both know a spelling, so admins can rename or regroup dictionary skills
+const buildIndex = (managedSkills = []) => {
+  const entries = [...SKILL_DICTIONARY, ...managedSkills.map(skill => ({
+    name: skill.name,
+    category: skill.category,
+    aliases: skill.aliases || []
+  }))];
+
+  ENTRIES_BY_KEY = new Map();
+  entries.forEach(entry => {
+    [entry.name, ...entry.aliases].forEach(alias => ENTRIES_BY_KEY.set(toKey(alias), entry));
+  });
+
+  // Phrases searched for in descriptions, longest first so "React Native" wins over "React"
+  PHRASE_PATTERNS = entries
+    .flatMap(entry => (entry.extract || [entry.name, ...entry.aliases]).flatMap(phrase => {
+      if (phrase.length <= 3) {
+        return [...new Set([phrase, phrase.toUpperCase()])].map(variant => ({ entry, phrase: variant, caseSensitive: true }));
+      }
+      return [{ entry, phrase, caseSensitive: entry.caseSensitive === true }];
+    }))
+    .sort((a, b) => b.phrase.length - a.phrase.length)
+    .map(({ entry, phrase, caseSensitive }) => ({ entry, regex: buildPhraseRegex(phrase, caseSensitive) }));
+};
+
+buildIndex();
+
+// Replace the managed Skill entries used next to the built-in dictionary
+const setManagedSkills = (skills) => buildIndex(skills);
+
+// Map a tag onto its canonical name, unknown tags are returned trimmed
+const normalizeTag = (tag) => {
+  const trimmed = String(tag === null || tag === undefined ? '' : tag).trim().replace(/\s+/g, ' ');
+  const entry = ENTRIES_BY_KEY.get(toKey(trimmed));
+  return entry ? entry.name : trimmed;
+};
+
+// Normalise a list of tags, dropping blanks and duplicate spellings
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags)) return tags;
+
+  const seen = new Set();
+  return tags
+    .map(normalizeTag)
+    .filter(tag => {
+      const key = toKey(tag);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+// Normalise every category of a job's skills object
+const normalizeSkills = (skills) => {
+  if (!skills || typeof skills !== 'object') return skills;
+
+  const normalized = { ...skills };
+  SKILL_CATEGORIES.forEach(category => {
+    if (Array.isArray(skills[category])) {
+      normalized[category] = normalizeTags(skills[category]);
+    }
+  });
+  return normalized;
+};
+
+// Find dictionary skills and keywords mentioned in free text
+// Returns { skills: { languages: [...], ... }, keywords: [...] } in order of appearance
+const extractSkills = (text) => {
+  const skills = Object.fromEntries(SKILL_CATEGORIES.map(category => [category, []]));
+  const keywords = [];
+
+  if (!text) {
+    return { skills, keywords };
+  }
+
+  let remaining = String(text);
+  const found = new Map();
+
+  PHRASE_PATTERNS.forEach(({ entry: phraseEntry, regex }) => {
+    // A dictionary phrase may belong to a skill an admin renamed or merged
+    const entry = ENTRIES_BY_KEY.get(toKey(phraseEntry.name)) || phraseEntry;
+    regex.lastIndex = 0;
+    remaining = remaining.replace(regex, (match, offset) => {
+      if (!found.has(entry) || found.get(entry) > offset) {
+        found.set(entry, offset);
+      }
+      // Blank out the match so shorter phrases inside it are not counted again
+      return ' '.repeat(match.length);
+    });
+  });
+
+  [...found.entries()]
+    .sort((a, b) => a[1] - b[1])
+    .forEach(([entry]) => {
+      if (entry.category === 'keywords') {
+        keywords.push(entry.name);
+      } else {
+        skills[entry.category].push(entry.name);
+      }
+    });
+
+  return { skills, keywords };
+};
+
+// Add skills and keywords found in the role and description to the job data
+// Tags the admin already entered (in any category) are kept as they are
+// Returns { jobData, extracted } where extracted only lists what was added
+const applySkillExtraction = (jobData) => {
+  const skills = normalizeSkills(jobData.skills) || {};
+  const keywords = normalizeTags(jobData.keywords) || [];
+  const existing = new Set([
+    ...SKILL_CATEGORIES.flatMap(category => skills[category] || []),
+    ...keywords
+  ].map(toKey));
+
+  const found = extractSkills([jobData.role, jobData.description].filter(Boolean).join('\n'));
+  const extracted = { skills: {}, keywords: [] };
+
+  SKILL_CATEGORIES.forEach(category => {
+    const added = found.skills[category].filter(name => !existing.has(toKey(name)));
+    if (added.length > 0) {
+      skills[category] = [...(skills[category] || []), ...added];
+      extracted.skills[category] = added;
+    }
+  });
+
+  extracted.keywords = found.keywords.filter(name => !existing.has(toKey(name)));
+
+  return {
+    jobData: {
+      ...jobData,
+      skills,
+      keywords: [...keywords, ...extracted.keywords]
+    },
+    extracted
+  };
+};
+
+module.exports = {
+  SKILL_CATEGORIES,
+  toTagKey: toKey,
+  setManagedSkills,
+  normalizeTag,
+  normalizeTags,
+  normalizeSkills,
+  extractSkills,
+  applySkillExtraction
+};
@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+// Content types of the files we store, looked up from the key extension
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif'
+};
+
+// Keys are generated by us ("logos/<uuid>-128.webp"), anything else is refused
+const KEY_PATTERN = /^[a-z0-9-]+(\/[a-zA-Z0-9._-]+)+$/;
+
+const contentTypeFor = (key) => CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+const assertValidKey = (key) => {
+  if (!KEY_PATTERN.test(key) || key.includes('..')) {
+    const error = new Error(`Invalid storage key: ${key}`);
+    error.name = 'StorageKeyError';
+    throw error;
+  }
+};
+
+// Storage backends share one interface:
+//   put(key, buffer, contentType) -> Promise<void>
+//   get(key) -> Promise<{ stream, contentType, size } | null>
+//   remove(key) -> Promise<void>
+
+// Files on the local disk under root (default ./uploads)
+const createLocalStorage = ({ root = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads') } = {}) => {
+  const resolvePath = (key) => {
+    assertValidKey(key);
+    return path.join(root, ...key.split('/'));
+  };
+
+  const put = async (key, buffer) => {
+    const filePath = resolvePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  };
+
+  const get = async (key) => {
+    const filePath = resolvePath(key);
+
+    try {
+      const stats = await fs.promises.stat(filePath);
+      return {
+        stream: fs.createReadStream(filePath),
+        contentType: contentTypeFor(key),
+        size: stats.size
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const remove = async (key) => {
+    try {
+      await fs.promises.unlink(resolvePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  };
+
+  return { driver: 'local', put, get, remove };
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+// Objects in an S3-compatible bucket (AWS S3, Cloudflare R2, MinIO, ...), signed with AWS Signature V4
+// endpoint is only needed for non-AWS providers; forcePathStyle puts the bucket in the path instead of the host
+const createS3Storage = ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+  timeout = 15000
+} = {}) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const objectUrl = (key) => {
+    assertValidKey(key);
+    const base = endpoint || `https://s3.${region}.amazonaws.com`;
+    const url = new URL(base);
+
+    if (forcePathStyle) {
+      url.pathname = `/${bucket}/${key}`;
+    } else {
+      url.hostname = `${bucket}.${url.hostname}`;
+      url.pathname = `/${key}`;
+    }
+    return url;
+  };
+
+  // Send a signed request, resolves with the response (body not consumed)
+  const send = (method, key, { body = null, contentType = null } = {}) => {
+    const url = objectUrl(key);
+    const now = new Date();
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = sha256(body || '');
+
+    const headers = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    if (contentType) headers['content-type'] = contentType;
+
+    const signedHeaders = Object.keys(headers).sort();
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      '',
+      signedHeaders.map(name => `${name}:${headers[name]}\n`).join(''),
+      signedHeaders.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = ['aws4_request', 's3', region, dateStamp]
+      .reduceRight((key, part) => hmac(key, part), `AWS4${secretAccessKey}`);
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    headers.authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`;
+    if (body) headers['content-length'] = body.length;
+
+    const client = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = client.request(url, { method, headers, timeout }, resolve);
+      request.on('timeout', () => request.destroy(new Error(`S3 ${method} ${key} timed out`)));
+      request.on('error', reject);
+      request.end(body || undefined);
+    });
+  };
+
+  // Read an error response into an Error
+  const failed = async (response, action) => {
+    let details = '';
+    for await (const chunk of response) details += chunk;
+    return new Error(`S3 ${action} failed with status ${response.statusCode}: ${details.slice(0, 200)}`);
+  };
+
+  const put = async (key, buffer, contentType = contentTypeFor(key)) => {
+    const response = await send('PUT', key, { body: buffer, contentType });
+    if (response.statusCode >= 300) throw await failed(response, 'upload');
+    response.resume();
+  };
+
+  const get = async (key) => {
+    const response = await send('GET', key);
+
+    if (response.statusCode === 404) {
+      response.resume();
+      return null;
+    }
+    if (response.statusCode >= 300) throw await failed(response, 'download');
+
+    return {
+      stream: response,
+      contentType: response.headers['content-type'] || contentTypeFor(key),
+      size: parseInt(response.headers['content-length']) || null
+    };
+  };
+
+  const remove = async (key) => {
+    const response = await send('DELETE', key);
+    if (response.statusCode >= 300 && response.statusCode !== 404) throw await failed(response, 'delete');
+    response.resume();
+  };
+
+  return { driver: 's3', put, get, remove };
+};
+
+const STORAGE_DRIVERS = {
+  local: createLocalStorage,
+  s3: createS3Storage
+};
+
+let storage = null;
+
+// Get the storage backend picked by STORAGE_DRIVER (local by default)
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!STORAGE_DRIVERS[driver]) {
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use one of: ${Object.keys(STORAGE_DRIVERS).join(', ')}`);
+    }
+    storage = STORAGE_DRIVERS[driver]();
+  }
+  return storage;
+};
+
+// Replace the storage backend (e.g. a custom driver implementing put/get/remove)
+const setStorage = (customStorage) => {
+  storage = customStorage;
+};
+
+module.exports = {
+  createLocalStorage,
+  createS3Storage,
+  getStorage,
+  setStorage,
+  contentTypeFor
+};
@@ -0,0 +1,332 @@
+const Company = require('../models/Company');
+const Location = require('../models/Location');
+const Skill = require('../models/Skill');
+const Job = require('../models/Job');
+const { SKILL_CATEGORIES, setManagedSkills } = require('./skillExtractor');
+const { setManagedPlaces, isVagueLocation, parseLocationText, formatLocations, toPoint } = require('./locationParser');
+
+// Taxonomy types exposed by the API, with the Job fields each one is resolved from
+// editableFields are set through the admin API next to name and aliases
+const TAXONOMY_TYPES = {
+  companies: {
+    model: Company,
+    textField: 'companyName',
+    refField: 'companyRef',
+    canonicalField: 'canonicalCompanyName',
+    editableFields: ['slug', 'logo', 'website', 'description', 'industry']
+  },
+  locations: {
+    model: Location,
+    textField: 'location',
+    refField: 'locationRef',
+    canonicalField: 'canonicalLocation',
+    editableFields: ['state', 'country', 'latitude', 'longitude']
+  },
+  skills: { model: Skill, editableFields: ['category'] }
+};
+
+const SKILL_TAG_FIELDS = [...SKILL_CATEGORIES.map(category => `skills.${category}`), 'keywords'];
+
+// Managed skills and places are cached in their parsers and reloaded at most this often
+const CACHE_MS = 5 * 60 * 1000;
+let skillsLoadedAt = 0;
+let placesLoadedAt = 0;
+
+// Load the managed Skill entries into the tag normaliser, skipped while the cache is fresh
+const refreshManagedSkills = async ({ force = false } = {}) => {
+  if (!force && Date.now() - skillsLoadedAt < CACHE_MS) {
+    return;
+  }
+
+  const skills = await Skill.find().select('name category aliases').lean();
+  setManagedSkills(skills);
+  skillsLoadedAt = Date.now();
+};
+
+// Load the Location entries with coordinates into the location parser, skipped while the cache is fresh
+const refreshManagedPlaces = async ({ force = false } = {}) => {
+  if (!force && Date.now() - placesLoadedAt < CACHE_MS) {
+    return;
+  }
+
+  const places = await Location.find({ latitude: { $ne: null }, longitude: { $ne: null } })
+    .select('name aliases state country latitude longitude')
+    .lean();
+  setManagedPlaces(places);
+  placesLoadedAt = Date.now();
+};
+
+// Reload the cache a taxonomy type feeds, after its entries changed
+const refreshTaxonomyCache = async (type) => {
+  if (type === 'skills') {
+    await refreshManagedSkills({ force: true });
+  } else if (type === 'locations') {
+    await refreshManagedPlaces({ force: true });
+  }
+};
+
+// Link structured job locations to Location entries, creating new places
+// Cities take the canonical name; state, country and coordinates missing on either side are filled from the other
+// Entries may give latitude/longitude instead of a GeoJSON point
+const resolveJobLocations = async (locations, adminId = null) => {
+  const resolved = [];
+
+  for (const location of locations) {
+    const { latitude, longitude, ...entry } = typeof location.toObject === 'function' ? location.toObject() : { ...location };
+    const point = toPoint(latitude, longitude);
+    if (point) {
+      entry.point = point;
+    }
+
+    if (entry.city && entry.city.trim()) {
+      const [lng, lat] = entry.point ? entry.point.coordinates : [null, null];
+      const place = await Location.resolve(entry.city, adminId, {
+        state: entry.state || '',
+        country: entry.country || '',
+        latitude: lat,
+        longitude: lng
+      });
+
+      entry.city = place.name;
+      entry.locationRef = place._id;
+      entry.state = entry.state || place.state;
+      entry.country = entry.country || place.country;
+
+      if (!entry.point) {
+        const placePoint = toPoint(place.latitude, place.longitude);
+        if (placePoint) entry.point = placePoint;
+      } else if (place.latitude === null || place.latitude === undefined) {
+        await Location.updateOne({ _id: place._id, latitude: null }, { $set: { latitude: lat, longitude: lng } });
+      }
+    }
+
+    resolved.push(entry);
+  }
+
+  return resolved;
+};
+
+// Resolve the company and locations of job data onto canonical entries
+// Only fields present in jobData are touched, so it also works for partial updates
+// New companies and locations are created; skill tags are normalised on save using the managed skills loaded here
+const resolveJobTaxonomy = async (jobData, adminId = null) => {
+  const resolved = { ...jobData };
+  await Promise.all([refreshManagedSkills(), refreshManagedPlaces()]);
+
+  const { companies } = TAXONOMY_TYPES;
+  if (typeof jobData.companyName === 'string' && jobData.companyName.trim()) {
+    const company = await companies.model.resolve(jobData.companyName, adminId);
+    resolved.companyRef = company._id;
+    resolved.canonicalCompanyName = company.name;
+  }
+
+  // Structured locations are parsed from the text when not given; the first linked city is the main location
+  const hasLocationText = typeof jobData.location === 'string' && jobData.location.trim();
+  if (Array.isArray(jobData.locations) || hasLocationText) {
+    resolved.locations = await resolveJobLocations(
+      Array.isArray(jobData.locations) ? jobData.locations : parseLocationText(jobData.location),
+      adminId
+    );
+    if (!hasLocationText) {
+      resolved.location = formatLocations(resolved.locations);
+    }
+
+    const main = resolved.locations.find(entry => entry.locationRef);
+    if (main) {
+      resolved.locationRef = main.locationRef;
+      resolved.canonicalLocation = main.city;
+    } else if (resolved.location && !isVagueLocation(resolved.location)) {
+      // Remote-only jobs keep resolving their text ("Remote") as before, "Multiple locations" gets no entry
+      const place = await Location.resolve(resolved.location, adminId);
+      resolved.locationRef = place._id;
+      resolved.canonicalLocation = place.name;
+    }
+  }
+
+  // The first logo posted for a company becomes its profile logo
+  if (resolved.companyRef && jobData.companyLogo) {
+    await Company.updateOne({ _id: resolved.companyRef, logo: '' }, { $set: { logo: jobData.companyLogo } });
+  }
+
+  return resolved;
+};
+
+// Add the canonical names of companyName/location filter values, so "Bangalore" also finds "Bengaluru" jobs
+const expandTaxonomyFilters = async (filters) => {
+  const expanded = { ...filters };
+  await refreshManagedPlaces();
+
+  for (const { model, textField } of [TAXONOMY_TYPES.companies, TAXONOMY_TYPES.locations]) {
+    if (!filters[textField]) continue;
+
+    const entries = await Promise.all(filters[textField].map(value => model.findByText(value)));
+    expanded[textField] = [...new Set([
+      ...filters[textField],
+      ...entries.filter(Boolean).map(entry => entry.name)
+    ])];
+  }
+
+  return expanded;
+};
+
+// Count jobs (including trashed ones) pointing at an entry
+const countJobsFor = (type, entry) => {
+  let query;
+  if (type === 'skills') {
+    query = { $or: SKILL_TAG_FIELDS.map(field => ({ [field]: entry.name })) };
+  } else if (type === 'locations') {
+    query = { $or: [{ locationRef: entry._id }, { 'locations.locationRef': entry._id }] };
+  } else {
+    query = { [TAXONOMY_TYPES[type].refField]: entry._id };
+  }
+
+  return Job.countDocuments(query).setOptions({ withDeleted: true });
+};
+
+// Point jobs using any of the old entries/names at the target entry, returns the number of jobs changed
+const rewriteJobs = async (type, target, { fromIds = [], fromNames = [] } = {}) => {
+  if (type === 'skills') {
+    let modified = 0;
+
+    // Swap old names for the target name and drop the repeat if the job already had it
+    for (const field of SKILL_TAG_FIELDS) {
+      const result = await Job.updateMany(
+        { [field]: { $in: fromNames } },
+        [{
+          $set: {
+            [field]: {
+              $reduce: {
+                input: {
+                  $map: {
+                    input: `$${field}`,
+                    in: { $cond: [{ $in: ['$$this', fromNames] }, target.name, '$$this'] }
+                  }
+                },
+                initialValue: [],
+                in: {
+                  $cond: [
+                    { $in: ['$$this', '$$value'] },
+                    '$$value',
+                    { $concatArrays: ['$$value', ['$$this']] }
+                  ]
+                }
+              }
+            }
+          }
+        }],
+        { withDeleted: true }
+      );
+      modified += result.modifiedCount;
+    }
+    return modified;
+  }
+
+  const { refField, canonicalField } = TAXONOMY_TYPES[type];
+  const ids = [target._id, ...fromIds];
+  const result = await Job.updateMany(
+    { [refField]: { $in: ids } },
+    { $set: { [refField]: target._id, [canonicalField]: target.name } },
+    { withDeleted: true }
+  );
+
+  if (type !== 'locations') {
+    return result.modifiedCount;
+  }
+
+  // Each city of a multi-location job points at its own entry
+  const entriesResult = await Job.updateMany(
+    { 'locations.locationRef': { $in: ids } },
+    { $set: { 'locations.$[entry].locationRef': target._id, 'locations.$[entry].city': target.name } },
+    { arrayFilters: [{ 'entry.locationRef': { $in: ids } }], withDeleted: true }
+  );
+  return result.modifiedCount + entriesResult.modifiedCount;
+};
+
+// Merge duplicate entries into the target: their names become aliases and their jobs move over
+// Returns { target, merged, jobsUpdated }
+// The sources' lookup keys are unique and move to the target, so the sources are removed before the target
+// is saved; the target is validated first and the sources are put back if the save still fails
+const mergeEntries = async (type, targetId, sourceIds, adminId = null) => {
+  const { model } = TAXONOMY_TYPES[type];
+
+  const target = await model.findById(targetId);
+  if (!target) {
+    return null;
+  }
+
+  const sources = await model.find({ _id: { $in: sourceIds.filter(id => String(id) !== String(target._id)) } });
+  const fromNames = sources.map(source => source.name);
+
+  target.aliases = [...target.aliases, ...sources.flatMap(source => [source.name, ...source.aliases])];
+  target.updatedBy = adminId;
+
+  // Profile details the target is missing are taken from the merged entries
+  TAXONOMY_TYPES[type].editableFields.filter(field => field !== 'slug').forEach(field => {
+    const source = sources.find(item => item[field]);
+    if (!target[field] && source) {
+      target[field] = source[field];
+    }
+  });
+  await target.validate();
+
+  // Jobs move first, pointing them at the target is harmless if the merge stops later
+  const jobsUpdated = await rewriteJobs(type, target, {
+    fromIds: sources.map(source => source._id),
+    fromNames
+  });
+
+  await model.deleteMany({ _id: { $in: sources.map(source => source._id) } });
+  try {
+    await target.save();
+  } catch (error) {
+    await model.insertMany(sources.map(source => source.toObject()));
+    throw error;
+  }
+
+  await refreshTaxonomyCache(type);
+
+  return { target, merged: fromNames, jobsUpdated };
+};
+
+// Resolve stored jobs that have no canonical company/location yet (used by migrateTaxonomy.js)
+// Returns the number of jobs updated
+const backfillJobTaxonomy = async (adminId = null) => {
+  const jobs = await Job.find({ $or: [{ companyRef: null }, { locationRef: null }] })
+    .setOptions({ withDeleted: true })
+    .select('companyName location companyRef locationRef')
+    .lean();
+
+  for (const job of jobs) {
+    const update = {};
+
+    if (!job.companyRef) {
+      const company = await Company.resolve(job.companyName, adminId);
+      update.companyRef = company._id;
+      update.canonicalCompanyName = company.name;
+    }
+
+    if (!job.locationRef) {
+      const location = await Location.resolve(job.location, adminId);
+      update.locationRef = location._id;
+      update.canonicalLocation = location.name;
+    }
+
+    await Job.updateOne({ _id: job._id }, { $set: update }, { withDeleted: true });
+  }
+
+  return jobs.length;
+};
+
+module.exports = {
+  TAXONOMY_TYPES,
+  refreshManagedSkills,
+  refreshManagedPlaces,
+  refreshTaxonomyCache,
+  resolveJobLocations,
+  resolveJobTaxonomy,
+  expandTaxonomyFilters,
+  countJobsFor,
+  rewriteJobs,
+  mergeEntries,
+  backfillJobTaxonomy
+};
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// MongoDB error codes meaning the server cannot run transactions (standalone server)
+const UNSUPPORTED_CODES = [20, 263];
+
+// Build the error thrown inside a transaction to roll it back, details are reported to the caller
+const createAbortError = (message, details = {}) => {
+  const error = new Error(message);
+  error.name = 'TransactionAbortedError';
+  error.details = details;
+  return error;
+};
+
+// Run fn inside a MongoDB transaction, everything is rolled back if it throws
+// Queries inside fn join it through transactionAsyncLocalStorage, which server.js turns on before connecting
+// Requires a replica set or sharded cluster, throws TransactionUnsupportedError otherwise
+const runInTransaction = async (fn) => {
+  try {
+    return await mongoose.connection.transaction(fn);
+  } catch (error) {
+    if (UNSUPPORTED_CODES.includes(error.code) || /replica set member or mongos/i.test(error.message)) {
+      const unsupported = new Error('Atomic mode needs MongoDB running as a replica set or sharded cluster');
+      unsupported.name = 'TransactionUnsupportedError';
+      throw unsupported;
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  runInTransaction,
+  createAbortError
+};
@@ -0,0 +1,148 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const crypto = require('crypto');
+
+// Addresses webhooks given by users may not reach: this network, private, loopback, link-local
+// (cloud metadata at 169.254.169.254), carrier-grade NAT, benchmarking, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Helper function to build an error callers can tell apart from programming errors
+// code is 'BLOCKED_HOST' when the URL points at an address webhooks may not reach
+const webhookError = (message, statusCode = null, code = null) => {
+  const error = new Error(message);
+  error.name = 'WebhookError';
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+// Check whether an IP address is in a blocked range, IPv4-mapped IPv6 addresses are checked as IPv4
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Helper function to get the host of a URL without the brackets around IPv6 literals
+const hostOf = (target) => target.hostname.replace(/^\[|\]$/g, '');
+
+// Lookup for http.request that refuses hosts resolving to a blocked address
+// Checked on the addresses actually connected to, so a host cannot pass validation and resolve elsewhere later
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isBlockedAddress(entry.address))) {
+      return callback(webhookError(`Webhook host ${hostname} resolves to a private address`, null, 'BLOCKED_HOST'));
+    }
+    callback(null, address, family);
+  });
+};
+
+// Check a webhook URL a user gave: https only, and every address its host resolves to must be public
+// Resolves with the parsed URL, rejects with a WebhookError
+const assertPublicWebhookUrl = async (url) => {
+  let target;
+  try {
+    target = new URL(url);
+  } catch (error) {
+    throw webhookError('Invalid webhook URL');
+  }
+
+  if (target.protocol !== 'https:') {
+    throw webhookError('Webhook URL must use https');
+  }
+
+  const host = hostOf(target);
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+    } catch (error) {
+      throw webhookError(`Webhook host ${host} could not be resolved`);
+    }
+  }
+
+  if (addresses.some(isBlockedAddress)) {
+    throw webhookError(`Webhook host ${host} resolves to a private address`, null, 'BLOCKED_HOST');
+  }
+  return target;
+};
+
+// Sign a webhook body so receivers can check it came from us and is recent
+// Receivers compute HMAC-SHA256 of `${timestamp}.${body}` with their secret and compare it to X-Webhook-Signature
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => ({
+  'X-Webhook-Timestamp': String(timestamp),
+  'X-Webhook-Signature': `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+});
+
+// POST a JSON body to url, resolves with { statusCode, body } for 2xx responses
+// Other responses and network errors reject with a WebhookError, the response body is kept on error.responseBody
+// token is sent as a Bearer token and secret signs the body when set
+// publicOnly refuses private and loopback addresses, for URLs given by users rather than operators
+const postJson = (url, payload, { token = null, secret = null, headers = {}, timeoutMs = 10000, publicOnly = false } = {}) => new Promise((resolve, reject) => {
+  let target;
+  try {
+    target = new URL(url);
+  } catch (error) {
+    return reject(webhookError(`Invalid webhook URL: ${url}`));
+  }
+
+  if (publicOnly && net.isIP(hostOf(target)) && isBlockedAddress(hostOf(target))) {
+    return reject(webhookError(`Webhook host ${hostOf(target)} is a private address`, null, 'BLOCKED_HOST'));
+  }
+
+  const client = target.protocol === 'http:' ? http : https;
+  const body = JSON.stringify(payload);
+  const requestHeaders = {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(body),
+    ...(secret ? signPayload(secret, body) : {}),
+    ...headers
+  };
+  if (token) {
+    requestHeaders.Authorization = `Bearer ${token}`;
+  }
+
+  const options = { method: 'POST', headers: requestHeaders, timeout: timeoutMs };
+  if (publicOnly) {
+    options.lookup = publicLookup;
+  }
+
+  const request = client.request(target, options, (response) => {
+    const chunks = [];
+    response.on('data', chunk => chunks.push(chunk));
+    response.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        const error = webhookError(`Webhook responded with ${response.statusCode}`, response.statusCode);
+        error.responseBody = text.slice(0, 200);
+        return reject(error);
+      }
+      resolve({ statusCode: response.statusCode, body: text });
+    });
+  });
+
+  request.on('timeout', () => request.destroy(webhookError('Webhook timed out')));
+  request.on('error', (error) => reject(error.name === 'WebhookError' ? error : webhookError(error.message)));
+  request.end(body);
+});
+
+module.exports = {
+  isBlockedAddress,
+  assertPublicWebhookUrl,
+  signPayload,
+  postJson
+};